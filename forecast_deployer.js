@@ -1,358 +1,477 @@
 // forecast_deployer.js
 
-const fs = require("fs");
-const path = require("path");
-const solc = require("solc");
-const { ethers } = require("ethers");
-const sqlite3 = require("sqlite3").verbose();
 require("dotenv").config(); // Load environment variables from .env file
+const { parseArgs } = require("util");
+const { ethers } = require("ethers");
+const { loadConfig } = require("./lib/config");
+const { createStore } = require("./lib/store");
+const {
+  deployForecastFactory,
+  replaceDeploymentTransaction,
+} = require("./lib/deployer");
+const { loadGameSpec, createGame } = require("./lib/games");
+const { runIndexer } = require("./lib/indexer");
+const { runResolver } = require("./lib/resolver");
+const { reconcileDeployments } = require("./lib/reconcile");
+const { runMigrate } = require("./lib/migrate");
+const { runApi } = require("./lib/api");
+const { runAdminAction } = require("./lib/admin");
+const { runExposure } = require("./lib/exposure");
+const { runSettlementReport } = require("./lib/settlement");
+const { runSimulation } = require("./lib/simulator");
+const { exportFrontend } = require("./lib/frontend_export");
+const { verifyDeployments } = require("./lib/deployment_check");
+const { runVerify } = require("./lib/explorer");
+const { runRegistry } = require("./lib/registry");
+const { applyManifest, manifestStatus } = require("./lib/manifest");
+const { runNotifier } = require("./lib/notifier");
+const {
+  prepareTransaction,
+  signTransactionFile,
+  broadcastTransactionFile,
+} = require("./lib/offline");
 
-// --- Configuration ---
-const SOL_FILE_PATH = path.resolve(__dirname, "contracts", "ForecastGame.sol");
-const INFURA_API_KEY = process.env.INFURA_API_KEY;
-const PRIVATE_KEY = process.env.PRIVATE_KEY;
-const FACTORY_FEE_PERCENT = process.env.FACTORY_FEE_PERCENT; // Example: 5% fee
-const SEPOLIA_CHAIN_ID = 11155111;
-const DB_FILE_PATH = path.resolve(__dirname, "contracts.db");
-
-// --- Global Variables for Logging ---
-let db;
-let currentDeploymentId = null; // Will store the ID of the current deployment attempt
+// prepare <action> -> transaction kind in the prepared file
+const PREPARE_ACTIONS = {
+  deploy: "deploy",
+  "create-game": "createGame",
+  finalize: "finalize",
+  "update-owner": "updateFactoryOwner",
+};
 
-// --- Database Initialization ---
-function initDb() {
-  return new Promise((resolve, reject) => {
-    db = new sqlite3.Database(DB_FILE_PATH, (err) => {
-      if (err) {
-        console.error("Error opening database:", err.message);
-        reject(err);
-        return;
-      }
-      console.log("Connected to the SQLite database.");
+// admin <action> -> ForecastGameFactory / ForecastGame function
+const ADMIN_ACTIONS = {
+  "update-owner": "updateFactoryOwner",
+  "mark-inactive": "markGameInactive",
+  "fund-pool": "fundPool",
+  "withdraw-pool": "withdrawRemainingPool",
+  "emergency-withdraw": "emergencyWithdraw",
+};
 
-      // Create deployed_contracts table
-      db.run(
-        `CREATE TABLE IF NOT EXISTS deployed_contracts (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                contract_name TEXT NOT NULL,
-                address TEXT UNIQUE, -- Address can be NULL initially if deployment fails
-                abi TEXT,
-                bytecode TEXT,
-                deployed_at DATETIME,
-                status TEXT NOT NULL DEFAULT 'PENDING', -- PENDING, DEPLOYED, FAILED
-                chain_id INTEGER,
-                compiler_version TEXT
-            )`,
-        (err) => {
-          if (err) {
-            console.error(
-              "Error creating deployed_contracts table:",
-              err.message
-            );
-            reject(err);
-            return;
-          }
-          console.log('Table "deployed_contracts" ensured.');
+// --- Command Line ---
+// node forecast_deployer.js [command] [options]
+// Without a command the factory is deployed. --network / --rpc-url override
+// the NETWORK / RPC_URL environment variables for every command.
+const NETWORK_OPTIONS = {
+  network: { type: "string" },
+  "rpc-url": { type: "string" },
+};
 
-          // Create deployment_logs table with foreign key
-          db.run(
-            `CREATE TABLE IF NOT EXISTS deployment_logs (
-                    id INTEGER PRIMARY KEY AUTOINCREMENT,
-                    deployment_id INTEGER NOT NULL,
-                    timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
-                    log_level TEXT NOT NULL,
-                    message TEXT NOT NULL,
-                    FOREIGN KEY (deployment_id) REFERENCES deployed_contracts(id)
-                )`,
-            (err) => {
-              if (err) {
-                console.error(
-                  "Error creating deployment_logs table:",
-                  err.message
-                );
-                reject(err);
-                return;
-              }
-              console.log('Table "deployment_logs" ensured.');
-              resolve();
-            }
-          );
-        }
+const COMMANDS = {
+  deploy: {
+    usage: "deploy [--network <name>] [--rpc-url <url>] [--dry-run] [--force]",
+    options: {
+      "dry-run": { type: "boolean" },
+      force: { type: "boolean" },
+    },
+    async run(config, positionals, values) {
+      await deployForecastFactory(createStore(config.db), config, {
+        dryRun: values["dry-run"],
+        force: values.force,
+      });
+    },
+  },
+  "create-game": {
+    usage: "create-game <spec.json|spec.yaml> [--factory <address>]",
+    options: { factory: { type: "string" } },
+    async run(config, [specPath], values) {
+      if (!specPath) throw new Error("create-game needs a game spec file.");
+      await createGame(createStore(config.db), config, loadGameSpec(specPath), {
+        factoryAddress: values.factory,
+      });
+    },
+  },
+  index: {
+    usage:
+      "index [--factory <address>] [--from-block <n>] [--batch-size <n>] [--confirmations <n>] [--once]",
+    options: {
+      factory: { type: "string" },
+      "from-block": { type: "string" },
+      "batch-size": { type: "string" },
+      confirmations: { type: "string" },
+      once: { type: "boolean" },
+    },
+    async run(config, positionals, values) {
+      const controller = new AbortController();
+      process.once("SIGINT", () => {
+        console.log("[INFO] Stopping indexer...");
+        controller.abort();
+      });
+      await runIndexer(createStore(config.db), config, {
+        factoryAddress: values.factory,
+        fromBlock: optionalInt(values["from-block"]),
+        batchSize: optionalInt(values["batch-size"]),
+        confirmations: optionalInt(values.confirmations),
+        once: values.once,
+        signal: controller.signal,
+      });
+    },
+  },
+  resolve: {
+    usage: "resolve <resolutions.json|resolutions.yaml> [--watch]",
+    options: { watch: { type: "boolean" } },
+    async run(config, [filePath], values) {
+      if (!filePath) throw new Error("resolve needs a resolution file.");
+      const controller = new AbortController();
+      process.once("SIGINT", () => {
+        console.log("[INFO] Stopping resolver...");
+        controller.abort();
+      });
+      const outcomes = await runResolver(
+        createStore(config.db),
+        config,
+        filePath,
+        { watch: values.watch, signal: controller.signal }
       );
-    });
-  });
-}
-
-// --- Custom Logger Function ---
-async function logMessage(level, message) {
-  console.log(`[${level}] ${message}`); // Always log to console
-
-  if (!db) {
-    console.warn("Database not initialized. Cannot save log to DB:", message);
-    return;
-  }
-
-  // If currentDeploymentId is null, it means we haven't even inserted the pending contract yet.
-  // In this specific scenario (e.g., initial DB connection error, or pre-initial-insert errors),
-  // we log to console but cannot save to DB with a linked ID.
-  // However, with the 'PENDING' status approach, currentDeploymentId should be available early.
-
-  // We'll insert with currentDeploymentId. If currentDeploymentId is null at this point,
-  // it indicates a very early failure, or a log message before a deployment attempt ID is assigned.
-  // For this design, we expect currentDeploymentId to be set before the main logic.
-  if (currentDeploymentId === null) {
-    console.warn(
-      `Attempted to log "${message}" without a deployment ID. This log will not be stored in DB.`
-    );
-    return;
-  }
-
-  try {
-    await new Promise((resolve, reject) => {
-      db.run(
-        `INSERT INTO deployment_logs (deployment_id, log_level, message) VALUES (?, ?, ?)`,
-        [currentDeploymentId, level, message],
-        function (err) {
-          if (err) {
-            console.error("Error saving log to database:", err.message);
-            reject(err);
-          } else {
-            // console.log(`Log saved: ${this.lastID}`); // Too verbose for every log
-            resolve();
-          }
-        }
+      if (Object.values(outcomes).includes("FAILED")) process.exitCode = 1;
+    },
+  },
+  notify: {
+    usage: "notify [--watch] [--test]",
+    options: { watch: { type: "boolean" }, test: { type: "boolean" } },
+    async run(config, positionals, values) {
+      const controller = new AbortController();
+      process.once("SIGINT", () => {
+        console.log("[INFO] Stopping notifier...");
+        controller.abort();
+      });
+      const results = await runNotifier(createStore(config.db), config, {
+        watch: values.watch,
+        test: values.test,
+        signal: controller.signal,
+      });
+      if (results.FAILED) process.exitCode = 1;
+    },
+  },
+  reconcile: {
+    usage: "reconcile (alias: resume)",
+    options: {},
+    async run(config) {
+      await reconcileDeployments(createStore(config.db), config);
+    },
+  },
+  "speed-up": {
+    usage: "speed-up <deploymentId>",
+    options: {},
+    async run(config, [id]) {
+      const status = await replaceDeploymentTransaction(
+        createStore(config.db),
+        config,
+        requiredId(id, "speed-up"),
+        "SPEED_UP"
       );
-    });
-  } catch (err) {
-    // Error already logged by console.error above. No need to re-log.
-  }
-}
-
-// --- Main Deployment Function ---
-async function deployForecastFactory() {
-  await initDb(); // Initialize database and tables
-
-  // 1. Insert a 'PENDING' entry into deployed_contracts to get an ID for logging
-  try {
-    await new Promise((resolve, reject) => {
-      db.run(
-        `INSERT INTO deployed_contracts (contract_name, status) VALUES (?, ?)`,
-        ["ForecastGameFactory", "PENDING"],
-        function (err) {
-          if (err) {
-            console.error(
-              "Error inserting initial pending contract:",
-              err.message
-            );
-            reject(err);
-          } else {
-            currentDeploymentId = this.lastID;
-            logMessage(
-              "INFO",
-              `Started deployment process for ForecastGameFactory (ID: ${currentDeploymentId}).`
-            );
-            resolve();
-          }
-        }
+      if (status !== "DEPLOYED") process.exitCode = 1;
+    },
+  },
+  cancel: {
+    usage: "cancel <deploymentId>",
+    options: {},
+    async run(config, [id]) {
+      const status = await replaceDeploymentTransaction(
+        createStore(config.db),
+        config,
+        requiredId(id, "cancel"),
+        "CANCEL"
       );
-    });
-  } catch (error) {
-    await logMessage(
-      "ERROR",
-      `Fatal: Could not initialize deployment record in DB. Aborting. Error: ${error.message}`
-    );
-    if (db) db.close();
-    return;
-  }
-
-  try {
-    // 2. Read Solidity Source
-    await logMessage("INFO", `Reading Solidity source from: ${SOL_FILE_PATH}`);
-    const sourceCode = fs.readFileSync(SOL_FILE_PATH, "utf8");
-
-    // 3. Prepare Compiler Input
-    const input = {
-      language: "Solidity",
-      sources: {
-        "ForecastGame.sol": {
-          content: sourceCode,
-        },
-      },
-      settings: {
-        outputSelection: {
-          "*": {
-            "*": ["abi", "evm.bytecode"],
-          },
-        },
-        evmVersion: "london", // Or 'paris', or 'shanghai' depending on target EVM version
-      },
-    };
-
-    // 4. Compile Solidity
-    await logMessage("INFO", "Compiling Solidity contract...");
-    const output = JSON.parse(solc.compile(JSON.stringify(input)));
-
-    if (output.errors) {
-      let compilationErrors = "";
-      output.errors.forEach((err) => {
-        compilationErrors += err.formattedMessage + "\n";
-        logMessage("ERROR", `Compilation Error: ${err.formattedMessage}`);
+      if (status !== "CANCELLED") process.exitCode = 1;
+    },
+  },
+  migrate: {
+    usage: "migrate <status|up|down> [--to <version>]",
+    options: { to: { type: "string" } },
+    async run(config, [action = "status"], values) {
+      await runMigrate(createStore(config.db), action, optionalInt(values.to));
+    },
+  },
+  serve: {
+    usage: "serve [--host <address>] [--port <n>]",
+    options: { host: { type: "string" }, port: { type: "string" } },
+    async run(config, positionals, values) {
+      const controller = new AbortController();
+      process.once("SIGINT", () => {
+        console.log("[INFO] Stopping API server...");
+        controller.abort();
       });
-      throw new Error(`Solidity compilation failed:\n${compilationErrors}`);
-    }
-
-    const factoryContractData =
-      output.contracts["ForecastGame.sol"]["ForecastGameFactory"];
-    if (!factoryContractData) {
-      throw new Error(
-        "ForecastGameFactory contract not found in compilation output."
+      await runApi(createStore(config.db), config, {
+        host: values.host,
+        port: optionalInt(values.port),
+        signal: controller.signal,
+      });
+    },
+  },
+  prepare: {
+    usage:
+      "prepare <deploy [--force] | create-game <spec> | finalize <game> <option> | update-owner <address>> --from <address> [--factory <address>] [--out <file>]",
+    options: {
+      from: { type: "string" },
+      factory: { type: "string" },
+      out: { type: "string" },
+      force: { type: "boolean" },
+    },
+    async run(config, [action, ...args], values) {
+      const kind = PREPARE_ACTIONS[action];
+      if (!kind) {
+        throw new Error(
+          `prepare needs one of: ${Object.keys(PREPARE_ACTIONS).join(", ")}.`
+        );
+      }
+      await prepareTransaction(createStore(config.db), config, kind, args, {
+        from: values.from,
+        factory: values.factory,
+        out: values.out,
+        force: values.force,
+      });
+    },
+  },
+  admin: {
+    usage:
+      "admin <update-owner <address> | mark-inactive <gameId> | fund-pool <game> <eth> | withdraw-pool <game> | emergency-withdraw <game>> [--factory <address>] [--yes]",
+    options: { factory: { type: "string" }, yes: { type: "boolean" } },
+    async run(config, [action, ...args], values) {
+      const functionName = ADMIN_ACTIONS[action];
+      if (!functionName) {
+        throw new Error(
+          `admin needs one of: ${Object.keys(ADMIN_ACTIONS).join(", ")}.`
+        );
+      }
+      const status = await runAdminAction(
+        createStore(config.db),
+        config,
+        functionName,
+        args,
+        { factory: values.factory, yes: values.yes }
       );
-    }
-
-    const factoryABI = JSON.stringify(factoryContractData.abi);
-    const factoryBytecode = "0x" + factoryContractData.evm.bytecode.object;
-    const compilerVersion = solc.version(); // Get the actual solc version used
-
-    await logMessage("INFO", "Solidity compilation successful.");
-    await logMessage("INFO", "ForecastGameFactory ABI and Bytecode extracted.");
-
-    // 5. Set up Sepolia Provider and Wallet
-    await logMessage("INFO", "Setting up Ethereum provider and wallet...");
-    const provider = new ethers.InfuraProvider("sepolia", INFURA_API_KEY);
-    if (!PRIVATE_KEY) {
-      throw new Error("PRIVATE_KEY environment variable is not set.");
-    }
-    if (!INFURA_API_KEY) {
-      throw new Error("INFURA_API_KEY environment variable is not set.");
-    }
-
-    const wallet = new ethers.Wallet(PRIVATE_KEY, provider);
-    const accountAddress = await wallet.getAddress();
-    await logMessage("INFO", `Using wallet address: ${accountAddress}`);
-
-    const balance = await provider.getBalance(accountAddress);
-    await logMessage(
-      "INFO",
-      `Wallet balance: ${ethers.formatEther(balance)} ETH`
-    );
-    if (balance < ethers.parseEther("0.001")) {
-      // Simple check, adjust as needed
-      await logMessage(
-        "WARNING",
-        "Low ETH balance in wallet. Deployment might fail due to insufficient funds."
+      if (status === "FAILED") process.exitCode = 1;
+    },
+  },
+  exposure: {
+    usage:
+      "exposure [<game> | --pool <eth> --odds <p1,p2,..> [--accumulated <eth1,eth2,..>]] [--option <n> --amount <eth>] [--player <address>] [--json]",
+    options: {
+      pool: { type: "string" },
+      odds: { type: "string" },
+      accumulated: { type: "string" },
+      option: { type: "string" },
+      amount: { type: "string" },
+      player: { type: "string" },
+      json: { type: "boolean" },
+    },
+    async run(config, [gameAddress], values) {
+      let bet = null;
+      if (values.option !== undefined || values.amount !== undefined) {
+        if (values.option === undefined || values.amount === undefined) {
+          throw new Error("Checking a bet needs both --option and --amount.");
+        }
+        bet = {
+          option: Number(values.option),
+          amountWei: ethers.parseEther(values.amount),
+        };
+      }
+      const { bet: verdict } = await runExposure(config, gameAddress, {
+        pool: values.pool,
+        odds: values.odds,
+        accumulated: values.accumulated,
+        player: values.player,
+        json: values.json,
+        bet,
+      });
+      if (verdict && !verdict.accepted) process.exitCode = 1;
+    },
+  },
+  "verify-deployments": {
+    usage: "verify-deployments",
+    options: {},
+    async run(config) {
+      const results = await verifyDeployments(createStore(config.db), config);
+      if (results.some((result) => result.status !== "OK")) {
+        process.exitCode = 1;
+      }
+    },
+  },
+  verify: {
+    usage: "verify [<deploymentId>...] [--api-url <url>] [--force]",
+    options: {
+      "api-url": { type: "string" },
+      force: { type: "boolean" },
+    },
+    async run(config, positionals, values) {
+      const ids = positionals.map((id) => requiredId(id, "verify"));
+      const controller = new AbortController();
+      process.once("SIGINT", () => {
+        console.log("[INFO] Stopping verification...");
+        controller.abort();
+      });
+      const results = await runVerify(createStore(config.db), config, ids, {
+        apiUrl: values["api-url"],
+        force: values.force,
+        signal: controller.signal,
+      });
+      const statuses = Object.values(results);
+      if (statuses.includes("FAILED") || statuses.includes("ERROR")) {
+        process.exitCode = 1;
+      }
+    },
+  },
+  registry: {
+    usage:
+      "registry <list [--chain-id <n>] | promote <id> | deprecate <id> | set-version <id> <x.y.z> | games <id>>",
+    options: { "chain-id": { type: "string" } },
+    async run(config, [action, ...args], values) {
+      if (action === "list") {
+        const chainId =
+          values["chain-id"] === undefined
+            ? undefined
+            : Number(values["chain-id"]);
+        if (chainId !== undefined && !Number.isInteger(chainId)) {
+          throw new Error("--chain-id must be an integer.");
+        }
+        await runRegistry(createStore(config.db), config, "list", [], {
+          chainId,
+        });
+        return;
+      }
+      if (!["promote", "deprecate", "set-version", "games"].includes(action)) {
+        throw new Error(
+          "registry needs one of: list, promote, deprecate, set-version, games."
+        );
+      }
+      const id = requiredId(args[0], `registry ${action}`);
+      if (action === "set-version" && !args[1]) {
+        throw new Error("registry set-version needs a version (x.y.z).");
+      }
+      await runRegistry(createStore(config.db), config, action, [id, args[1]]);
+    },
+  },
+  manifest: {
+    usage: "manifest <apply <manifest.yaml|json> [--new] | status [<runId>]>",
+    options: { new: { type: "boolean" } },
+    async run(config, [action, arg], values) {
+      if (action === "apply") {
+        if (!arg) throw new Error("manifest apply needs a manifest file.");
+        const result = await applyManifest(createStore(config.db), config, arg, {
+          fresh: values.new,
+        });
+        if (result && result.status === "FAILED") process.exitCode = 1;
+      } else if (action === "status") {
+        const runId = arg === undefined ? null : Number(arg);
+        if (runId !== null && (!Number.isInteger(runId) || runId < 1)) {
+          throw new Error("manifest status takes a run ID.");
+        }
+        await manifestStatus(createStore(config.db), runId);
+      } else {
+        throw new Error("manifest needs one of: apply, status.");
+      }
+    },
+  },
+  "settlement-report": {
+    usage:
+      "settlement-report [--factory <address>] [--format json|csv] [--out <file>]",
+    options: {
+      factory: { type: "string" },
+      format: { type: "string" },
+      out: { type: "string" },
+    },
+    async run(config, positionals, values) {
+      await runSettlementReport(createStore(config.db), config, {
+        factory: values.factory,
+        format: values.format,
+        out: values.out,
+      });
+    },
+  },
+  "export-frontend": {
+    usage: "export-frontend [--out-dir <dir>]",
+    options: { "out-dir": { type: "string" } },
+    async run(config, positionals, values) {
+      await exportFrontend(createStore(config.db), {
+        outDir: values["out-dir"],
+      });
+    },
+  },
+  simulate: {
+    usage: "simulate <scenario.yaml|json> [--seed <n>] [--out <file>]",
+    options: {
+      seed: { type: "string" },
+      out: { type: "string" },
+    },
+    async run(config, [filePath], values) {
+      if (!filePath) throw new Error("simulate needs a scenario file.");
+      const seed = values.seed === undefined ? undefined : Number(values.seed);
+      if (seed !== undefined && !Number.isInteger(seed)) {
+        throw new Error("--seed must be an integer.");
+      }
+      await runSimulation(config, filePath, { seed, out: values.out });
+    },
+  },
+  sign: {
+    usage: "sign <file> [--out <file>]",
+    options: { out: { type: "string" } },
+    async run(config, [filePath], values) {
+      if (!filePath) throw new Error("sign needs a prepared transaction file.");
+      await signTransactionFile(config, filePath, { out: values.out });
+    },
+  },
+  broadcast: {
+    usage: "broadcast <file>",
+    options: {},
+    async run(config, [filePath]) {
+      if (!filePath) throw new Error("broadcast needs a signed transaction file.");
+      const { status } = await broadcastTransactionFile(
+        createStore(config.db),
+        config,
+        filePath
       );
-    }
-
-    // 6. Deploy ForecastGameFactory Contract
-    await logMessage(
-      "INFO",
-      "Deploying ForecastGameFactory contract to Sepolia..."
-    );
-    const factoryContractFactory = new ethers.ContractFactory(
-      factoryABI,
-      factoryBytecode,
-      wallet
-    );
+      if (status !== "DEPLOYED" && status !== "SUCCEEDED") process.exitCode = 1;
+    },
+  },
+};
+COMMANDS.resume = COMMANDS.reconcile;
 
-    // Pass the constructor argument(s) to the deploy method
-    const deployedFactory = await factoryContractFactory.deploy(
-      FACTORY_FEE_PERCENT
-    );
-
-    await logMessage(
-      "INFO",
-      "Transaction sent. Waiting for deployment confirmation..."
-    );
-    await logMessage(
-      "INFO",
-      `Deployment transaction hash: ${
-        deployedFactory.deploymentTransaction().hash
-      }`
-    );
+function optionalInt(value) {
+  return value === undefined ? undefined : parseInt(value);
+}
 
-    await deployedFactory.waitForDeployment();
+function requiredId(value, commandName) {
+  const id = Number(value);
+  if (!Number.isInteger(id) || id < 1) {
+    throw new Error(`${commandName} needs a deployment ID.`);
+  }
+  return id;
+}
 
-    const factoryAddress = await deployedFactory.getAddress();
+function usage() {
+  return [
+    "Usage: node forecast_deployer.js [command] [options]",
+    "",
+    ...[...new Set(Object.values(COMMANDS))].map(
+      (command) => `  ${command.usage}`
+    ),
+  ].join("\n");
+}
 
-    await logMessage(
-      "INFO",
-      `ForecastGameFactory deployed successfully to: ${factoryAddress}`
-    );
+function buildConfig(values) {
+  const config = loadConfig();
+  if (values.network) config.network = values.network;
+  if (values["rpc-url"]) config.rpcUrl = values["rpc-url"];
+  return config;
+}
 
-    // 7. Update the deployed_contracts entry with final details
-    await new Promise((resolve, reject) => {
-      db.run(
-        `UPDATE deployed_contracts SET
-                address = ?,
-                abi = ?,
-                bytecode = ?,
-                deployed_at = CURRENT_TIMESTAMP,
-                status = 'DEPLOYED',
-                chain_id = ?,
-                compiler_version = ?
-                WHERE id = ?`,
-        [
-          factoryAddress,
-          factoryABI,
-          factoryBytecode,
-          SEPOLIA_CHAIN_ID,
-          compilerVersion,
-          currentDeploymentId,
-        ],
-        function (err) {
-          if (err) {
-            console.error("Error updating deployed_contracts:", err.message);
-            reject(err);
-          } else {
-            logMessage(
-              "INFO",
-              `Contract details updated in DB for ID: ${currentDeploymentId}`
-            );
-            resolve();
-          }
-        }
-      );
-    });
-  } catch (error) {
-    await logMessage(
-      "ERROR",
-      `Deployment failed for ID ${currentDeploymentId}. Error: ${error.message}`
-    );
-    // Update status to FAILED if an error occurred after initial PENDING insert
-    if (currentDeploymentId !== null) {
-      await new Promise((resolve) => {
-        db.run(
-          `UPDATE deployed_contracts SET status = 'FAILED' WHERE id = ?`,
-          [currentDeploymentId],
-          function (err) {
-            if (err) {
-              console.error(
-                "Error updating contract status to FAILED:",
-                err.message
-              );
-            } else {
-              console.log(
-                `Deployment status set to FAILED for ID: ${currentDeploymentId}`
-              );
-            }
-            resolve(); // Ensure this promise resolves even if update fails
-          }
-        );
-      });
-    }
-  } finally {
-    if (db) {
-      await logMessage("INFO", "Closing database connection.");
-      db.close((err) => {
-        if (err) {
-          console.error("Error closing database:", err.message);
-        } else {
-          console.log("Database connection closed.");
-        }
-      });
-    }
+async function main(argv) {
+  const commandName = argv[0] && !argv[0].startsWith("-") ? argv[0] : "deploy";
+  const command = COMMANDS[commandName];
+  if (!command) {
+    throw new Error(`Unknown command "${commandName}".\n\n${usage()}`);
   }
+
+  const { values, positionals } = parseArgs({
+    args: commandName === argv[0] ? argv.slice(1) : argv,
+    options: { ...NETWORK_OPTIONS, ...command.options },
+    allowPositionals: true,
+  });
+  await command.run(buildConfig(values), positionals, values);
 }
 
-// --- Run the Deployment ---
-deployForecastFactory();
+main(process.argv.slice(2)).catch((error) => {
+  console.error(error.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,49 @@
+// lib/abi.js
+
+// Human-readable ABIs for contracts/ForecastGame.sol. The factory ABI is also
+// stored per deployment, but games are created on chain and never compiled by
+// us, so tooling that talks to them (or only needs events) uses these.
+
+const FORECAST_GAME_ABI = [
+  "function totalWinners() view returns (uint256)",
+  "function claimedWinners() view returns (uint256)",
+  "function creator() view returns (address)",
+  "function factory() view returns (address)",
+  "function pool() view returns (uint256)",
+  "function question() view returns (string)",
+  "function options(uint256) view returns (string)",
+  "function odds(uint256) view returns (uint8)",
+  "function oddAccumulate(uint256) view returns (uint256)",
+  "function finalOption() view returns (uint8)",
+  "function gameFinalized() view returns (bool)",
+  "function gameActive() view returns (bool)",
+  "function players(address) view returns (uint8 option, uint256 amount, bool hasClaimed)",
+  "function playersList(uint256) view returns (address)",
+  "function winners(uint256) view returns (address)",
+  "function fundPool() payable",
+  "function bet(uint8 _option) payable",
+  "function finalize(uint8 _finalOption)",
+  "function claimPrize()",
+  "function withdrawRemainingPool()",
+  "function emergencyWithdraw()",
+  "event BetPlaced(address indexed p, uint8 o, uint256 a)",
+  "event GameFinalized(uint8 o)",
+  "event PrizeClaimed(address indexed p, uint256 a)",
+  "event PoolFunded(uint256 a)",
+];
+
+const FORECAST_GAME_FACTORY_ABI = [
+  "constructor(uint256 _feePercent)",
+  "function factoryOwner() view returns (address)",
+  "function feePercent() view returns (uint256)",
+  "function gameCount() view returns (uint256)",
+  "function games(uint256) view returns (address gameAddress, address creator, string question, uint256 createdAt, bool isActive)",
+  "function creatorGames(address, uint256) view returns (uint256)",
+  "function allGameIds(uint256) view returns (uint256)",
+  "function createGame(string _question, string[] _options, uint8[] _odds) payable returns (address addr, uint256 id)",
+  "function markGameInactive(uint256 _id)",
+  "function updateFactoryOwner(address _new)",
+  "event GameCreated(uint256 indexed id, address indexed addr, address indexed c, string q)",
+];
+
+module.exports = { FORECAST_GAME_ABI, FORECAST_GAME_FACTORY_ABI };
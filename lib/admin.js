@@ -0,0 +1,335 @@
+// lib/admin.js
+
+const readline = require("readline");
+const { ethers } = require("ethers");
+const { connectNetwork } = require("./networks");
+const { createSigner } = require("./signer");
+const { findFactoryDeployment } = require("./games");
+const { gameContract, readGameState } = require("./game_reader");
+const { eth, sameAddress } = require("./util");
+
+// y/N question on the terminal; declines unless the answer is yes
+function confirm(question) {
+  if (!process.stdin.isTTY) {
+    return Promise.reject(
+      new Error("No terminal to ask for confirmation; pass --yes to skip it.")
+    );
+  }
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout,
+  });
+  return new Promise((resolve) => {
+    rl.question(`${question} [y/N] `, (answer) => {
+      rl.close();
+      resolve(/^y(es)?$/i.test(answer.trim()));
+    });
+  });
+}
+
+// The game as recorded in `games` (by create-game or the indexer), with the
+// factory row it belongs to
+async function findRecordedGame(store, chainId, rawAddress) {
+  if (!rawAddress) throw new Error("A game address is required.");
+  const address = ethers.getAddress(rawAddress);
+  const [game] = await store.findGames({ address });
+  if (!game) {
+    throw new Error(
+      `Game ${address} is not recorded; run "index" for its factory first.`
+    );
+  }
+  const factoryRow = await store.getDeployment(game.deployment_id);
+  if (Number(factoryRow.chain_id) !== chainId) {
+    throw new Error(
+      `Game ${address} belongs to a factory on chain ID ${factoryRow.chain_id}, but the RPC endpoint is chain ID ${chainId}.`
+    );
+  }
+  return game;
+}
+
+// Game state after checking that the signer is its creator
+async function creatorGameState(ctx, rawAddress, action) {
+  const game = await findRecordedGame(ctx.store, ctx.chainId, rawAddress);
+  const contract = gameContract(game.address, ctx.signer);
+  const state = await readGameState(contract);
+  if (!sameAddress(state.creator, ctx.from)) {
+    throw new Error(
+      `${ctx.from} cannot ${action} on ${game.address}: only its creator ${state.creator} can.`
+    );
+  }
+  return { contract, state };
+}
+
+// --- Admin Actions ---
+// Each action checks its on-chain preconditions and returns the call to make:
+// { description, lines (shown before confirming), contract, method, args,
+//   value, details (stored in audit_log) }.
+const ACTIONS = {
+  async updateFactoryOwner(ctx, [newOwner], { factory }) {
+    if (!newOwner) throw new Error("update-owner needs the new owner address.");
+    const owner = ethers.getAddress(newOwner);
+    if (owner === ethers.ZeroAddress) {
+      throw new Error("The new owner cannot be the zero address.");
+    }
+    const factoryRow = await findFactoryDeployment(
+      ctx.store,
+      ctx.chainId,
+      factory
+    );
+    const contract = new ethers.Contract(
+      factoryRow.address,
+      JSON.parse(factoryRow.abi),
+      ctx.signer
+    );
+    const previousOwner = await contract.factoryOwner();
+    if (!sameAddress(previousOwner, ctx.from)) {
+      throw new Error(
+        `${ctx.from} is not the owner of factory ${factoryRow.address} (${previousOwner} is).`
+      );
+    }
+    if (sameAddress(previousOwner, owner)) {
+      throw new Error(`${owner} already owns factory ${factoryRow.address}.`);
+    }
+    return {
+      description: `Transfer ownership of factory ${factoryRow.address} to ${owner}`,
+      lines: [
+        `current owner: ${previousOwner}`,
+        "the new owner collects future game fees and finalizes games",
+      ],
+      contract,
+      method: "updateFactoryOwner",
+      args: [owner],
+      value: 0n,
+      details: {
+        factoryDeploymentId: factoryRow.id,
+        previousOwner,
+        newOwner: owner,
+      },
+    };
+  },
+
+  async markGameInactive(ctx, [rawId], { factory }) {
+    const gameId = Number(rawId);
+    if (!Number.isInteger(gameId) || gameId < 0) {
+      throw new Error("mark-inactive needs the factory's game ID.");
+    }
+    const factoryRow = await findFactoryDeployment(
+      ctx.store,
+      ctx.chainId,
+      factory
+    );
+    const contract = new ethers.Contract(
+      factoryRow.address,
+      JSON.parse(factoryRow.abi),
+      ctx.signer
+    );
+    if (BigInt(gameId) >= (await contract.gameCount())) {
+      throw new Error(
+        `Factory ${factoryRow.address} has no game with ID ${gameId}.`
+      );
+    }
+    const info = await contract.games(gameId);
+    if (!sameAddress(info.creator, ctx.from)) {
+      throw new Error(
+        `${ctx.from} cannot mark game ${gameId} inactive: only its creator ${info.creator} can.`
+      );
+    }
+    if (!info.isActive) {
+      throw new Error(`Game ${gameId} is already marked inactive.`);
+    }
+    return {
+      description: `Mark game ${gameId} ("${info.question}", ${info.gameAddress}) inactive on factory ${factoryRow.address}`,
+      lines: [
+        "only the factory's listing changes; the game contract keeps accepting bets until it is finalized",
+      ],
+      contract,
+      method: "markGameInactive",
+      args: [gameId],
+      value: 0n,
+      details: {
+        factoryDeploymentId: factoryRow.id,
+        gameId,
+        gameAddress: info.gameAddress,
+      },
+    };
+  },
+
+  async fundPool(ctx, [gameAddress, amount]) {
+    let amountWei;
+    try {
+      amountWei = ethers.parseEther(String(amount));
+    } catch (error) {
+      amountWei = 0n;
+    }
+    if (amountWei <= 0n) {
+      throw new Error("fund-pool needs a game address and a positive ETH amount.");
+    }
+    const { contract, state } = await creatorGameState(
+      ctx,
+      gameAddress,
+      "fund the pool"
+    );
+    if (state.gameFinalized) {
+      throw new Error(
+        `Game ${state.address} is finalized; funds added now could only be withdrawn again.`
+      );
+    }
+    return {
+      description: `Add ${eth(amountWei)} to the pool of "${state.question}" (${state.address})`,
+      lines: [
+        `amount: ${eth(amountWei)}`,
+        `pool: ${eth(state.pool)} -> ${eth(state.pool + amountWei)}`,
+      ],
+      contract,
+      method: "fundPool",
+      args: [],
+      value: amountWei,
+      details: {
+        amountWei: amountWei.toString(),
+        poolBeforeWei: state.pool.toString(),
+      },
+    };
+  },
+
+  async withdrawRemainingPool(ctx, [gameAddress]) {
+    const { contract, state } = await creatorGameState(
+      ctx,
+      gameAddress,
+      "withdraw the pool"
+    );
+    if (!state.gameFinalized) {
+      throw new Error(`Game ${state.address} is not finalized yet.`);
+    }
+    if (state.claimedWinners !== state.totalWinners) {
+      throw new Error(
+        `Only ${state.claimedWinners} of ${state.totalWinners} winners of ${state.address} have claimed their prize.`
+      );
+    }
+    if (state.pool === 0n) {
+      throw new Error(`The pool of ${state.address} is empty.`);
+    }
+    return {
+      description: `Withdraw the remaining pool of "${state.question}" (${state.address}) to ${state.creator}`,
+      lines: [
+        `amount: ${eth(state.pool)}`,
+        `contract balance: ${eth(state.balance)} -> ${eth(
+          state.balance - state.pool
+        )}`,
+      ],
+      contract,
+      method: "withdrawRemainingPool",
+      args: [],
+      value: 0n,
+      details: { amountWei: state.pool.toString() },
+    };
+  },
+
+  async emergencyWithdraw(ctx, [gameAddress]) {
+    const { contract, state } = await creatorGameState(
+      ctx,
+      gameAddress,
+      "use emergency withdraw"
+    );
+    if (state.gameActive && !state.gameFinalized) {
+      throw new Error(
+        `Game ${state.address} is still active; emergency withdraw only works once it is not.`
+      );
+    }
+    if (state.balance === 0n) {
+      throw new Error(`Game ${state.address} holds no ETH.`);
+    }
+    const lines = [`amount: ${eth(state.balance)} (the whole contract balance)`];
+    const unclaimed = state.totalWinners - state.claimedWinners;
+    if (unclaimed > 0n) {
+      lines.push(
+        `WARNING: ${unclaimed} winner(s) have not claimed yet and will find the game empty`
+      );
+    }
+    return {
+      description: `Emergency-withdraw everything held by "${state.question}" (${state.address}) to ${state.creator}`,
+      lines,
+      contract,
+      method: "emergencyWithdraw",
+      args: [],
+      value: 0n,
+      details: {
+        amountWei: state.balance.toString(),
+        unclaimedWinners: unclaimed.toString(),
+      },
+    };
+  },
+};
+
+// --- Run an Admin Action ---
+// Pre-checks, shows what will happen (ETH moved and worst-case gas cost), asks
+// for confirmation unless `options.yes`, then sends the transaction. Every sent
+// transaction is recorded in audit_log with action = the contract function.
+// Returns "SUCCEEDED", "FAILED" or "ABORTED" (declined at the prompt).
+async function runAdminAction(store, config, action, args, options = {}) {
+  if (!ACTIONS[action]) throw new Error(`Unknown admin action "${action}".`);
+  await store.init();
+  try {
+    const { provider, chainId, name } = await connectNetwork(config);
+    const signer = await createSigner(config, provider);
+    const from = await signer.getAddress();
+    const call = await ACTIONS[action](
+      { store, provider, signer, chainId, from },
+      args,
+      options
+    );
+
+    // Also catches any precondition the checks above missed: it reverts here
+    const overrides = { value: call.value };
+    const gasLimit = await call.contract[call.method].estimateGas(
+      ...call.args,
+      overrides
+    );
+    const feeData = await provider.getFeeData();
+    const maxGasCost = gasLimit * (feeData.maxFeePerGas || feeData.gasPrice);
+    console.log(
+      [
+        `${call.description}`,
+        `  network: ${name} (chain ID ${chainId}), signer: ${from}`,
+        ...call.lines.map((line) => `  ${line}`),
+        `  value sent: ${eth(call.value)}, max gas cost: ${eth(maxGasCost)}`,
+      ].join("\n")
+    );
+    if (!options.yes && !(await confirm("Send this transaction?"))) {
+      console.log("[INFO] Aborted; nothing was sent.");
+      return "ABORTED";
+    }
+
+    const contractAddress = await call.contract.getAddress();
+    const auditId = await store.insertAudit({
+      action,
+      chainId,
+      contractAddress,
+      actor: from,
+      details: JSON.stringify(call.details),
+    });
+    try {
+      const tx = await call.contract[call.method](...call.args, overrides);
+      await store.updateAudit(auditId, { txHash: tx.hash });
+      console.log(`[INFO] Transaction sent: ${tx.hash}`);
+      await tx.wait();
+      await store.updateAudit(auditId, {
+        status: "SUCCEEDED",
+        completedAt: new Date(),
+      });
+      console.log(`[INFO] ${call.description}: done (audit entry ${auditId}).`);
+      return "SUCCEEDED";
+    } catch (error) {
+      await store.updateAudit(auditId, {
+        status: "FAILED",
+        error: error.message,
+        completedAt: new Date(),
+      });
+      console.error(`[ERROR] ${call.description} failed: ${error.message}`);
+      return "FAILED";
+    }
+  } finally {
+    await store.close();
+  }
+}
+
+module.exports = { runAdminAction };
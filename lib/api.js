@@ -0,0 +1,346 @@
+// lib/api.js
+
+const http = require("http");
+const { ethers } = require("ethers");
+const { connectNetwork } = require("./networks");
+const { gameContract, readGameState } = require("./game_reader");
+const {
+  DEPLOYMENT_COLUMNS,
+  LOG_COLUMNS,
+  DEPLOYMENT_TX_COLUMNS,
+  GAME_COLUMNS,
+} = require("./store/sql_store");
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+
+// --- Read-only HTTP API ---
+// GET /deployments?status=&chainId=&contractName=&limit=&offset=
+// GET /deployments/:id
+// GET /deployments/:id/logs?limit=&offset=
+// GET /deployments/:id/transactions           original, speed-up and cancel txs
+// GET /contracts/:name/latest?chainId=       address + ABI of the CURRENT (else latest) DEPLOYED row
+// GET /games?deploymentId=&creator=&limit=&offset=
+// GET /games/:address                        live state read from the contract
+// Lists answer { total, limit, offset, items }; errors answer { error }.
+
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// DB row -> camelCase object, using the same column maps as the stores
+function fromColumns(row, columnMap) {
+  const item = { id: row.id };
+  for (const [key, column] of Object.entries(columnMap)) {
+    if (column in row) item[key] = row[column];
+  }
+  return item;
+}
+
+function parseJsonColumn(value) {
+  return value ? JSON.parse(value) : null;
+}
+
+function deploymentSummary(row) {
+  const {
+    abi,
+    bytecode,
+    runtimeBytecode,
+    compilerSettings,
+    compilerInput,
+    ...summary
+  } = fromColumns(row, DEPLOYMENT_COLUMNS);
+  return summary;
+}
+
+function deploymentDetail(row) {
+  const detail = fromColumns(row, DEPLOYMENT_COLUMNS);
+  detail.abi = parseJsonColumn(detail.abi);
+  detail.compilerSettings = parseJsonColumn(detail.compilerSettings);
+  detail.compilerInput = parseJsonColumn(detail.compilerInput);
+  return detail;
+}
+
+function logEntry(row) {
+  const entry = fromColumns(row, LOG_COLUMNS);
+  entry.details = parseJsonColumn(entry.details);
+  return entry;
+}
+
+function gameSummary(row) {
+  const game = fromColumns(row, GAME_COLUMNS);
+  game.options = parseJsonColumn(game.options);
+  game.odds = parseJsonColumn(game.odds);
+  return game;
+}
+
+function intParam(query, name, { min = 0, max = Infinity } = {}) {
+  const raw = query.get(name);
+  if (raw === null || raw === "") return undefined;
+  const value = Number(raw);
+  if (!Number.isInteger(value) || value < min || value > max) {
+    throw httpError(400, `${name} must be an integer between ${min} and ${max}.`);
+  }
+  return value;
+}
+
+function addressParam(value, name) {
+  try {
+    return ethers.getAddress(value);
+  } catch (error) {
+    throw httpError(400, `${name} must be an address.`);
+  }
+}
+
+function pageParams(query) {
+  return {
+    limit:
+      intParam(query, "limit", { min: 1, max: MAX_PAGE_SIZE }) ||
+      DEFAULT_PAGE_SIZE,
+    offset: intParam(query, "offset") || 0,
+  };
+}
+
+function pageResponse({ rows, total }, page, formatRow) {
+  return { total, ...page, items: rows.map(formatRow) };
+}
+
+async function requireDeployment(store, rawId) {
+  const id = Number(rawId);
+  const row = Number.isInteger(id) ? await store.getDeployment(id) : null;
+  if (!row) throw httpError(404, `Deployment ${rawId} not found.`);
+  return row;
+}
+
+// Game state has uint256 fields; wei amounts are returned as decimal strings
+function serializeGameState(state) {
+  return {
+    address: state.address,
+    question: state.question,
+    options: state.options,
+    odds: state.odds,
+    oddAccumulate: state.oddAccumulate.map(String),
+    pool: state.pool.toString(),
+    balance: state.balance.toString(),
+    gameActive: state.gameActive,
+    gameFinalized: state.gameFinalized,
+    finalOption: state.finalOption,
+    creator: state.creator,
+    factory: state.factory,
+    totalWinners: state.totalWinners.toString(),
+    claimedWinners: state.claimedWinners.toString(),
+  };
+}
+
+// [pattern, handler(ctx, params, query)], matched in order against the path
+const ROUTES = [
+  [
+    /^\/deployments$/,
+    async ({ store }, params, query) => {
+      const page = pageParams(query);
+      const filter = {
+        status: query.get("status") || undefined,
+        chainId: intParam(query, "chainId"),
+        contractName: query.get("contractName") || undefined,
+      };
+      return pageResponse(
+        await store.pageDeployments(filter, page),
+        page,
+        deploymentSummary
+      );
+    },
+  ],
+  [
+    /^\/deployments\/([^/]+)$/,
+    async ({ store }, [id]) =>
+      deploymentDetail(await requireDeployment(store, id)),
+  ],
+  [
+    /^\/deployments\/([^/]+)\/logs$/,
+    async ({ store }, [id], query) => {
+      const row = await requireDeployment(store, id);
+      const page = pageParams(query);
+      return pageResponse(await store.pageLogs(row.id, page), page, logEntry);
+    },
+  ],
+  [
+    /^\/deployments\/([^/]+)\/transactions$/,
+    async ({ store }, [id]) => {
+      const row = await requireDeployment(store, id);
+      const rows = await store.listDeploymentTxs(row.id);
+      return {
+        items: rows.map((tx) => ({
+          ...fromColumns(tx, DEPLOYMENT_TX_COLUMNS),
+          createdAt: tx.created_at,
+        })),
+      };
+    },
+  ],
+  [
+    /^\/contracts\/([^/]+)\/latest$/,
+    async ({ store }, [name], query) => {
+      const chainId = intParam(query, "chainId");
+      // The CURRENT row (`registry promote`) wins, as for create-game
+      const filter = { contractName: name, status: "DEPLOYED", chainId };
+      const row =
+        (await store.findDeployment({ ...filter, lifecycle: "CURRENT" })) ||
+        (await store.findDeployment(filter));
+      if (!row) {
+        throw httpError(
+          404,
+          `No DEPLOYED ${name} recorded${
+            chainId === undefined ? "" : ` for chain ID ${chainId}`
+          }.`
+        );
+      }
+      return {
+        id: row.id,
+        contractName: row.contract_name,
+        chainId: row.chain_id,
+        networkName: row.network_name,
+        address: row.address,
+        blockNumber: row.block_number,
+        version: row.version,
+        lifecycle: row.lifecycle,
+        abi: parseJsonColumn(row.abi),
+      };
+    },
+  ],
+  [
+    /^\/games$/,
+    async ({ store }, params, query) => {
+      const page = pageParams(query);
+      const creator = query.get("creator");
+      const filter = {
+        deploymentId: intParam(query, "deploymentId"),
+        creator: creator ? addressParam(creator, "creator") : undefined,
+      };
+      return pageResponse(
+        await store.pageGames(filter, page),
+        page,
+        gameSummary
+      );
+    },
+  ],
+  [
+    /^\/games\/([^/]+)$/,
+    async (ctx, [rawAddress]) => {
+      const address = addressParam(rawAddress, "Game address");
+      const { provider, chainId } = await ctx.network();
+      if ((await provider.getCode(address)) === "0x") {
+        throw httpError(404, `No contract at ${address} on chain ID ${chainId}.`);
+      }
+      let state;
+      try {
+        state = await readGameState(gameContract(address, provider));
+      } catch (error) {
+        // Code that does not answer the ForecastGame getters
+        if (error.code === "CALL_EXCEPTION" || error.code === "BAD_DATA") {
+          throw httpError(404, `${address} is not a ForecastGame.`);
+        }
+        throw error;
+      }
+      return { chainId, ...serializeGameState(state) };
+    },
+  ],
+];
+
+function decodePathParam(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch (error) {
+    if (error instanceof URIError) {
+      throw httpError(400, `Malformed percent-encoding in "${value}".`);
+    }
+    throw error;
+  }
+}
+
+async function handleRequest(ctx, req, res) {
+  let status = 200;
+  let body;
+  try {
+    if (req.method !== "GET" && req.method !== "HEAD") {
+      throw httpError(405, "This API is read-only.");
+    }
+    const url = new URL(req.url, "http://localhost");
+    const route = ROUTES.find(([pattern]) => pattern.test(url.pathname));
+    if (!route) throw httpError(404, `No route for ${url.pathname}.`);
+    const params = url.pathname
+      .match(route[0])
+      .slice(1)
+      .map(decodePathParam);
+    body = await route[1](ctx, params, url.searchParams);
+  } catch (error) {
+    status = error.status || 500;
+    body = { error: status === 500 ? "Internal server error." : error.message };
+    if (status === 500) {
+      console.error(`[ERROR] ${req.method} ${req.url}: ${error.message}`);
+    }
+  }
+
+  const json = JSON.stringify(body);
+  res.writeHead(status, {
+    "Content-Type": "application/json; charset=utf-8",
+    "Content-Length": Buffer.byteLength(json),
+    "Access-Control-Allow-Origin": "*",
+  });
+  res.end(req.method === "HEAD" ? undefined : json);
+}
+
+// The RPC endpoint is only needed for live game state, so it is connected on
+// first use and a failed attempt is retried by the next request.
+function lazyNetwork(config) {
+  let connecting = null;
+  return () => {
+    if (!connecting) {
+      connecting = connectNetwork(config).catch((error) => {
+        connecting = null;
+        throw httpError(502, `RPC endpoint unavailable: ${error.message}`);
+      });
+    }
+    return connecting;
+  };
+}
+
+function createApiServer(store, config) {
+  const ctx = { store, network: lazyNetwork(config) };
+  return http.createServer((req, res) => handleRequest(ctx, req, res));
+}
+
+// --- API Server ---
+// Serves until `signal` aborts, then closes the store.
+async function runApi(store, config, options = {}) {
+  const { signal } = options;
+  const port = options.port !== undefined ? options.port : config.api.port;
+  const host = options.host || config.api.host;
+
+  await store.init();
+  const server = createApiServer(store, config);
+  try {
+    await new Promise((resolve, reject) => {
+      server.once("error", reject);
+      server.listen(port, host, resolve);
+    });
+    const address = server.address();
+    console.log(
+      `[INFO] API listening on http://${address.address}:${address.port}`
+    );
+    if (signal && !signal.aborted) {
+      await new Promise((resolve) =>
+        signal.addEventListener("abort", resolve, { once: true })
+      );
+    }
+  } finally {
+    if (server.listening) {
+      const closed = new Promise((resolve) => server.close(resolve));
+      server.closeAllConnections(); // Idle keep-alive sockets would hold close() open
+      await closed;
+    }
+    await store.close();
+  }
+}
+
+module.exports = { createApiServer, runApi };
@@ -0,0 +1,324 @@
+// lib/compiler.js
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const solc = require("solc");
+const { ROOT_DIR } = require("./config");
+
+const METADATA_HASHES = ["ipfs", "bzzr1", "none"];
+const BUILD_FILE = "build.json";
+
+// --- Compiler Settings ---
+// Solidity standard-JSON `settings` (minus outputSelection) from config.compiler.
+// This exact object is stored per deployment so the build can be reproduced.
+function compilerSettings(compilerConfig) {
+  const { optimizer, optimizerRuns, evmVersion, viaIR, metadataHash } =
+    compilerConfig;
+  if (!Number.isInteger(optimizerRuns) || optimizerRuns < 1) {
+    throw new Error("SOLC_OPTIMIZER_RUNS must be a positive integer.");
+  }
+  if (!METADATA_HASHES.includes(metadataHash)) {
+    throw new Error(
+      `SOLC_METADATA_HASH must be one of: ${METADATA_HASHES.join(", ")}.`
+    );
+  }
+  return {
+    optimizer: { enabled: optimizer, runs: optimizerRuns },
+    evmVersion,
+    viaIR,
+    metadata: { bytecodeHash: metadataHash },
+  };
+}
+
+// --- Sources ---
+// Every .sol file under the contracts directory, keyed by its path relative to
+// that directory (the source unit name solc sees, e.g. "ForecastGame.sol").
+function collectSources(contractsDir) {
+  const sources = {};
+  const files = fs
+    .readdirSync(contractsDir, { recursive: true })
+    .filter((file) => file.endsWith(".sol"))
+    .map((file) => file.split(path.sep).join("/"))
+    .sort();
+  for (const file of files) {
+    sources[file] = {
+      content: fs.readFileSync(path.join(contractsDir, file), "utf8"),
+    };
+  }
+  return sources;
+}
+
+// Import callback for solc. Relative imports arrive already resolved against
+// the importing unit, so every import is looked up as a path under the
+// contracts directory first and under node_modules second, which makes
+// `import "@openzeppelin/contracts/...";` work after an npm install.
+function importResolver(contractsDir) {
+  const roots = [contractsDir, path.join(ROOT_DIR, "node_modules")];
+  return function findImports(importPath) {
+    for (const root of roots) {
+      const file = path.resolve(root, importPath);
+      if (!file.startsWith(root + path.sep)) continue; // no escaping the root
+      if (fs.existsSync(file)) {
+        return { contents: fs.readFileSync(file, "utf8") };
+      }
+    }
+    return {
+      error: `File not found in ${roots
+        .map((root) => path.relative(ROOT_DIR, root))
+        .join(" or ")}`,
+    };
+  };
+}
+
+function sha256(text) {
+  return crypto.createHash("sha256").update(text).digest("hex");
+}
+
+// --- Compiler Input ---
+function buildCompilerInput(sources, settings) {
+  return {
+    language: "Solidity",
+    sources,
+    settings: {
+      ...settings,
+      outputSelection: {
+        "*": {
+          "*": ["abi", "evm.bytecode", "evm.deployedBytecode", "metadata"],
+        },
+      },
+    },
+  };
+}
+
+// "ForecastGame.sol:12:5: TypeError: ..." from a solc diagnostic
+function formatDiagnostic(diagnostic, sources) {
+  const location = diagnostic.sourceLocation;
+  let where = "";
+  if (location && sources[location.file]) {
+    const before = sources[location.file].content.slice(
+      0,
+      Math.max(location.start, 0)
+    );
+    const lines = before.split("\n");
+    where = `${location.file}:${lines.length}:${
+      lines[lines.length - 1].length + 1
+    }: `;
+  }
+  return `${where}${diagnostic.type}: ${diagnostic.message}`;
+}
+
+// --- Artifact Cache ---
+// artifacts/<buildHash>/build.json             compiler version, settings, source hashes, warnings
+// artifacts/<buildHash>/<source>/<Name>.json   abi, bytecode, deployedBytecode, metadata
+// The build hash covers the compiler version, the settings and every file under
+// contracts/. Imported files from node_modules are recorded with their own hash
+// in build.json and re-checked before a cached build is reused.
+function readCachedBuild(buildDir, findImports) {
+  const buildFile = path.join(buildDir, BUILD_FILE);
+  if (!fs.existsSync(buildFile)) return null;
+  let build;
+  const contracts = {};
+  try {
+    build = JSON.parse(fs.readFileSync(buildFile, "utf8"));
+    for (const id of build.contracts) {
+      const [sourceName, contractName] = id.split(":");
+      contracts[id] = JSON.parse(
+        fs.readFileSync(
+          path.join(buildDir, sourceName, `${contractName}.json`),
+          "utf8"
+        )
+      );
+    }
+  } catch (error) {
+    // Truncated or missing files (e.g. a run killed mid-write) are a cache
+    // miss: the build is compiled again and rewritten
+    return null;
+  }
+  for (const [sourceName, hash] of Object.entries(build.sources)) {
+    const found = findImports(sourceName);
+    if (found.error || sha256(found.contents) !== hash) return null;
+  }
+  return { ...build, contracts };
+}
+
+// Readers never see a partly written file: it is written next to its target
+// and renamed over it
+function writeFileAtomic(file, content) {
+  const tmpFile = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmpFile, content);
+  fs.renameSync(tmpFile, file);
+}
+
+// build.json goes last, so an entry without it is never read
+function writeBuild(buildDir, build) {
+  fs.rmSync(buildDir, { recursive: true, force: true });
+  for (const [id, artifact] of Object.entries(build.contracts)) {
+    const [sourceName, contractName] = id.split(":");
+    const file = path.join(buildDir, sourceName, `${contractName}.json`);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    writeFileAtomic(file, JSON.stringify(artifact, null, 2) + "\n");
+  }
+  writeFileAtomic(
+    path.join(buildDir, BUILD_FILE),
+    JSON.stringify(
+      { ...build, contracts: Object.keys(build.contracts) },
+      null,
+      2
+    ) + "\n"
+  );
+}
+
+// --- Project Compilation ---
+// Compiles every contract under contractsDir, or reuses the cached build for
+// the same sources and settings. Diagnostics are split by severity: only
+// `errors` mean the build failed (and nothing is cached); `warnings` (and
+// solc's "info" notes) are for display, and are replayed from the cache.
+// Returns { buildHash, buildDir, cached, compilerVersion, settings, sources,
+// contracts: { "File.sol:Name": artifact }, errors, warnings }.
+function compileProject(contractsDir, artifactsDir, settings) {
+  const compilerVersion = solc.version();
+  const localSources = collectSources(contractsDir);
+  if (Object.keys(localSources).length === 0) {
+    throw new Error(`No .sol files found under ${contractsDir}.`);
+  }
+  const findImports = importResolver(contractsDir);
+  const buildHash = sha256(
+    JSON.stringify({
+      compilerVersion,
+      settings,
+      sources: Object.fromEntries(
+        Object.entries(localSources).map(([name, { content }]) => [
+          name,
+          sha256(content),
+        ])
+      ),
+    })
+  ).slice(0, 16);
+  const buildDir = path.join(artifactsDir, buildHash);
+
+  const cachedBuild = readCachedBuild(buildDir, findImports);
+  if (cachedBuild) {
+    return { ...cachedBuild, buildDir, cached: true, errors: [] };
+  }
+
+  const input = buildCompilerInput(localSources, settings);
+  const output = JSON.parse(
+    solc.compile(JSON.stringify(input), { import: findImports })
+  );
+  // Imported sources are not in the input; read them back through the resolver
+  const sources = { ...localSources };
+  for (const sourceName of Object.keys(output.sources || {})) {
+    if (!sources[sourceName]) {
+      sources[sourceName] = { content: findImports(sourceName).contents };
+    }
+  }
+
+  const diagnostics = (output.errors || []).map((diagnostic) => ({
+    severity: diagnostic.severity,
+    message: formatDiagnostic(diagnostic, sources),
+    formattedMessage: diagnostic.formattedMessage,
+  }));
+  const build = {
+    buildHash,
+    compilerVersion,
+    settings,
+    sources: Object.fromEntries(
+      Object.entries(sources).map(([name, { content }]) => [
+        name,
+        sha256(content),
+      ])
+    ),
+    contracts: {},
+    warnings: diagnostics.filter((d) => d.severity !== "error"),
+  };
+  const errors = diagnostics.filter((d) => d.severity === "error");
+  if (errors.length) {
+    return { ...build, buildDir, cached: false, errors };
+  }
+
+  for (const [sourceName, contracts] of Object.entries(output.contracts)) {
+    for (const [contractName, data] of Object.entries(contracts)) {
+      build.contracts[`${sourceName}:${contractName}`] = {
+        contractName,
+        sourceName,
+        buildHash,
+        abi: data.abi,
+        bytecode: "0x" + data.evm.bytecode.object,
+        deployedBytecode: "0x" + data.evm.deployedBytecode.object,
+        metadata: data.metadata,
+      };
+    }
+  }
+  writeBuild(buildDir, build);
+  return { ...build, buildDir, cached: false, errors };
+}
+
+// --- Verification Input ---
+// The exact standard-JSON input of `build`, as block explorers take it. Source
+// contents are read back through the import resolver and must still hash to
+// what was compiled, so the input reproduces the deployed bytecode.
+function standardJsonInput(contractsDir, build) {
+  const findImports = importResolver(contractsDir);
+  const sources = {};
+  for (const [sourceName, hash] of Object.entries(build.sources)) {
+    const found = findImports(sourceName);
+    if (found.error || sha256(found.contents) !== hash) {
+      throw new Error(
+        `${sourceName} changed after build ${build.buildHash} was compiled.`
+      );
+    }
+    sources[sourceName] = { content: found.contents };
+  }
+  return buildCompilerInput(sources, build.settings);
+}
+
+// One hash over the names and contents of standard-JSON `sources`, independent
+// of compiler version and settings: equal hashes mean the same source code
+function sourceHash(sources) {
+  return sha256(
+    JSON.stringify(
+      Object.keys(sources)
+        .sort()
+        .map((name) => [name, sha256(sources[name].content)])
+    )
+  );
+}
+
+// ABI (as a JSON string, the way deployed_contracts stores it) and bytecode of
+// one contract, by name or, when the name is not unique, as "File.sol:Name"
+function extractContract(build, contractName) {
+  const matches = Object.keys(build.contracts).filter(
+    (id) => id === contractName || id.endsWith(`:${contractName}`)
+  );
+  if (matches.length === 0) {
+    throw new Error(`${contractName} contract not found in compilation output.`);
+  }
+  if (matches.length > 1) {
+    throw new Error(
+      `${contractName} is defined in several sources (${matches.join(
+        ", "
+      )}); use the qualified name.`
+    );
+  }
+  const artifact = build.contracts[matches[0]];
+  return {
+    qualifiedName: matches[0],
+    abi: JSON.stringify(artifact.abi),
+    bytecode: artifact.bytecode,
+    runtimeBytecode: artifact.deployedBytecode,
+    metadata: artifact.metadata,
+  };
+}
+
+module.exports = {
+  compilerSettings,
+  collectSources,
+  importResolver,
+  buildCompilerInput,
+  formatDiagnostic,
+  compileProject,
+  standardJsonInput,
+  sourceHash,
+  extractContract,
+};
@@ -0,0 +1,89 @@
+// lib/config.js
+
+const path = require("path");
+
+const ROOT_DIR = path.resolve(__dirname, "..");
+
+// --- Configuration ---
+// Everything the deployer needs is read from the environment (usually via .env)
+// so both storage backends are driven by the same settings.
+function loadConfig(env = process.env) {
+  return {
+    contractsDir: path.resolve(ROOT_DIR, "contracts"), // Every .sol file in here is compiled
+    artifactsDir: path.resolve(ROOT_DIR, env.ARTIFACTS_DIR || "artifacts"),
+    infuraApiKey: env.INFURA_API_KEY,
+    privateKey: env.PRIVATE_KEY, // Only used by SIGNER_TYPE=private-key
+    signer: {
+      type: env.SIGNER_TYPE, // private-key (default), keystore, mnemonic or rpc
+      keystorePath: env.KEYSTORE_PATH,
+      keystorePasswordFile: env.KEYSTORE_PASSWORD_FILE, // Prompted for when unset
+      mnemonic: env.MNEMONIC,
+      mnemonicFile: env.MNEMONIC_FILE,
+      derivationPath: env.DERIVATION_PATH, // Default m/44'/60'/0'/0/0
+      rpcUrl: env.SIGNER_RPC_URL, // Node holding the account; default: the deployment RPC
+      address: env.SIGNER_ADDRESS, // Default: the node's first account
+    },
+    factoryFeePercent: env.FACTORY_FEE_PERCENT, // Example: 5% fee
+    fees: {
+      multiplier: parseFloat(env.FEE_MULTIPLIER || "1"), // Scales the base fee headroom of getFeeData()
+      maxFeeGwei: env.MAX_FEE_GWEI, // Cap on maxFeePerGas (gasPrice on legacy chains); unset: no cap
+      priorityFeeGwei: env.PRIORITY_FEE_GWEI, // Tip; unset: the node's suggestion
+      confirmationTimeoutSeconds: parseInt(
+        env.CONFIRMATION_TIMEOUT_SECONDS || "600"
+      ), // 0: wait forever
+      onTimeout: env.STUCK_TX_ACTION || "none", // none, speed-up or cancel
+      bumpPercent: parseInt(env.FEE_BUMP_PERCENT || "15"), // Fee increase per replacement, at least 10
+      maxReplacements: parseInt(env.MAX_REPLACEMENTS || "3"),
+      pollIntervalMs: parseInt(env.TX_POLL_INTERVAL_MS || "4000"),
+    },
+    compiler: {
+      optimizer: env.SOLC_OPTIMIZER === "true",
+      optimizerRuns: parseInt(env.SOLC_OPTIMIZER_RUNS || "200"),
+      evmVersion: env.SOLC_EVM_VERSION || "london", // Or 'paris', 'shanghai', 'cancun' depending on the target chain
+      viaIR: env.SOLC_VIA_IR === "true",
+      metadataHash: env.SOLC_METADATA_HASH || "ipfs", // ipfs, bzzr1 or none
+    },
+    logging: {
+      level: env.LOG_LEVEL || "INFO", // DEBUG, INFO, WARNING or ERROR
+      format: env.LOG_FORMAT || "pretty", // pretty or json (one JSON object per line)
+    },
+    network: env.NETWORK, // localhost, sepolia or mainnet (see lib/networks.js)
+    rpcUrl: env.RPC_URL, // Raw JSON-RPC endpoint, alone or overriding the profile's
+    indexer: {
+      batchSize: parseInt(env.INDEXER_BATCH_SIZE || "2000"), // Blocks per eth_getLogs request
+      confirmations: parseInt(env.INDEXER_CONFIRMATIONS || "12"), // Blocks kept behind the head
+      pollIntervalMs: parseInt(env.INDEXER_POLL_INTERVAL_MS || "15000"),
+    },
+    api: {
+      host: env.API_HOST || "127.0.0.1",
+      port: parseInt(env.API_PORT || "8080"),
+    },
+    explorer: {
+      apiUrl: env.EXPLORER_API_URL || "https://api.etherscan.io/v2/api", // Any Etherscan-compatible API
+      apiKey: env.EXPLORER_API_KEY || env.ETHERSCAN_API_KEY,
+      pollIntervalMs: parseInt(env.EXPLORER_POLL_INTERVAL_MS || "5000"),
+      timeoutSeconds: parseInt(env.EXPLORER_TIMEOUT_SECONDS || "300"), // For one verification, submission retries included
+    },
+    webhooks: {
+      file: env.WEBHOOKS_FILE, // JSON or YAML list of sinks; see README
+      maxAttempts: parseInt(env.WEBHOOK_MAX_ATTEMPTS || "5"),
+      backoffMs: parseInt(env.WEBHOOK_BACKOFF_MS || "2000"), // Doubles after every failed attempt
+      timeoutMs: parseInt(env.WEBHOOK_TIMEOUT_MS || "10000"), // Per request
+      pollIntervalMs: parseInt(env.NOTIFY_POLL_INTERVAL_MS || "15000"), // notify --watch
+    },
+    resolver: {
+      pollIntervalMs: parseInt(env.RESOLVER_POLL_INTERVAL_MS || "30000"),
+    },
+    db: {
+      backend: (env.DB_BACKEND || "sqlite").toLowerCase(), // sqlite, mysql (alias: mariadb), memory
+      filePath: path.resolve(ROOT_DIR, env.DB_FILE_PATH || "contracts.db"),
+      host: env.DB_HOST || "localhost",
+      port: env.DB_PORT ? parseInt(env.DB_PORT) : 3306,
+      user: env.DB_USER,
+      password: env.DB_PASSWORD,
+      database: env.DB_NAME,
+    },
+  };
+}
+
+module.exports = { ROOT_DIR, loadConfig };
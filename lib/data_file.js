@@ -0,0 +1,16 @@
+// lib/data_file.js
+
+const fs = require("fs");
+const path = require("path");
+const YAML = require("yaml");
+
+// Reads a JSON or YAML document, picking the parser from the file extension
+function readDataFile(filePath) {
+  const raw = fs.readFileSync(filePath, "utf8");
+  const extension = path.extname(filePath).toLowerCase();
+  return extension === ".yaml" || extension === ".yml"
+    ? YAML.parse(raw)
+    : JSON.parse(raw);
+}
+
+module.exports = { readDataFile };
@@ -0,0 +1,564 @@
+// lib/deployer.js
+
+const { ethers } = require("ethers");
+const {
+  compilerSettings,
+  compileProject,
+  standardJsonInput,
+  extractContract,
+} = require("./compiler");
+const { connectNetwork } = require("./networks");
+const { createSigner, signerType } = require("./signer");
+const { DeploymentLogger } = require("./logger");
+const {
+  feePolicy,
+  resolveFees,
+  describeFees,
+  recordTransaction,
+  sendReplacement,
+  confirmTransactions,
+} = require("./transactions");
+const { findMatchingFactory } = require("./deployment_check");
+const { registerDeployment } = require("./registry");
+
+const MAX_RUNTIME_CODE_SIZE = 24576; // EIP-170: 24 KiB
+const MAX_INITCODE_SIZE = 49152; // EIP-3860: 2 * MAX_RUNTIME_CODE_SIZE
+
+function parseFeePercent(value) {
+  if (value === undefined || isNaN(parseInt(value))) {
+    throw new Error(
+      "FACTORY_FEE_PERCENT environment variable is not set or is not a valid number."
+    );
+  }
+  const feePercent = parseInt(value);
+  if (feePercent < 0 || feePercent > 100) {
+    throw new Error("FACTORY_FEE_PERCENT must be between 0 and 100.");
+  }
+  return feePercent;
+}
+
+// --- Dry Run ---
+// Everything short of broadcasting: gas estimate, an eth_call of the creation
+// transaction, pricing with the fee policy against the balance and the EIP-170
+// size limit.
+async function simulateDeployment({
+  logger,
+  provider,
+  factoryContractFactory,
+  feePercent,
+  from,
+  balance,
+  runtimeBytecode,
+  fees,
+}) {
+  const deployTx = await factoryContractFactory.getDeployTransaction(
+    feePercent
+  );
+  deployTx.from = from;
+
+  const runtimeSize = ethers.dataLength(runtimeBytecode);
+  const initcodeSize = ethers.dataLength(deployTx.data);
+  await logger.info(
+    `Runtime bytecode size: ${runtimeSize} bytes (EIP-170 limit ${MAX_RUNTIME_CODE_SIZE}); init code size: ${initcodeSize} bytes (EIP-3860 limit ${MAX_INITCODE_SIZE}).`,
+    { runtimeSize, initcodeSize }
+  );
+  if (runtimeSize > MAX_RUNTIME_CODE_SIZE) {
+    await logger.warn(
+      `Runtime bytecode exceeds the EIP-170 limit by ${
+        runtimeSize - MAX_RUNTIME_CODE_SIZE
+      } bytes; the deployment would fail on chains that enforce it.`
+    );
+  }
+  if (initcodeSize > MAX_INITCODE_SIZE) {
+    await logger.warn(
+      `Init code exceeds the EIP-3860 limit by ${
+        initcodeSize - MAX_INITCODE_SIZE
+      } bytes.`
+    );
+  }
+
+  // Both throw (CALL_EXCEPTION) if the constructor would revert
+  const gasLimit = await provider.estimateGas(deployTx);
+  const simulatedCode = await provider.call(deployTx);
+  await logger.info(
+    `eth_call simulation succeeded; it returned ${ethers.dataLength(
+      simulatedCode
+    )} bytes of runtime code.`
+  );
+
+  // The fees a real run would send with (FEE_MULTIPLIER, PRIORITY_FEE_GWEI
+  // and MAX_FEE_GWEI applied)
+  let expectedGasPrice;
+  let maxGasPrice;
+  if (fees.type === 2) {
+    const { baseFeePerGas } = await provider.getBlock("latest");
+    maxGasPrice = fees.maxFeePerGas;
+    const expected = baseFeePerGas + fees.maxPriorityFeePerGas;
+    expectedGasPrice = expected < maxGasPrice ? expected : maxGasPrice;
+    await logger.info(
+      `Fee policy: ${describeFees(fees)}; current base fee ${ethers.formatUnits(
+        baseFeePerGas,
+        "gwei"
+      )} gwei.`,
+      fees
+    );
+  } else {
+    // Pre-London chain: legacy gas price only
+    expectedGasPrice = maxGasPrice = fees.gasPrice;
+    await logger.info(`Fee policy: ${describeFees(fees)}.`, fees);
+  }
+
+  const expectedCost = gasLimit * expectedGasPrice;
+  const maxCost = gasLimit * maxGasPrice;
+  await logger.info(
+    `Estimated gas: ${gasLimit}. Expected cost: ${ethers.formatEther(
+      expectedCost
+    )} ETH, worst case: ${ethers.formatEther(maxCost)} ETH.`,
+    { gasLimit, expectedCostWei: expectedCost, maxCostWei: maxCost }
+  );
+
+  if (balance < expectedCost) {
+    await logger.error(
+      `Wallet balance ${ethers.formatEther(
+        balance
+      )} ETH does not cover the expected cost.`
+    );
+  } else if (balance < maxCost) {
+    await logger.warn(
+      `Wallet balance ${ethers.formatEther(
+        balance
+      )} ETH covers the expected cost but not the worst case.`
+    );
+  } else {
+    await logger.info("Wallet balance covers the worst-case cost.");
+  }
+
+  return {
+    gasLimit,
+    expectedCost,
+    maxCost,
+    balance,
+    runtimeSize,
+    initcodeSize,
+    sufficientBalance: balance >= maxCost,
+  };
+}
+
+// --- Deployment Outcome ---
+// Final status once one of the deployment's transactions is mined: DEPLOYED,
+// FAILED if it reverted, or CANCELLED if a cancel transaction took the nonce.
+async function recordOutcome(
+  store,
+  logger,
+  deploymentId,
+  contractName,
+  { receipt, kind }
+) {
+  const mined = {
+    txHash: receipt.hash,
+    blockNumber: receipt.blockNumber,
+    gasUsed: receipt.gasUsed,
+    effectiveGasPrice: receipt.gasPrice,
+  };
+  if (receipt.status !== 1) {
+    await store.updateDeployment(deploymentId, {
+      status: "FAILED",
+      blockNumber: receipt.blockNumber,
+    });
+    await logger.error(
+      `Deployment transaction ${receipt.hash} reverted in block ${receipt.blockNumber}.`,
+      mined
+    );
+    return "FAILED";
+  }
+  if (kind === "CANCEL") {
+    await store.updateDeployment(deploymentId, {
+      status: "CANCELLED",
+      blockNumber: receipt.blockNumber,
+    });
+    await logger.warn(
+      `Deployment ${deploymentId} cancelled: its nonce was used by cancel transaction ${receipt.hash}.`,
+      mined
+    );
+    return "CANCELLED";
+  }
+
+  await logger.done(
+    `${contractName} deployed successfully to: ${receipt.contractAddress}`,
+    { address: receipt.contractAddress, ...mined }
+  );
+  // A speed-up replaces the transaction hash the row was created with
+  await store.updateDeployment(deploymentId, {
+    address: receipt.contractAddress,
+    txHash: receipt.hash,
+    deployedAt: new Date(),
+    status: "DEPLOYED",
+    blockNumber: receipt.blockNumber,
+  });
+  return "DEPLOYED";
+}
+
+// --- Main Deployment Function ---
+// `store` is any store from lib/store (SQLite, MariaDB/MySQL or memory).
+// With `options.dryRun`, nothing is broadcast and the row is recorded as DRY_RUN.
+// If a matching factory is already DEPLOYED on the chain, the row is recorded
+// as SKIPPED and nothing is sent, unless `options.force`.
+// `options.logger` lets a caller supply its own DeploymentLogger; by default one
+// is created from config.logging. Each call has its own logger and row ID, so
+// several deployments can run side by side. `options.onCreate(deploymentId)` is
+// awaited once the row exists, before anything is sent.
+async function deployForecastFactory(store, config, options = {}) {
+  const logger = options.logger || new DeploymentLogger(store, config.logging);
+  let deploymentId = null;
+
+  try {
+    await logger.debug("Opening the deployment database.");
+    await store.init(); // Initialize database and tables
+
+    // 1. Insert a 'PENDING' entry into deployed_contracts to get an ID for logging
+    deploymentId = await store.createDeployment({
+      contractName: "ForecastGameFactory",
+    });
+    await logger.attach(deploymentId);
+    await logger.info(
+      `Started deployment process for ForecastGameFactory (ID: ${deploymentId}).`
+    );
+    if (options.onCreate) await options.onCreate(deploymentId);
+  } catch (error) {
+    await logger.error(
+      `Fatal: Could not initialize deployment record in DB. Aborting. Error: ${error.message}`
+    );
+    await logger.close();
+    await store.close().catch(() => {});
+    return { deploymentId: null };
+  }
+
+  try {
+    // 2. Compile the Solidity sources (or reuse cached artifacts)
+    const compileLog = logger.child({ step: "compile" });
+    const settings = compilerSettings(config.compiler);
+    await compileLog.info(
+      `Compiling Solidity sources in ${config.contractsDir}.`,
+      { settings }
+    );
+    const build = compileProject(
+      config.contractsDir,
+      config.artifactsDir,
+      settings
+    );
+    const { compilerVersion, errors, warnings } = build;
+
+    for (const warning of warnings) {
+      await compileLog.warn(
+        `Compiler ${warning.severity}: ${warning.message}`
+      );
+    }
+    if (errors.length) {
+      for (const err of errors) {
+        await compileLog.error(`Compilation Error: ${err.message}`);
+      }
+      throw new Error(
+        `Solidity compilation failed:\n${errors
+          .map((err) => err.formattedMessage)
+          .join("\n")}`
+      );
+    }
+
+    const {
+      qualifiedName,
+      abi: factoryABI,
+      bytecode: factoryBytecode,
+      runtimeBytecode: factoryRuntimeBytecode,
+    } = extractContract(build, "ForecastGameFactory");
+
+    await compileLog.done("Solidity compilation successful.", {
+      compilerVersion,
+      buildHash: build.buildHash,
+      cached: build.cached,
+    });
+    await compileLog.info(
+      build.cached
+        ? `Sources and settings unchanged; using cached artifacts in ${build.buildDir}`
+        : `Artifacts written to ${build.buildDir}`
+    );
+    await compileLog.info("ForecastGameFactory ABI and Bytecode extracted.");
+
+    // 3. Connect to the target network and set up the wallet
+    const connectLog = logger.child({ step: "connect" });
+    await connectLog.info("Setting up Ethereum provider and wallet...");
+    const { provider, chainId, name: networkName } = await connectNetwork(
+      config
+    );
+    await store.updateDeployment(deploymentId, { chainId, networkName });
+    await connectLog.info(
+      `Connected to network ${networkName} (chain ID ${chainId}).`,
+      { chainId }
+    );
+
+    const wallet = await createSigner(config, provider);
+    const accountAddress = await wallet.getAddress();
+    const walletType = signerType(config.signer);
+    await store.updateDeployment(deploymentId, {
+      signerType: walletType,
+      signerAddress: accountAddress,
+    });
+    await connectLog.info(`Using wallet address: ${accountAddress}`, {
+      signerType: walletType,
+    });
+
+    const balance = await provider.getBalance(accountAddress);
+    await connectLog.done(
+      `Wallet balance: ${ethers.formatEther(balance)} ETH`,
+      { balanceWei: balance }
+    );
+    if (balance < ethers.parseEther("0.001")) {
+      // Simple check, adjust as needed
+      await connectLog.warn(
+        "Low ETH balance in wallet. Deployment might fail due to insufficient funds."
+      );
+    }
+
+    // 4. Deploy ForecastGameFactory Contract
+    const feePercent = parseFeePercent(config.factoryFeePercent);
+    const factoryContractFactory = new ethers.ContractFactory(
+      factoryABI,
+      factoryBytecode,
+      wallet
+    );
+    const artifactFields = {
+      abi: factoryABI,
+      bytecode: factoryBytecode,
+      runtimeBytecode: factoryRuntimeBytecode,
+      constructorArgs: factoryContractFactory.interface.encodeDeploy([
+        feePercent,
+      ]),
+      compilerVersion,
+      compilerSettings: JSON.stringify(settings),
+      // Kept for explorer verification (the `verify` command)
+      compilerInput: JSON.stringify(
+        standardJsonInput(config.contractsDir, build)
+      ),
+      qualifiedName,
+    };
+
+    // An identical factory (same code, metadata aside, and fee) that is still
+    // on chain makes a new deployment redundant unless it is forced
+    const existing = await findMatchingFactory(store, provider, {
+      chainId,
+      bytecode: factoryBytecode,
+      runtimeBytecode: factoryRuntimeBytecode,
+      feePercent,
+    });
+    if (existing && options.force) {
+      await connectLog.warn(
+        `Deployment ${existing.id} at ${existing.address} already has the same code and fee; deploying another one (forced).`
+      );
+    } else if (existing && options.dryRun) {
+      await connectLog.info(
+        `Deployment ${existing.id} at ${existing.address} already has the same code and fee; a real run would skip.`
+      );
+    } else if (existing) {
+      await store.updateDeployment(deploymentId, {
+        ...artifactFields,
+        status: "SKIPPED",
+      });
+      await connectLog.done(
+        `ForecastGameFactory with a ${feePercent}% fee is already deployed at ${existing.address} (ID: ${existing.id}); skipping. Use --force to deploy another one.`,
+        { existingDeploymentId: existing.id, address: existing.address }
+      );
+      return { deploymentId, skipped: true, existing };
+    }
+
+    if (options.dryRun) {
+      const simulateLog = logger.child({ step: "simulate" });
+      await simulateLog.info(
+        `Deploying with FACTORY_FEE_PERCENT: ${feePercent}%`
+      );
+      const report = await simulateDeployment({
+        logger: simulateLog,
+        provider,
+        factoryContractFactory,
+        feePercent,
+        from: accountAddress,
+        balance,
+        runtimeBytecode: factoryRuntimeBytecode,
+        fees: await resolveFees(provider, feePolicy(config.fees)),
+      });
+      await store.updateDeployment(deploymentId, {
+        ...artifactFields,
+        status: "DRY_RUN",
+      });
+      await simulateLog.done(
+        `Dry run complete for ID ${deploymentId}; nothing was broadcast.`
+      );
+      return { deploymentId, dryRun: report };
+    }
+
+    const deployLog = logger.child({ step: "deploy" });
+    await deployLog.info(`Deploying with FACTORY_FEE_PERCENT: ${feePercent}%`);
+    await deployLog.info(
+      `Deploying ForecastGameFactory contract to ${networkName}...`
+    );
+
+    const policy = feePolicy(config.fees);
+    const fees = await resolveFees(provider, policy);
+    await deployLog.info(`Fee policy: ${describeFees(fees)}.`, fees);
+
+    // Pass the constructor argument(s) and the fees to the deploy method
+    const deployedFactory = await factoryContractFactory.deploy(
+      feePercent,
+      fees
+    );
+
+    const deployTx = deployedFactory.deploymentTransaction();
+
+    // Persist the transaction before waiting on it, so `reconcile` can finish
+    // the job if this process dies before the receipt arrives
+    await store.updateDeployment(deploymentId, {
+      ...artifactFields,
+      txHash: deployTx.hash,
+      nonce: deployTx.nonce,
+      sender: deployTx.from,
+    });
+    await recordTransaction(store, deploymentId, "ORIGINAL", deployTx);
+    await deployLog.info(
+      "Transaction sent. Waiting for deployment confirmation...",
+      { txHash: deployTx.hash, nonce: deployTx.nonce }
+    );
+
+    const outcome = await confirmTransactions({
+      store,
+      provider,
+      signer: wallet,
+      logger: deployLog,
+      deploymentId,
+      policy,
+    });
+    const status = await recordOutcome(
+      store,
+      deployLog,
+      deploymentId,
+      "ForecastGameFactory",
+      outcome
+    );
+    if (status === "DEPLOYED") {
+      await logger.info(`Contract details updated in DB for ID: ${deploymentId}`);
+      await registerDeployment(store, config, logger, deploymentId);
+    }
+  } catch (error) {
+    if (error.code === "CONFIRMATION_TIMEOUT") {
+      // The transaction may still be mined: leave the row PENDING
+      await logger.warn(
+        `${error.message} Deployment ${deploymentId} stays PENDING; run "speed-up", "cancel" or "reconcile" later.`
+      );
+      return { deploymentId };
+    }
+    await logger.error(
+      `Deployment failed for ID ${deploymentId}. Error: ${error.message}`
+    );
+    // Update status to FAILED if an error occurred after initial PENDING insert
+    try {
+      await store.updateDeployment(deploymentId, { status: "FAILED" });
+      await logger.info(`Deployment status set to FAILED for ID: ${deploymentId}`);
+    } catch (updateError) {
+      console.error(
+        "Error updating contract status to FAILED:",
+        updateError.message
+      );
+    }
+  } finally {
+    await logger.info("Closing database connection.");
+    await logger.close();
+    await store.close().catch(() => {});
+  }
+
+  return { deploymentId };
+}
+
+// --- Stuck Deployments ---
+// `speed-up` / `cancel`: re-sends the nonce of a PENDING deployment with bumped
+// fees (kind SPEED_UP or CANCEL) from the account that sent it, then waits for
+// confirmation under the same policy as a deployment. Returns the new status.
+async function replaceDeploymentTransaction(store, config, deploymentId, kind) {
+  await store.init();
+  const logger = new DeploymentLogger(store, config.logging, {
+    step: kind === "CANCEL" ? "cancel" : "speed-up",
+  });
+  try {
+    const row = await store.getDeployment(deploymentId);
+    if (!row) throw new Error(`Deployment ${deploymentId} not found.`);
+    if (row.status !== "PENDING" || !row.tx_hash) {
+      throw new Error(
+        `Deployment ${deploymentId} is ${row.status}${
+          row.tx_hash ? "" : " without a transaction"
+        }; only a PENDING deployment in flight can be replaced.`
+      );
+    }
+    const { provider, chainId } = await connectNetwork(config);
+    if (row.chain_id !== null && Number(row.chain_id) !== chainId) {
+      throw new Error(
+        `Deployment ${deploymentId} targets chain ID ${row.chain_id}, but the endpoint is on chain ID ${chainId}.`
+      );
+    }
+    const signer = await createSigner(config, provider);
+    const from = await signer.getAddress();
+    if (from.toLowerCase() !== row.sender.toLowerCase()) {
+      throw new Error(
+        `Deployment ${deploymentId} was sent by ${row.sender}, not by the configured signer ${from}.`
+      );
+    }
+    if ((await provider.getTransactionCount(from, "latest")) > Number(row.nonce)) {
+      throw new Error(
+        `Nonce ${row.nonce} of deployment ${deploymentId} is already mined; run "reconcile" instead.`
+      );
+    }
+    await logger.attach(row.id);
+
+    // Deployments sent before transactions were tracked only know their hash
+    if ((await store.listDeploymentTxs(row.id)).length === 0) {
+      const original = await provider.getTransaction(row.tx_hash);
+      if (!original) {
+        throw new Error(
+          `The node no longer knows transaction ${row.tx_hash}; run "reconcile" instead.`
+        );
+      }
+      await recordTransaction(store, row.id, "ORIGINAL", original);
+    }
+
+    const ctx = {
+      store,
+      provider,
+      signer,
+      logger,
+      deploymentId: row.id,
+      policy: feePolicy(config.fees),
+    };
+    await sendReplacement(ctx, kind);
+    try {
+      const outcome = await confirmTransactions(ctx);
+      return await recordOutcome(
+        store,
+        logger,
+        row.id,
+        row.contract_name,
+        outcome
+      );
+    } catch (error) {
+      if (error.code !== "CONFIRMATION_TIMEOUT") throw error;
+      await logger.warn(
+        `${error.message} Deployment ${deploymentId} stays PENDING.`
+      );
+      return "PENDING";
+    }
+  } finally {
+    await logger.close();
+    await store.close().catch(() => {});
+  }
+}
+
+module.exports = {
+  deployForecastFactory,
+  simulateDeployment,
+  parseFeePercent,
+  replaceDeploymentTransaction,
+};
@@ -0,0 +1,248 @@
+// lib/deployment_check.js
+
+const { ethers } = require("ethers");
+const { connectNetwork } = require("./networks");
+const {
+  compilerSettings,
+  compileProject,
+  extractContract,
+} = require("./compiler");
+const { FORECAST_GAME_FACTORY_ABI } = require("./abi");
+const { sameAddress } = require("./util");
+
+// --- Bytecode Comparison ---
+// solc appends CBOR metadata (a hash of the sources and settings, and the
+// compiler version) to the code of every contract, including the creation code
+// the factory carries for ForecastGame. Builds of the same code differ only in
+// those sections, so they are removed before comparing. One pattern per
+// SOLC_METADATA_HASH setting: ipfs, bzzr1, none.
+const METADATA_PATTERNS = [
+  /a264697066735822[0-9a-f]{68}64736f6c6343[0-9a-f]{6}0033/g,
+  /a265627a7a72315820[0-9a-f]{64}64736f6c6343[0-9a-f]{6}0032/g,
+  /a164736f6c6343[0-9a-f]{6}000a/g,
+];
+
+function stripMetadata(code) {
+  let hex = code.toLowerCase().replace(/^0x/, "");
+  for (const pattern of METADATA_PATTERNS) hex = hex.replace(pattern, "");
+  return hex;
+}
+
+function sameCode(a, b) {
+  return stripMetadata(a) === stripMetadata(b);
+}
+
+// --- Existing Deployments ---
+// The newest DEPLOYED factory on `chainId` built from the same init code
+// (metadata aside) that still holds the expected runtime code and charges
+// `feePercent`, or null. Used by the deployer to skip redundant deployments.
+async function findMatchingFactory(
+  store,
+  provider,
+  { chainId, bytecode, runtimeBytecode, feePercent }
+) {
+  const rows = await store.listDeployments({
+    contractName: "ForecastGameFactory",
+    chainId,
+    status: "DEPLOYED",
+  });
+  for (const row of rows.reverse()) {
+    if (!row.address || !row.bytecode || !sameCode(row.bytecode, bytecode)) {
+      continue;
+    }
+    const code = await provider.getCode(row.address);
+    if (!sameCode(code, runtimeBytecode)) continue;
+    const factory = new ethers.Contract(
+      row.address,
+      FORECAST_GAME_FACTORY_ABI,
+      provider
+    );
+    if ((await factory.feePercent()) === BigInt(feePercent)) return row;
+  }
+  return null;
+}
+
+// --- Expected Code ---
+// The recorded runtime bytecode, or for rows deployed before it was stored,
+// a compile of the current sources with the row's settings, trusted only if it
+// reproduces the recorded init code. Compiles are shared across rows.
+async function expectedRuntime(config, row, builds) {
+  if (row.runtime_bytecode) {
+    return { code: row.runtime_bytecode, source: "stored" };
+  }
+  if (!row.bytecode) return { code: null, source: null };
+  const settings = row.compiler_settings
+    ? JSON.parse(row.compiler_settings)
+    : compilerSettings(config.compiler);
+  const key = JSON.stringify(settings);
+  if (!builds.has(key)) {
+    builds.set(
+      key,
+      compileProject(config.contractsDir, config.artifactsDir, settings)
+    );
+  }
+  const build = builds.get(key);
+  if (build.errors.length) return { code: null, source: null };
+  let compiled;
+  try {
+    compiled = extractContract(build, row.contract_name);
+  } catch (error) {
+    return { code: null, source: null };
+  }
+  return sameCode(compiled.bytecode, row.bytecode)
+    ? { code: compiled.runtimeBytecode, source: "compiled" }
+    : { code: null, source: null };
+}
+
+// --- Verify One Deployment ---
+// status, from least to most serious: OK, UNVERIFIED (nothing to compare the
+// code against), DRIFT (factory settings differ from what was deployed) or
+// MISMATCH (other code, or none).
+const STATUS_ORDER = ["OK", "UNVERIFIED", "DRIFT", "MISMATCH"];
+
+async function checkDeployment(ctx, row) {
+  const { store, provider } = ctx;
+  const result = {
+    id: row.id,
+    contractName: row.contract_name,
+    address: row.address,
+    status: "OK",
+    code: null, // MATCH, MISMATCH, MISSING or UNKNOWN
+    codeSource: null, // stored or compiled
+    feePercent: null,
+    owner: null,
+    problems: [],
+  };
+  const flag = (status, problem) => {
+    result.problems.push(problem);
+    if (STATUS_ORDER.indexOf(status) > STATUS_ORDER.indexOf(result.status)) {
+      result.status = status;
+    }
+  };
+
+  const code = await provider.getCode(row.address);
+  const expected = await expectedRuntime(ctx.config, row, ctx.builds);
+  result.codeSource = expected.source;
+  if (code === "0x") {
+    result.code = "MISSING";
+    flag("MISMATCH", "no code at the address");
+    return result;
+  }
+  if (!expected.code) {
+    result.code = "UNKNOWN";
+    flag(
+      "UNVERIFIED",
+      "no runtime bytecode recorded, and the current sources do not build the recorded init code"
+    );
+  } else if (sameCode(code, expected.code)) {
+    result.code = "MATCH";
+  } else {
+    result.code = "MISMATCH";
+    flag(
+      "MISMATCH",
+      `the code differs from the ${expected.source} runtime bytecode`
+    );
+    return result;
+  }
+  if (row.contract_name !== "ForecastGameFactory") return result;
+
+  const factory = new ethers.Contract(
+    row.address,
+    FORECAST_GAME_FACTORY_ABI,
+    provider
+  );
+  const [feePercent, owner] = await Promise.all([
+    factory.feePercent(),
+    factory.factoryOwner(),
+  ]);
+
+  // constructor(uint256 _feePercent)
+  const expectedFee = row.constructor_args
+    ? ethers.AbiCoder.defaultAbiCoder().decode(
+        ["uint256"],
+        row.constructor_args
+      )[0]
+    : null;
+  result.feePercent = { deployed: expectedFee, actual: feePercent };
+  if (expectedFee !== null && expectedFee !== feePercent) {
+    flag("DRIFT", `feePercent is ${feePercent}, deployed with ${expectedFee}`);
+  }
+
+  // Owner changes made with `admin update-owner` or an offline-signed
+  // update-owner are in audit_log; any change is drift, recorded or not
+  let deployer = row.sender;
+  if (!deployer && row.tx_hash) {
+    const tx = await provider.getTransaction(row.tx_hash);
+    deployer = tx ? tx.from : null;
+  }
+  const [change] = await store.findAudit({
+    action: "updateFactoryOwner",
+    contractAddress: row.address,
+    status: "SUCCEEDED",
+  });
+  const recordedOwner = change ? JSON.parse(change.details).newOwner : null;
+  result.owner = { deployer, recorded: recordedOwner, actual: owner };
+  if (recordedOwner && !sameAddress(owner, recordedOwner)) {
+    flag(
+      "DRIFT",
+      `factoryOwner is ${owner}, but audit entry ${change.id} transferred it to ${recordedOwner}`
+    );
+  } else if (recordedOwner && deployer && !sameAddress(owner, deployer)) {
+    flag(
+      "DRIFT",
+      `factoryOwner changed from the deployer ${deployer} to ${owner} (audit entry ${change.id})`
+    );
+  } else if (!recordedOwner && deployer && !sameAddress(owner, deployer)) {
+    flag(
+      "DRIFT",
+      `factoryOwner is ${owner}, not the deployer ${deployer}, and no update-owner is recorded`
+    );
+  }
+  return result;
+}
+
+// --- Command ---
+// Checks every DEPLOYED row on the connected chain; rows of other chains are
+// counted but not checked. Returns the results; any status other than OK sets
+// a non-zero exit code in the CLI.
+async function verifyDeployments(store, config) {
+  await store.init();
+  try {
+    const { provider, chainId, name } = await connectNetwork(config);
+    const rows = (await store.listDeployments({ status: "DEPLOYED" })).filter(
+      (row) => row.address
+    );
+    const onChain = rows.filter((row) => Number(row.chain_id) === chainId);
+    const ctx = { store, provider, config, builds: new Map() };
+    const results = [];
+    for (const row of onChain) {
+      results.push(await checkDeployment(ctx, row));
+    }
+
+    console.log(
+      `[INFO] Checked ${onChain.length} DEPLOYED row(s) on ${name} (chain ID ${chainId}); ${
+        rows.length - onChain.length
+      } on other chains skipped.`
+    );
+    for (const result of results) {
+      const line = `Deployment ${result.id} ${result.contractName} ${result.address}: ${result.status}`;
+      if (result.status === "OK") {
+        console.log(
+          `[INFO] ${line} (code matches the ${result.codeSource} bytecode)`
+        );
+      } else {
+        console.warn(`[WARNING] ${line}: ${result.problems.join("; ")}`);
+      }
+    }
+    return results;
+  } finally {
+    await store.close();
+  }
+}
+
+module.exports = {
+  stripMetadata,
+  sameCode,
+  findMatchingFactory,
+  verifyDeployments,
+};
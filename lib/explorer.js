@@ -0,0 +1,298 @@
+// lib/explorer.js
+
+const { connectNetwork } = require("./networks");
+const { DeploymentLogger } = require("./logger");
+const {
+  compilerSettings,
+  compileProject,
+  standardJsonInput,
+  extractContract,
+} = require("./compiler");
+const { sleep } = require("./util");
+
+// Explorer answers while it has not indexed a fresh contract yet: the
+// submission is retried until the timeout
+const NOT_INDEXED = /unable to locate contract ?code/i;
+const ALREADY_VERIFIED = /already verified/i;
+const PENDING = /pending in queue/i;
+
+// "0.8.30+commit.73712a01.Emscripten.clang" -> "v0.8.30+commit.73712a01"
+function explorerCompilerVersion(version) {
+  const match = /^v?(\d+\.\d+\.\d+\+commit\.[0-9a-f]+)/.exec(version || "");
+  if (!match) throw new Error(`Unrecognised compiler version "${version}".`);
+  return `v${match[1]}`;
+}
+
+// --- Explorer API ---
+// Etherscan-style endpoint: every call carries module/action/apikey, answers
+// { status: "1" | "0", message, result }. The chain goes in `chainid` (the
+// Etherscan V2 multichain API; stand-ins may ignore it).
+async function explorerCall(explorer, chainId, params, { post = false } = {}) {
+  const url = new URL(explorer.apiUrl);
+  url.searchParams.set("chainid", String(chainId));
+  const fields = new URLSearchParams({
+    apikey: explorer.apiKey || "",
+    module: "contract",
+    ...params,
+  });
+  let response;
+  if (post) {
+    response = await fetch(url, { method: "POST", body: fields });
+  } else {
+    for (const [key, value] of fields) url.searchParams.set(key, value);
+    response = await fetch(url);
+  }
+  if (!response.ok) {
+    throw new Error(
+      `Explorer API ${url.origin}${url.pathname} answered HTTP ${response.status}.`
+    );
+  }
+  const body = await response.json();
+  return {
+    ok: String(body.status) === "1",
+    result: String(body.result),
+    message: body.message,
+  };
+}
+
+// --- Verification Inputs ---
+// compilerInput and qualifiedName for rows recorded before they were stored,
+// from a compile of the current sources with the row's settings. Only trusted
+// if it reproduces the recorded init code exactly; throws otherwise.
+function recoverCompilerInput(config, row) {
+  if (!row.bytecode) {
+    throw new Error(`Deployment ${row.id} has no recorded init code.`);
+  }
+  const settings = row.compiler_settings
+    ? JSON.parse(row.compiler_settings)
+    : compilerSettings(config.compiler);
+  const build = compileProject(
+    config.contractsDir,
+    config.artifactsDir,
+    settings
+  );
+  const compiled = build.errors.length
+    ? null
+    : extractContract(build, row.contract_name);
+  if (!compiled || compiled.bytecode !== row.bytecode) {
+    throw new Error(
+      `The current sources do not compile to the init code of deployment ${row.id}; its compiler input cannot be rebuilt.`
+    );
+  }
+  const fields = {
+    compilerInput: JSON.stringify(
+      standardJsonInput(config.contractsDir, build)
+    ),
+    qualifiedName: compiled.qualifiedName,
+  };
+  if (!row.compiler_version) fields.compilerVersion = build.compilerVersion;
+  return fields;
+}
+
+// Whatever of compiler_input, qualified_name and constructor_args the row
+// lacks, the arguments read from the deployment transaction. Returns the
+// fields to store.
+async function missingVerificationFields(config, row, getProvider) {
+  const fields =
+    row.compiler_input && row.qualified_name
+      ? {}
+      : recoverCompilerInput(config, row);
+  if (!row.constructor_args) {
+    const tx = row.tx_hash
+      ? await (await getProvider(row)).getTransaction(row.tx_hash)
+      : null;
+    if (!tx || !tx.data.startsWith(row.bytecode)) {
+      throw new Error(
+        `The constructor arguments of deployment ${row.id} are not recorded and cannot be read from its transaction.`
+      );
+    }
+    fields.constructorArgs = `0x${tx.data.slice(row.bytecode.length)}`;
+  }
+  return fields;
+}
+
+// --- Verify One Deployment ---
+// Submits (or, for a SUBMITTED row, resumes polling) and records the outcome
+// on the row. Returns VERIFIED, FAILED, or SUBMITTED when the explorer had not
+// decided before the timeout (or `signal` aborted); run again to keep polling.
+// ABORTED means `signal` aborted before the explorer accepted a submission.
+async function verifyDeployment(ctx, row) {
+  const { store, config, explorer, signal } = ctx;
+  const logger = new DeploymentLogger(store, config.logging, {
+    step: "verify",
+  });
+  await logger.attach(row.id);
+  const chainId = Number(row.chain_id);
+  const deadline = Date.now() + explorer.timeoutSeconds * 1000;
+  const record = async (status, message, fields = {}) => {
+    await store.updateDeployment(row.id, {
+      verificationStatus: status,
+      verificationMessage: message,
+      ...(status === "VERIFIED" ? { verifiedAt: new Date() } : {}),
+      ...fields,
+    });
+    return status;
+  };
+
+  try {
+    let guid =
+      row.verification_status === "SUBMITTED" && !ctx.force
+        ? row.verification_guid
+        : null;
+    if (!guid) {
+      const fields = await missingVerificationFields(
+        config,
+        row,
+        ctx.getProvider
+      );
+      if (Object.keys(fields).length) {
+        await store.updateDeployment(row.id, fields);
+        await logger.info("Recovered the missing verification inputs.", {
+          fields: Object.keys(fields),
+        });
+      }
+      const constructorArgs = fields.constructorArgs || row.constructor_args;
+      const submission = {
+        action: "verifysourcecode",
+        contractaddress: row.address,
+        sourceCode: fields.compilerInput || row.compiler_input,
+        codeformat: "solidity-standard-json-input",
+        contractname: fields.qualifiedName || row.qualified_name,
+        compilerversion: explorerCompilerVersion(
+          fields.compilerVersion || row.compiler_version
+        ),
+        constructorArguements: constructorArgs.replace(/^0x/, ""), // sic
+      };
+      await logger.info(
+        `Submitting ${submission.contractname} at ${row.address} to ${explorer.apiUrl} (chain ID ${chainId}, compiler ${submission.compilerversion}).`
+      );
+      for (;;) {
+        const answer = await explorerCall(explorer, chainId, submission, {
+          post: true,
+        });
+        if (answer.ok) {
+          guid = answer.result;
+          await record("SUBMITTED", answer.message, { verificationGuid: guid });
+          await logger.info(`Submission accepted (GUID ${guid}).`);
+          break;
+        }
+        if (ALREADY_VERIFIED.test(answer.result)) {
+          await logger.done(`${row.address} is already verified.`);
+          return record("VERIFIED", answer.result);
+        }
+        if (!NOT_INDEXED.test(answer.result) || Date.now() >= deadline) {
+          await logger.error(`Submission rejected: ${answer.result}`);
+          return record("FAILED", answer.result);
+        }
+        await logger.info(
+          `The explorer has not indexed ${row.address} yet; retrying.`
+        );
+        await sleep(explorer.pollIntervalMs, signal);
+        if (signal && signal.aborted) return "ABORTED";
+      }
+    } else {
+      await logger.info(`Resuming submission ${guid}.`);
+    }
+
+    for (;;) {
+      await sleep(explorer.pollIntervalMs, signal);
+      if (signal && signal.aborted) break;
+      const answer = await explorerCall(explorer, chainId, {
+        action: "checkverifystatus",
+        guid,
+      });
+      if (answer.ok || ALREADY_VERIFIED.test(answer.result)) {
+        await logger.done(`Verified ${row.address}: ${answer.result}`);
+        return record("VERIFIED", answer.result);
+      }
+      if (!PENDING.test(answer.result)) {
+        await logger.error(`Verification failed: ${answer.result}`);
+        return record("FAILED", answer.result);
+      }
+      if (Date.now() >= deadline) break;
+    }
+    await logger.warn(
+      `No verdict for GUID ${guid} yet; run "verify ${row.id}" again to keep polling.`
+    );
+    return "SUBMITTED";
+  } finally {
+    await logger.close();
+  }
+}
+
+// --- Command ---
+// Verifies the given DEPLOYED rows, or every DEPLOYED row not yet VERIFIED.
+// Rows already VERIFIED are skipped unless `options.force`, which also
+// resubmits SUBMITTED rows instead of polling them. `options.apiUrl` overrides
+// EXPLORER_API_URL. Returns { id: status }.
+async function runVerify(store, config, ids = [], options = {}) {
+  const explorer = {
+    ...config.explorer,
+    apiUrl: options.apiUrl || config.explorer.apiUrl,
+  };
+  await store.init();
+  try {
+    let rows;
+    if (ids.length) {
+      rows = [];
+      for (const id of ids) {
+        const row = await store.getDeployment(id);
+        if (!row) throw new Error(`Deployment ${id} not found.`);
+        rows.push(row);
+      }
+    } else {
+      rows = await store.listDeployments({ status: "DEPLOYED" });
+    }
+
+    // The RPC endpoint is only needed to read constructor arguments of old rows
+    let network = null;
+    const getProvider = async (row) => {
+      network = network || (await connectNetwork(config));
+      if (network.chainId !== Number(row.chain_id)) {
+        throw new Error(
+          `Deployment ${row.id} is on chain ID ${row.chain_id}, but the RPC endpoint is chain ID ${network.chainId}.`
+        );
+      }
+      return network.provider;
+    };
+    const ctx = { store, config, explorer, getProvider, ...options };
+
+    const results = {};
+    for (const row of rows) {
+      if (row.status !== "DEPLOYED" || !row.address) {
+        console.warn(
+          `[WARNING] Skipping deployment ${row.id}: ${
+            row.address ? `it is ${row.status}` : "no address is recorded"
+          }.`
+        );
+        continue;
+      }
+      if (row.verification_status === "VERIFIED" && !options.force) {
+        if (ids.length) {
+          console.log(`[INFO] Deployment ${row.id} is already verified.`);
+        }
+        results[row.id] = "VERIFIED";
+        continue;
+      }
+      try {
+        results[row.id] = await verifyDeployment(ctx, row);
+      } catch (error) {
+        console.error(
+          `[ERROR] Could not verify deployment ${row.id}: ${error.message}`
+        );
+        results[row.id] = "ERROR";
+      }
+      if (options.signal && options.signal.aborted) break;
+    }
+    return results;
+  } finally {
+    await store.close();
+  }
+}
+
+module.exports = {
+  explorerCompilerVersion,
+  recoverCompilerInput,
+  verifyDeployment,
+  runVerify,
+};
@@ -0,0 +1,206 @@
+// lib/exposure.js
+
+const { ethers } = require("ethers");
+const { connectNetwork } = require("./networks");
+const { gameContract, readGameState } = require("./game_reader");
+const { jsonReplacer, eth } = require("./util");
+
+// --- Contract Arithmetic ---
+// Mirrors ForecastGame.bet(). A bet of `amount` wei on option i (1-based) is
+// owed prize = amount * odds[i-1] / 100 (integer division) if i wins, and is
+// accepted only if max(oddAccumulate) + prize <= pool. oddAccumulate[i-1] is
+// the total the game owes if option i wins. Note that the check adds the prize
+// to the largest accumulated payout, whichever option that belongs to, so it is
+// stricter than the exposure the bet actually creates. All amounts are bigint wei.
+
+function findMax(values) {
+  let max = 0n;
+  for (const value of values) if (value > max) max = value;
+  return max;
+}
+
+function prizeFor(amountWei, odds) {
+  return (amountWei * BigInt(odds)) / 100n;
+}
+
+// Largest amount for which amount * odds / 100 <= headroom, or null when the
+// option has 0% odds and no bet can ever exceed the pool
+function largestBet(headroom, odds) {
+  if (headroom < 0n) return 0n;
+  if (odds === 0) return null;
+  return (100n * (headroom + 1n) - 1n) / BigInt(odds);
+}
+
+// { pool, odds, oddAccumulate } as read from the contract (or given offline),
+// checked for the shapes the contract guarantees
+function gameNumbers({ pool, odds, oddAccumulate }) {
+  if (typeof pool !== "bigint" || pool < 0n) {
+    throw new Error("pool must be a non-negative wei amount.");
+  }
+  if (
+    !odds.length ||
+    odds.some((odd) => !Number.isInteger(odd) || odd < 0 || odd > 255)
+  ) {
+    throw new Error("odds must be a list of uint8 percentages.");
+  }
+  if (oddAccumulate.length !== odds.length) {
+    throw new Error(
+      `oddAccumulate has ${oddAccumulate.length} entries but there are ${odds.length} odds.`
+    );
+  }
+  return { pool, odds, oddAccumulate };
+}
+
+// --- Exposure ---
+// Per option: what the game owes if it wins, and the largest bet bet() accepts now
+function exposureReport(game) {
+  const { pool, odds, oddAccumulate } = gameNumbers(game);
+  const maxPayout = findMax(oddAccumulate);
+  const headroom = pool - maxPayout;
+  return {
+    pool,
+    maxPayout,
+    headroom,
+    options: odds.map((odd, i) => ({
+      option: i + 1,
+      label: game.options ? game.options[i] : null,
+      odds: odd,
+      payoutIfWins: oddAccumulate[i],
+      surplusIfWins: pool - oddAccumulate[i],
+      maxBet: largestBet(headroom, odd),
+    })),
+  };
+}
+
+// --- Bet Acceptance ---
+// Whether bet(option) with `amountWei` would go through, and the fundPool()
+// top-up that would make it. `game.gameActive`, `game.gameFinalized` and
+// `alreadyBet` are only checked when known (they come from the chain).
+function checkBet(game, option, amountWei, { alreadyBet = false } = {}) {
+  const { pool, odds, oddAccumulate } = gameNumbers(game);
+  const problems = [];
+  if (game.gameActive === false || game.gameFinalized === true) {
+    problems.push("the game is not open for bets");
+  }
+  if (!Number.isInteger(option) || option < 1 || option > odds.length) {
+    problems.push(`option must be between 1 and ${odds.length}`);
+  }
+  if (alreadyBet) problems.push("the player has already bet on this game");
+  if (amountWei <= 0n) problems.push("the bet must be more than 0");
+  if (problems.length) {
+    return { option, amountWei, accepted: false, problems };
+  }
+
+  const prize = prizeFor(amountWei, odds[option - 1]);
+  const requiredPool = findMax(oddAccumulate) + prize;
+  const topUp = requiredPool > pool ? requiredPool - pool : 0n;
+  return {
+    option,
+    amountWei,
+    prize,
+    requiredPool,
+    accepted: topUp === 0n,
+    topUp,
+    problems: topUp === 0n ? [] : ["max(oddAccumulate) + prize exceeds the pool"],
+  };
+}
+
+// --- Inputs ---
+// Live state of a deployed game
+async function readGameNumbers(config, gameAddress, player) {
+  const { provider } = await connectNetwork(config);
+  const contract = gameContract(ethers.getAddress(gameAddress), provider);
+  const state = await readGameState(contract);
+  const alreadyBet = player
+    ? (await contract.players(ethers.getAddress(player))).amount > 0n
+    : false;
+  return { ...state, alreadyBet };
+}
+
+// Offline numbers: pool and accumulated payouts in ETH, odds in percent,
+// comma-separated per option; accumulated payouts default to 0
+function offlineGameNumbers({ pool, odds, accumulated }) {
+  if (pool === undefined || odds === undefined) {
+    throw new Error(
+      "Give a game address, or --pool and --odds (and optionally --accumulated)."
+    );
+  }
+  const oddList = odds.split(",").map((odd) => Number(odd.trim()));
+  return {
+    pool: ethers.parseEther(pool),
+    odds: oddList,
+    oddAccumulate: accumulated
+      ? accumulated.split(",").map((value) => ethers.parseEther(value.trim()))
+      : oddList.map(() => 0n),
+  };
+}
+
+// --- Command ---
+// Prints the exposure table, and the verdict on one bet if `bet` is given.
+// With `json`, prints both as JSON with wei amounts as decimal strings.
+async function runExposure(config, gameAddress, options = {}) {
+  const game = gameAddress
+    ? await readGameNumbers(config, gameAddress, options.player)
+    : offlineGameNumbers(options);
+  const report = exposureReport(game);
+  const bet = options.bet
+    ? checkBet(game, options.bet.option, options.bet.amountWei, {
+        alreadyBet: game.alreadyBet,
+      })
+    : null;
+
+  if (options.json) {
+    console.log(
+      JSON.stringify(
+        { game: game.address || null, ...report, bet },
+        jsonReplacer,
+        2
+      )
+    );
+    return { report, bet };
+  }
+
+  console.log(
+    `${
+      game.address ? `"${game.question}" (${game.address})` : "Offline game"
+    }: pool ${eth(report.pool)}, worst-case payout ${eth(
+      report.maxPayout
+    )}, headroom ${eth(report.headroom)}`
+  );
+  for (const entry of report.options) {
+    console.log(
+      `  ${entry.option}${entry.label ? ` ${entry.label}` : ""}: odds ${
+        entry.odds
+      }%, owed if it wins ${eth(entry.payoutIfWins)}, max bet ${
+        entry.maxBet === null ? "unlimited" : eth(entry.maxBet)
+      }`
+    );
+  }
+  if (bet) {
+    const subject = `Bet of ${eth(bet.amountWei)} on option ${bet.option}`;
+    if (bet.prize === undefined) {
+      console.log(`${subject}: rejected (${bet.problems.join("; ")}).`);
+    } else if (bet.accepted) {
+      console.log(
+        `${subject}: accepted (prize ${eth(bet.prize)}, required pool ${eth(
+          bet.requiredPool
+        )}).`
+      );
+    } else {
+      console.log(
+        `${subject}: rejected (prize ${eth(bet.prize)}, required pool ${eth(
+          bet.requiredPool
+        )}); a fundPool top-up of ${eth(bet.topUp)} would accept it.`
+      );
+    }
+  }
+  return { report, bet };
+}
+
+module.exports = {
+  prizeFor,
+  largestBet,
+  exposureReport,
+  checkBet,
+  runExposure,
+};
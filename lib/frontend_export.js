@@ -0,0 +1,314 @@
+// lib/frontend_export.js
+
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { FORECAST_GAME_ABI } = require("./abi");
+
+const ADDRESS_BOOK_FORMAT = 1; // Bump when the shape of <chainId>.json changes
+const GENERATED_HEADER =
+  "// Generated by `forecast_deployer.js export-frontend`; do not edit.";
+
+// --- Address Book ---
+// deployments/<chainId>.json: per contract the DEPLOYED row promoted to
+// CURRENT (`registry promote`), or else the newest, plus the other DEPLOYED
+// addresses (newest first) so old games can still be found.
+// `revision` goes up whenever the addresses change.
+function addressEntry(row) {
+  return {
+    address: row.address,
+    deploymentId: row.id,
+    txHash: row.tx_hash,
+    blockNumber: row.block_number === null ? null : Number(row.block_number),
+    deployedAt: row.deployed_at,
+    compilerVersion: row.compiler_version,
+    version: row.version,
+    lifecycle: row.lifecycle,
+  };
+}
+
+function addressBook(chainId, rows) {
+  const contracts = {};
+  const previous = {};
+  const newestFirst = [...rows].reverse();
+  for (const row of newestFirst) {
+    const name = row.contract_name;
+    if (contracts[name]) continue;
+    contracts[name] = addressEntry(
+      newestFirst.find(
+        (other) => other.contract_name === name && other.lifecycle === "CURRENT"
+      ) || row
+    );
+  }
+  for (const row of newestFirst) {
+    const name = row.contract_name;
+    if (contracts[name].deploymentId === row.id) continue;
+    (previous[name] = previous[name] || []).push(addressEntry(row));
+  }
+  return {
+    format: ADDRESS_BOOK_FORMAT,
+    chainId,
+    networkName: rows[rows.length - 1].network_name,
+    contracts,
+    previous,
+  };
+}
+
+function readJson(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch (error) {
+    if (error.code === "ENOENT") return null;
+    throw new Error(`Cannot read ${filePath}: ${error.message}`);
+  }
+}
+
+// Writes the book unless only the timestamp would change; returns the status
+function writeAddressBook(filePath, book) {
+  const existing = readJson(filePath);
+  const same =
+    existing &&
+    existing.format === book.format &&
+    JSON.stringify([existing.contracts, existing.previous]) ===
+      JSON.stringify([book.contracts, book.previous]);
+  if (same) return { status: "unchanged", revision: existing.revision };
+  const revision = existing ? (existing.revision || 0) + 1 : 1;
+  fs.writeFileSync(
+    filePath,
+    JSON.stringify(
+      {
+        format: book.format,
+        revision,
+        chainId: book.chainId,
+        networkName: book.networkName,
+        updatedAt: new Date().toISOString(),
+        contracts: book.contracts,
+        previous: book.previous,
+      },
+      null,
+      2
+    ) + "\n"
+  );
+  return { status: existing ? "updated" : "created", revision };
+}
+
+// --- TypeScript Types ---
+// Solidity ABI types to what ethers v6 accepts (inputs) and returns (outputs)
+function tsType(type, forInput) {
+  const array = type.match(/^(.*)\[\d*\]$/);
+  if (array) return `${tsType(array[1], forInput)}[]`;
+  if (/^u?int\d*$/.test(type)) return forInput ? "BigNumberish" : "bigint";
+  if (type === "address") return forInput ? "AddressLike" : "string";
+  if (type === "bool") return "boolean";
+  if (type === "string") return "string";
+  if (/^bytes\d*$/.test(type)) return forInput ? "BytesLike" : "string";
+  return forInput ? "any" : "Result"; // tuples are not used by these contracts
+}
+
+function outputType(outputs) {
+  if (outputs.length === 0) return "void";
+  if (outputs.length === 1) return tsType(outputs[0].type, false);
+  const tuple = `[${outputs.map((output) => tsType(output.type, false)).join(", ")}]`;
+  const named = outputs.filter((output) => output.name);
+  if (!named.length) return tuple;
+  return `${tuple} & { ${named
+    .map((output) => `${output.name}: ${tsType(output.type, false)}`)
+    .join("; ")} }`;
+}
+
+function methodSignature(fragment) {
+  const params = fragment.inputs.map(
+    (input, i) => `${input.name || `arg${i}`}: ${tsType(input.type, true)}`
+  );
+  if (fragment.constant) {
+    params.push("overrides?: Overrides");
+    return `  ${fragment.name}(${params.join(", ")}): Promise<${outputType(
+      fragment.outputs
+    )}>;`;
+  }
+  params.push(
+    `overrides?: ${fragment.payable ? "PayableOverrides" : "Overrides"}`
+  );
+  return `  ${fragment.name}(${params.join(
+    ", "
+  )}): Promise<ContractTransactionResponse>;`;
+}
+
+function contractInterface(name, abi) {
+  const iface = new ethers.Interface(abi);
+  const methods = [];
+  iface.forEachFunction((fragment) => methods.push(methodSignature(fragment)));
+  return [`export interface ${name} extends BaseContract {`, ...methods, "}"].join(
+    "\n"
+  );
+}
+
+// --- Bindings ---
+// index.js (CommonJS, ethers v6) and index.d.ts over every address book in the
+// output directory, so exporting one database does not drop other chains.
+function collectAddresses(outDir) {
+  const addresses = {};
+  const files = fs
+    .readdirSync(outDir)
+    .filter((file) => /^\d+\.json$/.test(file))
+    .sort((a, b) => parseInt(a) - parseInt(b));
+  for (const file of files) {
+    const book = readJson(path.join(outDir, file));
+    addresses[book.chainId] = Object.fromEntries(
+      Object.entries(book.contracts).map(([name, entry]) => [name, entry.address])
+    );
+  }
+  return addresses;
+}
+
+function bindingsJs(addresses) {
+  return `${GENERATED_HEADER}
+
+const { Contract } = require("ethers");
+const ForecastGameFactoryAbi = require("./abi/ForecastGameFactory.json");
+const ForecastGameAbi = require("./abi/ForecastGame.json");
+
+// chain ID -> contract name -> CURRENT (or else latest) DEPLOYED address
+const addresses = ${JSON.stringify(addresses, null, 2)};
+
+function factoryAddress(chainId) {
+  const chain = addresses[String(chainId)];
+  if (!chain || !chain.ForecastGameFactory) {
+    throw new Error(\`No ForecastGameFactory deployed on chain ID \${chainId}.\`);
+  }
+  return chain.ForecastGameFactory;
+}
+
+function getForecastGameFactory(chainId, runner) {
+  return new Contract(factoryAddress(chainId), ForecastGameFactoryAbi, runner);
+}
+
+function getForecastGame(address, runner) {
+  return new Contract(address, ForecastGameAbi, runner);
+}
+
+module.exports = {
+  addresses,
+  ForecastGameFactoryAbi,
+  ForecastGameAbi,
+  factoryAddress,
+  getForecastGameFactory,
+  getForecastGame,
+};
+`;
+}
+
+function bindingsDts(factoryAbi, gameAbi) {
+  return `${GENERATED_HEADER}
+
+import type {
+  AddressLike,
+  BaseContract,
+  BigNumberish,
+  BytesLike,
+  ContractRunner,
+  ContractTransactionResponse,
+  InterfaceAbi,
+  Overrides,
+  PayableOverrides,
+  Result,
+} from "ethers";
+
+${contractInterface("ForecastGameFactory", factoryAbi)}
+
+${contractInterface("ForecastGame", gameAbi)}
+
+export declare const addresses: Record<string, Record<string, string>>;
+export declare const ForecastGameFactoryAbi: InterfaceAbi;
+export declare const ForecastGameAbi: InterfaceAbi;
+export declare function factoryAddress(chainId: BigNumberish): string;
+export declare function getForecastGameFactory(
+  chainId: BigNumberish,
+  runner?: ContractRunner | null
+): ForecastGameFactory;
+export declare function getForecastGame(
+  address: string,
+  runner?: ContractRunner | null
+): ForecastGame;
+`;
+}
+
+// --- Export ---
+// Writes into `outDir` (default "deployments"):
+//   <chainId>.json                  address book per chain with DEPLOYED rows
+//   abi/ForecastGameFactory.json    ABI of the newest DEPLOYED factory
+//   abi/ForecastGame.json           ABI from lib/abi.js (games are not compiled here)
+//   index.js, index.d.ts            ethers v6 contract helpers and their types
+// Only rows with status DEPLOYED are used; no RPC connection is needed.
+async function exportFrontend(store, options = {}) {
+  const outDir = options.outDir || "deployments";
+  await store.init();
+  let rows;
+  try {
+    rows = await store.listDeployments({ status: "DEPLOYED" });
+  } finally {
+    await store.close();
+  }
+  rows = rows.filter((row) => row.address);
+  const factories = rows.filter(
+    (row) => row.contract_name === "ForecastGameFactory"
+  );
+  if (!factories.length) {
+    throw new Error("No DEPLOYED ForecastGameFactory recorded; nothing to export.");
+  }
+
+  fs.mkdirSync(path.join(outDir, "abi"), { recursive: true });
+  const byChain = new Map();
+  for (const row of rows) {
+    const chainId = Number(row.chain_id);
+    if (!byChain.has(chainId)) byChain.set(chainId, []);
+    byChain.get(chainId).push(row);
+  }
+  for (const [chainId, chainRows] of byChain) {
+    const filePath = path.join(outDir, `${chainId}.json`);
+    const { status, revision } = writeAddressBook(
+      filePath,
+      addressBook(chainId, chainRows)
+    );
+    console.log(
+      `[INFO] ${filePath}: ${status} (revision ${revision}, ${chainRows.length} DEPLOYED row(s)).`
+    );
+  }
+
+  const latest = factories[factories.length - 1];
+  const factoryAbi = JSON.parse(latest.abi);
+  const differing = factories.filter(
+    (row) =>
+      Number(row.chain_id) !== Number(latest.chain_id) &&
+      JSON.stringify(JSON.parse(row.abi)) !== JSON.stringify(factoryAbi)
+  );
+  if (differing.length) {
+    console.warn(
+      `[WARNING] ${differing.length} DEPLOYED factory row(s) on other chains have a different ABI; the exported ABI is from deployment ${latest.id} (chain ID ${latest.chain_id}).`
+    );
+  }
+  const gameAbi = JSON.parse(new ethers.Interface(FORECAST_GAME_ABI).formatJson());
+  fs.writeFileSync(
+    path.join(outDir, "abi", "ForecastGameFactory.json"),
+    JSON.stringify(factoryAbi, null, 2) + "\n"
+  );
+  fs.writeFileSync(
+    path.join(outDir, "abi", "ForecastGame.json"),
+    JSON.stringify(gameAbi, null, 2) + "\n"
+  );
+
+  fs.writeFileSync(
+    path.join(outDir, "index.js"),
+    bindingsJs(collectAddresses(outDir))
+  );
+  fs.writeFileSync(
+    path.join(outDir, "index.d.ts"),
+    bindingsDts(factoryAbi, gameAbi)
+  );
+  console.log(
+    `[INFO] ABIs and contract bindings written to ${outDir} for ${byChain.size} chain(s).`
+  );
+  return { outDir, chains: [...byChain.keys()] };
+}
+
+module.exports = { exportFrontend };
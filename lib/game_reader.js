@@ -0,0 +1,76 @@
+// lib/game_reader.js
+
+const { ethers } = require("ethers");
+const { FORECAST_GAME_ABI } = require("./abi");
+
+// Public arrays only expose an indexed getter, so read until it reverts
+async function readIndexedArray(getter, maxLength = Infinity) {
+  const items = [];
+  for (let i = 0; i < maxLength; i++) {
+    try {
+      items.push(await getter(i));
+    } catch (error) {
+      if (ethers.isError(error, "CALL_EXCEPTION")) break;
+      throw error;
+    }
+  }
+  return items;
+}
+
+function gameContract(address, runner) {
+  return new ethers.Contract(address, FORECAST_GAME_ABI, runner);
+}
+
+// --- Game State ---
+// Snapshot of a ForecastGame's public state plus its actual ETH balance.
+async function readGameState(game) {
+  const provider = game.runner.provider || game.runner;
+  const address = await game.getAddress();
+  const options = await readIndexedArray((i) => game.options(i), 10);
+  const [
+    question,
+    odds,
+    oddAccumulate,
+    pool,
+    balance,
+    gameActive,
+    gameFinalized,
+    finalOption,
+    creator,
+    factory,
+    totalWinners,
+    claimedWinners,
+  ] = await Promise.all([
+    game.question(),
+    Promise.all(options.map((_, i) => game.odds(i))),
+    Promise.all(options.map((_, i) => game.oddAccumulate(i))),
+    game.pool(),
+    provider.getBalance(address),
+    game.gameActive(),
+    game.gameFinalized(),
+    game.finalOption(),
+    game.creator(),
+    game.factory(),
+    game.totalWinners(),
+    game.claimedWinners(),
+  ]);
+
+  return {
+    address,
+    question,
+    options,
+    odds: odds.map(Number),
+    oddAccumulate,
+    pool,
+    balance,
+    gameActive,
+    gameFinalized,
+    finalOption: Number(finalOption),
+    creator,
+    factory,
+    totalWinners,
+    claimedWinners,
+  };
+}
+
+module.exports = { readIndexedArray, gameContract, readGameState };
@@ -0,0 +1,232 @@
+// lib/games.js
+
+const { ethers } = require("ethers");
+const { connectNetwork } = require("./networks");
+const { createSigner } = require("./signer");
+const { readDataFile } = require("./data_file");
+
+const MAX_OPTIONS = 10; // ForecastGame constructor: _options.length <= 10
+const MAX_ODDS = 255; // odds are uint8 percentages
+
+// --- Game Spec ---
+// {
+//   "question": "Will it rain in Lisbon on 1 May?",
+//   "options": ["Yes", "No"],
+//   "odds": [180, 150],       // payout per option, in percent of the stake
+//   "funding": "0.5"          // ETH sent with createGame, before the factory fee
+// }
+function loadGameSpec(filePath) {
+  return readDataFile(filePath);
+}
+
+// Applies the same rules ForecastGameFactory.createGame and the ForecastGame
+// constructor enforce, so a bad spec fails here instead of as a revert.
+// Returns { question, options, odds, fundingWei }.
+function validateGameSpec(spec) {
+  const problems = [];
+  if (!spec || typeof spec !== "object") {
+    throw new Error("Game spec must be an object.");
+  }
+
+  const { question, options, odds, funding } = spec;
+  if (typeof question !== "string" || question.length === 0) {
+    problems.push("question must be a non-empty string");
+  }
+
+  if (!Array.isArray(options)) {
+    problems.push("options must be an array");
+  } else {
+    if (options.length < 1 || options.length > MAX_OPTIONS) {
+      problems.push(`options must have between 1 and ${MAX_OPTIONS} entries`);
+    }
+    if (options.some((option) => typeof option !== "string")) {
+      problems.push("every option must be a string");
+    }
+  }
+
+  if (!Array.isArray(odds)) {
+    problems.push("odds must be an array");
+  } else {
+    if (Array.isArray(options) && odds.length !== options.length) {
+      problems.push(
+        `odds has ${odds.length} entries but options has ${options.length}`
+      );
+    }
+    odds.forEach((odd, i) => {
+      if (!Number.isInteger(odd) || odd < 0 || odd > MAX_ODDS) {
+        problems.push(`odds[${i}] must be an integer between 0 and ${MAX_ODDS}`);
+      }
+    });
+  }
+
+  let fundingWei = null;
+  try {
+    fundingWei = ethers.parseEther(String(funding));
+  } catch (error) {
+    problems.push("funding must be an ETH amount, e.g. \"0.5\"");
+  }
+  if (fundingWei !== null && fundingWei <= 0n) {
+    problems.push("funding must be greater than 0");
+  }
+
+  if (problems.length) {
+    throw new Error(`Invalid game spec:\n  - ${problems.join("\n  - ")}`);
+  }
+  return { question, options, odds, fundingWei };
+}
+
+// Factory fee skimmed by createGame: (msg.value * feePercent) / 100
+function splitFunding(fundingWei, feePercent) {
+  const feeWei = (fundingWei * BigInt(feePercent)) / 100n;
+  return { feeWei, poolWei: fundingWei - feeWei };
+}
+
+// --- Factory Lookup ---
+// The factory recorded in deployed_contracts, by address or else the one
+// promoted to CURRENT on the chain (`registry promote`), or the latest one.
+async function findFactoryDeployment(store, chainId, factoryAddress) {
+  const filter = { contractName: "ForecastGameFactory", status: "DEPLOYED" };
+  let row;
+  if (factoryAddress) {
+    filter.address = ethers.getAddress(factoryAddress);
+    row = await store.findDeployment(filter);
+  } else {
+    filter.chainId = chainId;
+    row =
+      (await store.findDeployment({ ...filter, lifecycle: "CURRENT" })) ||
+      (await store.findDeployment(filter));
+  }
+  if (!row) {
+    throw new Error(
+      factoryAddress
+        ? `No DEPLOYED ForecastGameFactory recorded at ${factoryAddress}.`
+        : `No DEPLOYED ForecastGameFactory recorded for chain ID ${chainId}.`
+    );
+  }
+  if (Number(row.chain_id) !== chainId) {
+    throw new Error(
+      `Factory ${row.address} was deployed on chain ID ${row.chain_id}, but the RPC endpoint is chain ID ${chainId}.`
+    );
+  }
+  return row;
+}
+
+// games row for the GameCreated event of a mined createGame transaction
+function gameFromReceipt(
+  factoryInterface,
+  receipt,
+  { factoryRow, spec, feeWei }
+) {
+  const event = receipt.logs
+    .map((log) => {
+      try {
+        return factoryInterface.parseLog(log);
+      } catch (error) {
+        return null;
+      }
+    })
+    .find((parsed) => parsed && parsed.name === "GameCreated");
+  if (!event) {
+    throw new Error(`No GameCreated event in transaction ${receipt.hash}.`);
+  }
+
+  return {
+    deploymentId: factoryRow.id,
+    gameId: Number(event.args.id),
+    address: event.args.addr,
+    creator: event.args.c,
+    question: spec.question,
+    options: JSON.stringify(spec.options),
+    odds: JSON.stringify(spec.odds),
+    fundingWei: spec.fundingWei.toString(),
+    feeWei: feeWei.toString(),
+    txHash: receipt.hash,
+    blockNumber: receipt.blockNumber,
+  };
+}
+
+// --- Game Creation ---
+// `onTransaction(tx)` is awaited once createGame is sent, before waiting on it
+async function createGame(
+  store,
+  config,
+  rawSpec,
+  { factoryAddress, onTransaction } = {}
+) {
+  const spec = validateGameSpec(rawSpec);
+
+  await store.init();
+  try {
+    const { provider, chainId, name } = await connectNetwork(config);
+    const factoryRow = await findFactoryDeployment(
+      store,
+      chainId,
+      factoryAddress
+    );
+    const signer = await createSigner(config, provider);
+    const factory = new ethers.Contract(
+      factoryRow.address,
+      JSON.parse(factoryRow.abi),
+      signer
+    );
+
+    const feePercent = await factory.feePercent();
+    const { feeWei, poolWei } = splitFunding(spec.fundingWei, feePercent);
+    console.log(
+      `[INFO] Creating game on factory ${factoryRow.address} (${name}, deployment ID ${factoryRow.id}).`
+    );
+    console.log(`[INFO] Question: ${spec.question}`);
+    spec.options.forEach((option, i) =>
+      console.log(`[INFO]   ${i + 1}. ${option} (odds ${spec.odds[i]}%)`)
+    );
+    console.log(
+      `[INFO] Funding ${ethers.formatEther(
+        spec.fundingWei
+      )} ETH: factory fee ${feePercent}% = ${ethers.formatEther(
+        feeWei
+      )} ETH, initial pool ${ethers.formatEther(poolWei)} ETH.`
+    );
+    if (poolWei === 0n) {
+      console.warn(
+        "[WARNING] The factory fee takes the whole funding; the game starts with an empty pool and will reject every bet."
+      );
+    }
+    if (factoryRow.lifecycle === "DEPRECATED") {
+      console.warn(
+        `[WARNING] Factory ${factoryRow.address} is DEPRECATED; new games belong on the CURRENT factory (see "registry list").`
+      );
+    }
+
+    const tx = await factory.createGame(
+      spec.question,
+      spec.options,
+      spec.odds,
+      { value: spec.fundingWei }
+    );
+    console.log(`[INFO] Transaction sent: ${tx.hash}`);
+    if (onTransaction) await onTransaction(tx);
+    const receipt = await tx.wait();
+
+    const game = gameFromReceipt(factory.interface, receipt, {
+      factoryRow,
+      spec,
+      feeWei,
+    });
+    await store.insertGame(game);
+    console.log(
+      `[INFO] Game ${game.gameId} created at ${game.address} by ${game.creator}.`
+    );
+    return game;
+  } finally {
+    await store.close();
+  }
+}
+
+module.exports = {
+  loadGameSpec,
+  validateGameSpec,
+  splitFunding,
+  findFactoryDeployment,
+  gameFromReceipt,
+  createGame,
+};
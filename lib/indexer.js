@@ -0,0 +1,241 @@
+// lib/indexer.js
+
+const { ethers } = require("ethers");
+const { connectNetwork } = require("./networks");
+const { sleep } = require("./util");
+const { findFactoryDeployment } = require("./games");
+const { FORECAST_GAME_ABI, FORECAST_GAME_FACTORY_ABI } = require("./abi");
+
+const factoryInterface = new ethers.Interface(FORECAST_GAME_FACTORY_ABI);
+const gameInterface = new ethers.Interface(FORECAST_GAME_ABI);
+
+const ADDRESSES_PER_LOG_QUERY = 50;
+
+function logPosition(log) {
+  return {
+    blockNumber: log.blockNumber,
+    txHash: log.transactionHash,
+    logIndex: log.index,
+  };
+}
+
+// --- Event Handlers ---
+// Each maps a parsed game event onto its row in the matching event table.
+const GAME_EVENT_HANDLERS = {
+  BetPlaced: (args) => [
+    "game_bets",
+    {
+      player: args.p,
+      optionIndex: Number(args.o),
+      amountWei: args.a.toString(),
+    },
+  ],
+  GameFinalized: (args) => [
+    "game_finalizations",
+    { finalOption: Number(args.o) },
+  ],
+  PrizeClaimed: (args) => [
+    "game_claims",
+    { player: args.p, amountWei: args.a.toString() },
+  ],
+  PoolFunded: (args) => ["game_fundings", { amountWei: args.a.toString() }],
+};
+
+// --- Range Indexing ---
+// Factory logs go first so games created in this range are known before their
+// own logs (the constructor's PoolFunded lands in the same transaction).
+async function indexRange(ctx, fromBlock, toBlock) {
+  const { provider, store, factoryRow } = ctx;
+  let eventCount = 0;
+
+  const factoryLogs = await provider.getLogs({
+    address: factoryRow.address,
+    topics: [factoryInterface.getEvent("GameCreated").topicHash],
+    fromBlock,
+    toBlock,
+  });
+  for (const log of factoryLogs) {
+    const { args } = factoryInterface.parseLog(log);
+    const inserted = await store.insertGameIfMissing({
+      deploymentId: factoryRow.id,
+      gameId: Number(args.id),
+      address: args.addr,
+      creator: args.c,
+      question: args.q,
+      txHash: log.transactionHash,
+      blockNumber: log.blockNumber,
+    });
+    if (inserted) {
+      console.log(`[INFO] Discovered game ${args.id} at ${args.addr}.`);
+    }
+    eventCount++;
+  }
+
+  const games = await store.findGames({ deploymentId: factoryRow.id });
+  const addresses = games
+    .filter((game) => game.block_number == null || game.block_number <= toBlock)
+    .map((game) => game.address);
+
+  for (let i = 0; i < addresses.length; i += ADDRESSES_PER_LOG_QUERY) {
+    const gameLogs = await provider.getLogs({
+      address: addresses.slice(i, i + ADDRESSES_PER_LOG_QUERY),
+      fromBlock,
+      toBlock,
+    });
+    for (const log of gameLogs) {
+      const parsed = gameInterface.parseLog(log);
+      const handler = parsed && GAME_EVENT_HANDLERS[parsed.name];
+      if (!handler) continue;
+      const [table, fields] = handler(parsed.args);
+      await store.insertEvent(table, {
+        deploymentId: factoryRow.id,
+        gameAddress: ethers.getAddress(log.address),
+        ...logPosition(log),
+        ...fields,
+      });
+      eventCount++;
+    }
+  }
+
+  return eventCount;
+}
+
+// Confirmation depth keeps us clear of most reorgs; this catches deeper ones by
+// checking that the last indexed block is still canonical, and if not, drops
+// and re-indexes everything from a safe distance back.
+// Games recorded from block `fromBlock` on are checked against the canonical
+// chain: kept (with the block updated) if their createGame transaction is
+// still mined and created the same game, deleted otherwise. Re-indexing then
+// picks up whatever the new chain holds.
+async function recheckGames(ctx, fromBlock) {
+  const { provider, store, factoryRow } = ctx;
+  const games = (await store.findGames({ deploymentId: factoryRow.id })).filter(
+    (game) => game.block_number != null && Number(game.block_number) >= fromBlock
+  );
+  for (const game of games) {
+    const receipt = game.tx_hash
+      ? await provider.getTransactionReceipt(game.tx_hash)
+      : null;
+    const created =
+      receipt &&
+      receipt.status === 1 &&
+      receipt.logs.some((log) => {
+        if (log.address !== factoryRow.address) return false;
+        const parsed = factoryInterface.parseLog(log);
+        return (
+          parsed &&
+          parsed.name === "GameCreated" &&
+          parsed.args.addr === game.address
+        );
+      });
+    if (!created) {
+      await store.deleteGame(game.id);
+      console.warn(
+        `[WARNING] Game ${game.game_id} at ${game.address} is no longer on chain; removed.`
+      );
+    } else if (receipt.blockNumber !== Number(game.block_number)) {
+      await store.updateGame(game.id, { blockNumber: receipt.blockNumber });
+    }
+  }
+}
+
+async function rewindOnReorg(ctx, cursorBlock, cursorHash) {
+  const { provider, store, factoryRow, options } = ctx;
+  if (!cursorHash) return { lastBlock: cursorBlock, lastHash: cursorHash };
+
+  const block = await provider.getBlock(cursorBlock);
+  if (block && block.hash === cursorHash) {
+    return { lastBlock: cursorBlock, lastHash: cursorHash };
+  }
+
+  const rewindTo = Math.max(
+    ctx.startBlock - 1,
+    cursorBlock - Math.max(options.confirmations, 1) * 2
+  );
+  console.warn(
+    `[WARNING] Block ${cursorBlock} is no longer canonical. Re-indexing from block ${
+      rewindTo + 1
+    }.`
+  );
+  await store.deleteEventsFrom(factoryRow.id, rewindTo + 1);
+  await recheckGames(ctx, rewindTo + 1);
+  const rewindBlock = rewindTo >= 0 ? await provider.getBlock(rewindTo) : null;
+  const rewindHash = rewindBlock ? rewindBlock.hash : null;
+  await store.saveCursor(factoryRow.id, rewindTo, rewindHash);
+  return { lastBlock: rewindTo, lastHash: rewindHash };
+}
+
+// --- Main Indexer Loop ---
+// Backfills from the factory's deployment block (or the persisted cursor) in
+// `batchSize` ranges, then follows the chain `confirmations` blocks behind the
+// head until `signal` aborts. With `once`, it stops after catching up.
+async function runIndexer(store, config, options = {}) {
+  const { factoryAddress, fromBlock, once = false, signal } = options;
+  const settings = { ...config.indexer };
+  for (const key of Object.keys(settings)) {
+    if (options[key] !== undefined) settings[key] = options[key];
+  }
+
+  await store.init();
+  try {
+    const { provider, chainId, name } = await connectNetwork(config);
+    const factoryRow = await findFactoryDeployment(
+      store,
+      chainId,
+      factoryAddress
+    );
+
+    let startBlock = fromBlock;
+    if (startBlock === undefined) {
+      startBlock = factoryRow.block_number;
+      if (startBlock == null) {
+        console.warn(
+          `[WARNING] No deployment block recorded for factory ${factoryRow.address}; scanning from block 0. Pass --from-block to skip ahead.`
+        );
+        startBlock = 0;
+      }
+    }
+    startBlock = Number(startBlock);
+
+    const ctx = { provider, store, factoryRow, startBlock, options: settings };
+    const cursor = await store.getCursor(factoryRow.id);
+    let lastBlock = cursor ? Number(cursor.last_block) : startBlock - 1;
+    let lastHash = cursor ? cursor.last_block_hash : null;
+    console.log(
+      `[INFO] Indexing factory ${factoryRow.address} on ${name} from block ${
+        lastBlock + 1
+      } (${settings.confirmations} confirmations).`
+    );
+
+    while (!(signal && signal.aborted)) {
+      ({ lastBlock, lastHash } = await rewindOnReorg(ctx, lastBlock, lastHash));
+      const head = await provider.getBlockNumber();
+      const target = head - settings.confirmations;
+
+      while (lastBlock < target && !(signal && signal.aborted)) {
+        const toBlock = Math.min(lastBlock + settings.batchSize, target);
+        const eventCount = await indexRange(ctx, lastBlock + 1, toBlock);
+        const block = await provider.getBlock(toBlock);
+        lastHash = block.hash;
+        await store.saveCursor(factoryRow.id, toBlock, lastHash);
+        console.log(
+          `[INFO] Indexed blocks ${lastBlock + 1}-${toBlock}: ${eventCount} events.`
+        );
+        lastBlock = toBlock;
+      }
+
+      if (once) break;
+      await sleep(settings.pollIntervalMs, signal);
+    }
+    return lastBlock;
+  } finally {
+    await store.close();
+  }
+}
+
+module.exports = {
+  runIndexer,
+  indexRange,
+  rewindOnReorg,
+  GAME_EVENT_HANDLERS,
+};
@@ -0,0 +1,173 @@
+// lib/logger.js
+
+const { jsonReplacer } = require("./util");
+
+const LEVELS = { DEBUG: 10, INFO: 20, WARNING: 30, ERROR: 40 };
+const FORMATS = ["pretty", "json"];
+
+function formatValue(value) {
+  if (typeof value === "string" || typeof value === "bigint") {
+    return value.toString();
+  }
+  return JSON.stringify(value, jsonReplacer);
+}
+
+// --- Deployment Logger ---
+// One logger per deployment, carrying its own context instead of a module-level
+// deployment ID. Entries go to the console (pretty "[LEVEL] message (k=v)" or
+// JSON lines) and to deployment_logs, with their structured fields stored as
+// JSON in `details`. Entries logged before the deployment row exists are
+// buffered and stored, with their original timestamps, once attach() is called.
+class DeploymentLogger {
+  // options: { level, format }, normally config.logging
+  constructor(store, options = {}, context = {}) {
+    const level = (options.level || "INFO").toUpperCase();
+    if (!LEVELS[level]) {
+      throw new Error(
+        `LOG_LEVEL must be one of: ${Object.keys(LEVELS).join(", ")}.`
+      );
+    }
+    const format = options.format || "pretty";
+    if (!FORMATS.includes(format)) {
+      throw new Error(`LOG_FORMAT must be one of: ${FORMATS.join(", ")}.`);
+    }
+    // Shared with child loggers
+    this.sink = {
+      store,
+      level,
+      format,
+      deploymentId: null,
+      buffer: [],
+      writes: Promise.resolve(),
+    };
+    this.context = context;
+    this.startedAt = Date.now();
+  }
+
+  // A logger for the same deployment with extra context, e.g. { step: "compile" }.
+  // Its done() reports the time elapsed since it was created.
+  child(fields) {
+    const child = Object.create(DeploymentLogger.prototype);
+    child.sink = this.sink;
+    child.context = { ...this.context, ...fields };
+    child.startedAt = Date.now();
+    return child;
+  }
+
+  get deploymentId() {
+    return this.sink.deploymentId;
+  }
+
+  // Links the logger to its deployed_contracts row and stores the buffered entries
+  async attach(deploymentId) {
+    this.sink.deploymentId = deploymentId;
+    for (const entry of this.sink.buffer.splice(0)) this.enqueue(entry);
+    await this.flush();
+  }
+
+  async log(level, message, fields = {}) {
+    if (LEVELS[level] < LEVELS[this.sink.level]) return;
+    const entry = {
+      timestamp: new Date(),
+      level,
+      message,
+      fields: { ...this.context, ...fields },
+    };
+    this.print(entry, fields);
+    if (this.sink.deploymentId === null) {
+      this.sink.buffer.push(entry);
+      return;
+    }
+    this.enqueue(entry);
+    await this.flush();
+  }
+
+  debug(message, fields) {
+    return this.log("DEBUG", message, fields);
+  }
+
+  info(message, fields) {
+    return this.log("INFO", message, fields);
+  }
+
+  warn(message, fields) {
+    return this.log("WARNING", message, fields);
+  }
+
+  error(message, fields) {
+    return this.log("ERROR", message, fields);
+  }
+
+  // INFO entry closing a step started with child(), with its duration
+  done(message, fields = {}) {
+    return this.info(message, {
+      ...fields,
+      durationMs: Date.now() - this.startedAt,
+    });
+  }
+
+  // Database writes are chained so entries keep their order even when a
+  // caller does not await log()
+  enqueue(entry) {
+    const sink = this.sink;
+    const deploymentId = sink.deploymentId;
+    const details = Object.keys(entry.fields).length
+      ? JSON.stringify(entry.fields, jsonReplacer)
+      : null;
+    sink.writes = sink.writes.then(() =>
+      sink.store
+        .insertLog(deploymentId, entry.level, entry.message, {
+          details,
+          timestamp: entry.timestamp,
+        })
+        .catch((err) =>
+          console.error("Error saving log to database:", err.message)
+        )
+    );
+  }
+
+  flush() {
+    return this.sink.writes;
+  }
+
+  // Waits for pending writes; reports entries that never got a row to attach to
+  async close() {
+    await this.flush();
+    const unstored = this.sink.buffer.length;
+    if (unstored) {
+      console.warn(
+        `${unstored} log entr${
+          unstored === 1 ? "y was" : "ies were"
+        } not stored: no deployment row was created.`
+      );
+    }
+  }
+
+  print(entry, fields) {
+    if (this.sink.format === "json") {
+      console.log(
+        JSON.stringify(
+          {
+            time: entry.timestamp.toISOString(),
+            level: entry.level,
+            message: entry.message,
+            deploymentId: this.sink.deploymentId,
+            ...entry.fields,
+          },
+          jsonReplacer
+        )
+      );
+      return;
+    }
+    const extra = Object.entries(fields).map(
+      ([key, value]) => `${key}=${formatValue(value)}`
+    );
+    console.log(
+      `[${entry.level}] ${entry.message}${
+        extra.length ? ` (${extra.join(", ")})` : ""
+      }`
+    );
+  }
+}
+
+module.exports = { DeploymentLogger, LEVELS };
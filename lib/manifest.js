@@ -0,0 +1,551 @@
+// lib/manifest.js
+
+const path = require("path");
+const { ethers } = require("ethers");
+const { connectNetwork } = require("./networks");
+const { readDataFile } = require("./data_file");
+const { deployForecastFactory } = require("./deployer");
+const {
+  validateGameSpec,
+  splitFunding,
+  findFactoryDeployment,
+  gameFromReceipt,
+  createGame,
+} = require("./games");
+const { runAdminAction } = require("./admin");
+const { FORECAST_GAME_FACTORY_ABI } = require("./abi");
+const { sameAddress } = require("./util");
+
+// What each action records for later steps to reference as ${<id>.<output>}
+const STEP_OUTPUTS = {
+  deploy: ["address", "deploymentId", "txHash", "blockNumber"],
+  "update-owner": ["factory", "newOwner", "txHash"],
+  "create-game": ["address", "gameId", "txHash"],
+};
+const STEP_ID = /^[A-Za-z_][\w-]*$/;
+const REFERENCE = /\$\{([A-Za-z_][\w-]*)\.(\w+)\}/g;
+
+// Applies `fn` to every string in a step definition
+function mapStrings(value, fn) {
+  if (typeof value === "string") return fn(value);
+  if (Array.isArray(value)) return value.map((item) => mapStrings(item, fn));
+  if (value && typeof value === "object") {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, mapStrings(item, fn)])
+    );
+  }
+  return value;
+}
+
+// --- Manifest File ---
+// JSON or YAML:
+//   name: mainnet-launch
+//   steps:
+//     - { id: factory, action: deploy, feePercent: 5 }
+//     - { id: handover, action: update-owner, factory: "${factory.address}", newOwner: "0x..." }
+//     - { id: launch, action: create-game, factory: "${factory.address}", spec: games/launch.yaml }
+// A create-game `spec` file (relative to the manifest) is read into the step,
+// so editing it counts as changing the step.
+function loadManifest(filePath) {
+  const manifest = readDataFile(filePath);
+  if (!manifest || typeof manifest !== "object") {
+    throw new Error(`${filePath} does not hold a manifest.`);
+  }
+  if (typeof manifest.name !== "string" || !manifest.name.trim()) {
+    throw new Error("The manifest needs a `name`.");
+  }
+  if (!Array.isArray(manifest.steps) || !manifest.steps.length) {
+    throw new Error("The manifest needs a non-empty `steps` list.");
+  }
+
+  const earlier = new Map(); // step id -> action
+  const steps = manifest.steps.map((raw, i) => {
+    const label = `Step ${i + 1}`;
+    if (!raw || typeof raw !== "object") {
+      throw new Error(`${label} is not an object.`);
+    }
+    let { spec, ...step } = raw;
+    if (typeof step.id !== "string" || !STEP_ID.test(step.id)) {
+      throw new Error(`${label} needs an \`id\` of letters, digits, _ and -.`);
+    }
+    if (earlier.has(step.id)) {
+      throw new Error(`${label}: the id "${step.id}" is used twice.`);
+    }
+    if (!STEP_OUTPUTS[step.action]) {
+      throw new Error(
+        `${label} (${step.id}): \`action\` must be one of ${Object.keys(
+          STEP_OUTPUTS
+        ).join(", ")}.`
+      );
+    }
+    if (spec !== undefined) {
+      if (step.action !== "create-game") {
+        throw new Error(`${label} (${step.id}): only create-game takes a spec.`);
+      }
+      step = {
+        ...readDataFile(path.resolve(path.dirname(filePath), spec)),
+        ...step,
+      };
+    }
+    if (step.action === "update-owner" && !step.newOwner) {
+      throw new Error(`${label} (${step.id}): update-owner needs \`newOwner\`.`);
+    }
+    if (step.action === "create-game") {
+      // Checked now unless references fill it in, so a bad game fails the
+      // manifest before anything is sent
+      const { id, action, factory, ...game } = step;
+      if (!JSON.stringify(game).includes("${")) {
+        try {
+          validateGameSpec(game);
+        } catch (error) {
+          throw new Error(`${label} (${step.id}): ${error.message}`);
+        }
+      }
+    }
+
+    // References may only point at outputs of earlier steps
+    mapStrings(step, (value) => {
+      for (const [reference, id, output] of value.matchAll(REFERENCE)) {
+        if (!earlier.has(id)) {
+          throw new Error(
+            `${label} (${step.id}): ${reference} does not name an earlier step.`
+          );
+        }
+        if (!STEP_OUTPUTS[earlier.get(id)].includes(output)) {
+          throw new Error(
+            `${label} (${step.id}): ${reference}: a ${earlier.get(
+              id
+            )} step has no "${output}"; it has ${STEP_OUTPUTS[
+              earlier.get(id)
+            ].join(", ")}.`
+          );
+        }
+      }
+      return value;
+    });
+    earlier.set(step.id, step.action);
+    return step;
+  });
+  return { name: manifest.name.trim(), steps };
+}
+
+// A string that is one reference takes the output's value as is (e.g. a
+// number); references inside longer strings are replaced by their text
+function resolveReferences(definition, outputs) {
+  return mapStrings(definition, (value) => {
+    const whole = /^\$\{([A-Za-z_][\w-]*)\.(\w+)\}$/.exec(value);
+    if (whole) return outputs[whole[1]][whole[2]];
+    return value.replace(REFERENCE, (reference, id, output) =>
+      String(outputs[id][output])
+    );
+  });
+}
+
+// deployForecastFactory, createGame and runAdminAction open and close the
+// store themselves, so the runner only holds it open in between
+async function withStore(store, fn) {
+  await store.init();
+  try {
+    return await fn();
+  } finally {
+    await store.close();
+  }
+}
+
+// --- Steps ---
+// Each returns the step's outputs or throws. A step interrupted after sending
+// its transaction is picked up from what was recorded, not sent again.
+function deployOutputs(row) {
+  return {
+    address: row.address,
+    deploymentId: row.id,
+    txHash: row.tx_hash,
+    blockNumber: row.block_number === null ? null : Number(row.block_number),
+  };
+}
+
+const STEPS = {
+  // params: feePercent (default FACTORY_FEE_PERCENT), force. An identical
+  // factory already on chain is used instead, as with `deploy`.
+  async deploy({ store, config, step }, params) {
+    if (step.deployment_id) {
+      const row = await withStore(store, () =>
+        store.getDeployment(step.deployment_id)
+      );
+      if (row.status === "DEPLOYED") {
+        console.log(
+          `[INFO] Deployment ${row.id} from an earlier attempt is DEPLOYED at ${row.address}.`
+        );
+        return deployOutputs(row);
+      }
+      if (row.status === "PENDING") {
+        throw new Error(
+          `Deployment ${row.id} from an earlier attempt is still PENDING; finish it with "reconcile" (or "speed-up"/"cancel") and apply again.`
+        );
+      }
+    }
+    const feePercent =
+      params.feePercent === undefined
+        ? config.factoryFeePercent
+        : params.feePercent;
+    const result = await deployForecastFactory(
+      store,
+      { ...config, factoryFeePercent: feePercent },
+      {
+        force: params.force,
+        onCreate: (deploymentId) =>
+          store.updateManifestStep(step.id, { deploymentId }),
+      }
+    );
+    if (result.skipped) return deployOutputs(result.existing);
+    if (!result.deploymentId) throw new Error("The deployment could not start.");
+    const row = await withStore(store, () =>
+      store.getDeployment(result.deploymentId)
+    );
+    if (row.status !== "DEPLOYED") {
+      throw new Error(
+        `Deployment ${row.id} ended ${row.status}; see its deployment_logs.`
+      );
+    }
+    return deployOutputs(row);
+  },
+
+  // params: newOwner, factory (default: the CURRENT or latest factory)
+  async "update-owner"({ store, config }, params) {
+    const newOwner = ethers.getAddress(params.newOwner);
+    const { provider, chainId } = await connectNetwork(config);
+    const factoryRow = await withStore(store, () =>
+      findFactoryDeployment(store, chainId, params.factory)
+    );
+    const lastChange = () =>
+      withStore(store, async () => {
+        const [entry] = await store.findAudit({
+          action: "updateFactoryOwner",
+          contractAddress: factoryRow.address,
+        });
+        return entry || null;
+      });
+
+    const factory = new ethers.Contract(
+      factoryRow.address,
+      FORECAST_GAME_FACTORY_ABI,
+      provider
+    );
+    if (sameAddress(await factory.factoryOwner(), newOwner)) {
+      const entry = await lastChange();
+      console.log(
+        `[INFO] ${newOwner} already owns factory ${factoryRow.address}; nothing to send.`
+      );
+      return {
+        factory: factoryRow.address,
+        newOwner,
+        txHash: entry && entry.status === "SUCCEEDED" ? entry.tx_hash : null,
+      };
+    }
+
+    const status = await runAdminAction(
+      store,
+      config,
+      "updateFactoryOwner",
+      [newOwner],
+      { factory: factoryRow.address, yes: true }
+    );
+    const entry = await lastChange();
+    if (status !== "SUCCEEDED") {
+      throw new Error(
+        entry && entry.error ? entry.error : `update-owner ended ${status}.`
+      );
+    }
+    return { factory: factoryRow.address, newOwner, txHash: entry.tx_hash };
+  },
+
+  // params: the game spec (question, options, odds, funding) and factory
+  // (default: the CURRENT or latest factory)
+  async "create-game"(ctx, params) {
+    const { store, config, step } = ctx;
+    const { factory: factoryAddress, ...spec } = params;
+    if (step.tx_hash) {
+      const recovered = await recoverGame(ctx, step.tx_hash, spec);
+      if (recovered) return recovered;
+    }
+    const game = await createGame(store, config, spec, {
+      factoryAddress,
+      onTransaction: (tx) =>
+        store.updateManifestStep(step.id, { txHash: tx.hash }),
+    });
+    return { address: game.address, gameId: game.gameId, txHash: game.txHash };
+  },
+};
+
+// The game created by an earlier attempt's transaction, recording it if that
+// attempt died before it could; null if the transaction failed or vanished
+async function recoverGame({ store, config }, txHash, rawSpec) {
+  const { provider } = await connectNetwork(config);
+  const receipt = await provider.getTransactionReceipt(txHash);
+  if (!receipt) {
+    if (await provider.getTransaction(txHash)) {
+      throw new Error(
+        `createGame transaction ${txHash} from an earlier attempt is still pending; apply again once it is mined.`
+      );
+    }
+    console.warn(
+      `[WARNING] createGame transaction ${txHash} from an earlier attempt is unknown to the node; creating the game again.`
+    );
+    return null;
+  }
+  if (receipt.status !== 1) {
+    console.warn(
+      `[WARNING] createGame transaction ${txHash} from an earlier attempt reverted; creating the game again.`
+    );
+    return null;
+  }
+
+  return withStore(store, async () => {
+    let [game] = await store.findGames({ txHash });
+    if (!game) {
+      const factoryRow = await store.findDeployment({
+        contractName: "ForecastGameFactory",
+        address: ethers.getAddress(receipt.to),
+      });
+      const factory = new ethers.Contract(
+        factoryRow.address,
+        JSON.parse(factoryRow.abi),
+        provider
+      );
+      const spec = validateGameSpec(rawSpec);
+      const { feeWei } = splitFunding(
+        spec.fundingWei,
+        await factory.feePercent()
+      );
+      const fields = gameFromReceipt(factory.interface, receipt, {
+        factoryRow,
+        spec,
+        feeWei,
+      });
+      await store.insertGameIfMissing(fields);
+      game = { address: fields.address, game_id: fields.gameId };
+    }
+    console.log(
+      `[INFO] Game ${game.game_id} at ${game.address} was created by an earlier attempt (${txHash}).`
+    );
+    return { address: game.address, gameId: Number(game.game_id), txHash };
+  });
+}
+
+// --- Runs ---
+// The run to continue: the latest one of this manifest name on the chain,
+// unless it completed or `fresh`. Steps that succeeded must be unchanged;
+// the others take their definitions from the file, so a failed step can be
+// fixed before resuming. Returns null when there is nothing to do.
+async function prepareRun(
+  store,
+  manifest,
+  { chainId, networkName, filePath, fresh }
+) {
+  const [latest] = await store.findManifestRuns({
+    name: manifest.name,
+    chainId,
+  });
+  if (latest && latest.status === "COMPLETED" && !fresh) {
+    console.log(
+      `[INFO] Run ${latest.id} of "${manifest.name}" on chain ID ${chainId} completed on ${latest.completed_at}; pass --new to run the manifest again.`
+    );
+    return null;
+  }
+
+  if (latest && !fresh) {
+    const steps = await store.listManifestSteps(latest.id);
+    const sameSteps =
+      steps.length === manifest.steps.length &&
+      steps.every(
+        (step, i) =>
+          step.step_id === manifest.steps[i].id &&
+          step.action === manifest.steps[i].action
+      );
+    if (!sameSteps) {
+      throw new Error(
+        `The steps of "${manifest.name}" differ from those of run ${latest.id}; keep their ids and order to resume, or pass --new to start over.`
+      );
+    }
+    for (const [i, step] of steps.entries()) {
+      const definition = JSON.stringify(manifest.steps[i]);
+      if (step.definition === definition) continue;
+      if (step.status === "SUCCEEDED") {
+        throw new Error(
+          `Step "${step.step_id}" changed since it succeeded in run ${latest.id}; restore it to resume, or pass --new to start over.`
+        );
+      }
+      await store.updateManifestStep(step.id, { definition });
+      step.definition = definition;
+    }
+    if (latest.status === "RUNNING") {
+      console.warn(
+        `[WARNING] Run ${latest.id} was left RUNNING, probably interrupted; resuming it.`
+      );
+    }
+    await store.updateManifestRun(latest.id, { status: "RUNNING", filePath });
+    const done = steps.filter((step) => step.status === "SUCCEEDED").length;
+    console.log(
+      `[INFO] Resuming run ${latest.id} of "${manifest.name}": ${done} of ${steps.length} step(s) already succeeded.`
+    );
+    return { runId: latest.id, steps };
+  }
+
+  const runId = await store.insertManifestRun({
+    name: manifest.name,
+    filePath,
+    chainId,
+    networkName,
+  });
+  for (const [position, step] of manifest.steps.entries()) {
+    await store.insertManifestStep({
+      runId,
+      position,
+      stepId: step.id,
+      action: step.action,
+      definition: JSON.stringify(step),
+    });
+  }
+  console.log(
+    `[INFO] Started run ${runId} of "${manifest.name}" on ${networkName} (chain ID ${chainId}) with ${manifest.steps.length} step(s).`
+  );
+  return { runId, steps: await store.listManifestSteps(runId) };
+}
+
+// --- Command ---
+// Runs the manifest's steps in order, recording each one's status, tx hash and
+// outputs. Stops at the first failure; applying the same file again resumes
+// there. `options.fresh` starts a new run instead. Returns { runId, status }
+// (COMPLETED or FAILED), or null if the manifest had already completed.
+async function applyManifest(store, config, filePath, options = {}) {
+  const manifest = loadManifest(filePath);
+  const { chainId, name: networkName } = await connectNetwork(config);
+  const prepared = await withStore(store, () =>
+    prepareRun(store, manifest, {
+      chainId,
+      networkName,
+      filePath: path.resolve(filePath),
+      fresh: options.fresh,
+    })
+  );
+  if (!prepared) return null;
+  const { runId, steps } = prepared;
+
+  const outputs = {};
+  for (const [i, step] of steps.entries()) {
+    const label = `Step ${i + 1}/${steps.length} "${step.step_id}" (${
+      step.action
+    })`;
+    if (step.status === "SUCCEEDED") {
+      outputs[step.step_id] = JSON.parse(step.outputs);
+      console.log(`[INFO] ${label}: already succeeded.`);
+      continue;
+    }
+
+    console.log(`[INFO] ${label}: starting.`);
+    let result;
+    try {
+      const params = resolveReferences(JSON.parse(step.definition), outputs);
+      delete params.id;
+      delete params.action;
+      await withStore(store, () =>
+        store.updateManifestStep(step.id, {
+          status: "RUNNING",
+          params: JSON.stringify(params),
+          error: null,
+          startedAt: new Date(),
+        })
+      );
+      result = await STEPS[step.action]({ store, config, step }, params);
+    } catch (error) {
+      console.error(`[ERROR] ${label} failed: ${error.message}`);
+      await withStore(store, async () => {
+        await store.updateManifestStep(step.id, {
+          status: "FAILED",
+          error: error.message,
+          completedAt: new Date(),
+        });
+        await store.updateManifestRun(runId, { status: "FAILED" });
+      });
+      console.log(
+        `[INFO] Run ${runId} stopped at "${step.step_id}"; fix the cause and apply the manifest again to resume from it.`
+      );
+      return { runId, status: "FAILED" };
+    }
+
+    outputs[step.step_id] = result;
+    await withStore(store, () =>
+      store.updateManifestStep(step.id, {
+        status: "SUCCEEDED",
+        txHash: result.txHash,
+        outputs: JSON.stringify(result),
+        completedAt: new Date(),
+      })
+    );
+    console.log(
+      `[INFO] ${label}: succeeded${
+        result.txHash ? ` (tx ${result.txHash})` : ""
+      }.`
+    );
+  }
+
+  await withStore(store, () =>
+    store.updateManifestRun(runId, {
+      status: "COMPLETED",
+      completedAt: new Date(),
+    })
+  );
+  console.log(`[INFO] Run ${runId} of "${manifest.name}" completed.`);
+  return { runId, status: "COMPLETED" };
+}
+
+// Every run, newest first, or one run's steps
+async function manifestStatus(store, runId) {
+  await store.init();
+  try {
+    if (!runId) {
+      const runs = await store.findManifestRuns({});
+      if (!runs.length) console.log("[INFO] No manifest runs recorded.");
+      for (const run of runs) {
+        console.log(
+          `Run ${run.id} "${run.name}" on ${run.network_name} (chain ID ${run.chain_id}): ${run.status}, started ${run.created_at}`
+        );
+      }
+      return runs;
+    }
+    const run = await store.getManifestRun(runId);
+    if (!run) throw new Error(`Manifest run ${runId} not found.`);
+    const steps = await store.listManifestSteps(runId);
+    console.log(
+      `Run ${run.id} "${run.name}" on ${run.network_name} (chain ID ${run.chain_id}): ${run.status}, from ${run.file_path}`
+    );
+    for (const step of steps) {
+      const outputs = step.outputs ? JSON.parse(step.outputs) : {};
+      const detail =
+        step.status === "FAILED"
+          ? step.error
+          : [
+              outputs.address,
+              step.tx_hash && `tx ${step.tx_hash}`,
+              step.deployment_id && `deployment ${step.deployment_id}`,
+            ]
+              .filter(Boolean)
+              .join(", ");
+      console.log(
+        `  ${step.position + 1}. ${step.step_id} (${step.action}): ${step.status}${
+          detail ? ` - ${detail}` : ""
+        }`
+      );
+    }
+    return { run, steps };
+  } finally {
+    await store.close();
+  }
+}
+
+module.exports = {
+  loadManifest,
+  resolveReferences,
+  applyManifest,
+  manifestStatus,
+};
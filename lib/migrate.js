@@ -0,0 +1,53 @@
+// lib/migrate.js
+
+const { LATEST_VERSION } = require("./store/migrations");
+
+function printStatus(status) {
+  for (const { version, name, appliedAt } of status) {
+    const state = appliedAt ? `applied ${appliedAt}` : "pending";
+    console.log(`  ${String(version).padStart(3, "0")} ${name.padEnd(20)} ${state}`);
+  }
+}
+
+// --- migrate status | up | down ---
+// `target` is an optional schema version to migrate to.
+async function runMigrate(store, action, target) {
+  if (typeof store.migrateUp !== "function") {
+    throw new Error("The in-memory store has no persistent schema to migrate.");
+  }
+
+  await store.open();
+  try {
+    switch (action) {
+      case "status": {
+        const status = await store.migrationStatus();
+        const version = await store.schemaVersion();
+        console.log(
+          `Schema version ${version} of ${LATEST_VERSION}${
+            version === LATEST_VERSION ? " (up to date)" : ""
+          }:`
+        );
+        printStatus(status);
+        return version;
+      }
+      case "up": {
+        const version = await store.migrateUp(target);
+        console.log(`Schema is at version ${version}.`);
+        return version;
+      }
+      case "down": {
+        const version = await store.migrateDown(target);
+        console.log(`Schema is at version ${version}.`);
+        return version;
+      }
+      default:
+        throw new Error(
+          `Unknown migrate action "${action}". Expected status, up or down.`
+        );
+    }
+  } finally {
+    await store.close();
+  }
+}
+
+module.exports = { runMigrate };
@@ -0,0 +1,112 @@
+// lib/networks.js
+
+const { ethers } = require("ethers");
+
+// --- Network Profiles ---
+// `rpcUrl` receives the loaded config so hosted endpoints can pick up API keys.
+const NETWORK_PROFILES = {
+  localhost: {
+    chainId: 31337, // Anvil and Hardhat default
+    rpcUrl: () => "http://127.0.0.1:8545",
+  },
+  sepolia: {
+    chainId: 11155111,
+    rpcUrl: (config) =>
+      config.infuraApiKey &&
+      `https://sepolia.infura.io/v3/${config.infuraApiKey}`,
+  },
+  mainnet: {
+    chainId: 1,
+    rpcUrl: (config) =>
+      config.infuraApiKey &&
+      `https://mainnet.infura.io/v3/${config.infuraApiKey}`,
+  },
+};
+
+const DEFAULT_NETWORK = "sepolia";
+const CHAIN_ID_TIMEOUT_MS = 10000;
+
+// Works out which endpoint to talk to and what chain it must be.
+// A raw RPC URL on its own accepts whatever chain answers; combined with a
+// profile name it is used as that profile's endpoint and checked against it.
+function resolveNetwork(config) {
+  const { network, rpcUrl } = config;
+
+  if (!network && rpcUrl) {
+    return { name: null, rpcUrl, expectedChainId: null };
+  }
+
+  const name = network || DEFAULT_NETWORK;
+  const profile = NETWORK_PROFILES[name];
+  if (!profile) {
+    throw new Error(
+      `Unknown network "${name}". Expected one of: ${Object.keys(
+        NETWORK_PROFILES
+      ).join(", ")}, or pass an RPC URL.`
+    );
+  }
+
+  const url = rpcUrl || profile.rpcUrl(config);
+  if (!url) {
+    throw new Error(
+      `No RPC endpoint for network "${name}". Set INFURA_API_KEY or RPC_URL.`
+    );
+  }
+  return { name, rpcUrl: url, expectedChainId: profile.chainId };
+}
+
+async function fetchChainId(rpcUrl) {
+  const request = new ethers.FetchRequest(rpcUrl);
+  request.timeout = CHAIN_ID_TIMEOUT_MS;
+  request.body = { jsonrpc: "2.0", id: 1, method: "eth_chainId", params: [] };
+  request.setHeader("content-type", "application/json");
+
+  const response = await request.send();
+  response.assertOk();
+  const { result, error } = response.bodyJson;
+  if (error) {
+    throw new Error(`eth_chainId failed: ${error.message}`);
+  }
+  return Number(BigInt(result));
+}
+
+// Connects to the resolved endpoint, reading the chain ID from the node itself.
+// Resolves to { provider, chainId, name }.
+async function connectNetwork(config) {
+  const { name, rpcUrl, expectedChainId } = resolveNetwork(config);
+
+  let chainId;
+  try {
+    chainId = await fetchChainId(rpcUrl);
+  } catch (error) {
+    throw new Error(
+      `Could not reach RPC endpoint for ${name || "custom network"}: ${
+        error.message
+      }`
+    );
+  }
+
+  if (expectedChainId !== null && chainId !== expectedChainId) {
+    throw new Error(
+      `Chain ID mismatch: network "${name}" expects ${expectedChainId} but the RPC endpoint reports ${chainId}.`
+    );
+  }
+
+  const network = ethers.Network.from(chainId);
+  const networkName =
+    name || (network.name !== "unknown" ? network.name : `chain-${chainId}`);
+
+  // The chain is known at this point, so stop ethers from re-detecting (and retrying) it
+  const provider = new ethers.JsonRpcProvider(rpcUrl, network, {
+    staticNetwork: network,
+  });
+
+  return { provider, chainId, name: networkName };
+}
+
+module.exports = {
+  NETWORK_PROFILES,
+  DEFAULT_NETWORK,
+  resolveNetwork,
+  connectNetwork,
+};
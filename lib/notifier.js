@@ -0,0 +1,464 @@
+// lib/notifier.js
+
+const crypto = require("crypto");
+const { readDataFile } = require("./data_file");
+const { sleep, parseTimestamp } = require("./util");
+
+const FORMATS = ["json", "slack", "discord"];
+const DISCORD_MAX_CONTENT = 2000;
+const MAX_BACKOFF_MS = 60 * 60 * 1000;
+
+// --- Sinks ---
+// WEBHOOKS_FILE, JSON or YAML:
+//   - name: on-call
+//     url: https://hooks.slack.com/services/...
+//     format: slack                 # json (default), slack or discord
+//     events: [deployment.failed]   # default: every event; "deployment.*" works
+//   - name: backend
+//     url: https://example.com/hooks/forecast
+//     secret: s3cr3t                # json only: signs each request (HMAC-SHA256)
+function loadSinks(filePath) {
+  if (!filePath) {
+    throw new Error(
+      "No webhook sinks: set WEBHOOKS_FILE to a JSON or YAML list."
+    );
+  }
+  const sinks = readDataFile(filePath);
+  if (!Array.isArray(sinks) || !sinks.length) {
+    throw new Error(`${filePath} must hold a non-empty list of sinks.`);
+  }
+  const names = new Set();
+  return sinks.map((sink, i) => {
+    const label = `Sink ${i + 1}${sink && sink.name ? ` (${sink.name})` : ""}`;
+    if (!sink || typeof sink.name !== "string" || !sink.name) {
+      throw new Error(`${label} needs a \`name\`.`);
+    }
+    if (names.has(sink.name)) {
+      throw new Error(`${label}: the name "${sink.name}" is used twice.`);
+    }
+    names.add(sink.name);
+    let url;
+    try {
+      url = new URL(sink.url);
+    } catch (error) {
+      throw new Error(`${label} needs a valid \`url\`.`);
+    }
+    if (url.protocol !== "http:" && url.protocol !== "https:") {
+      throw new Error(`${label}: \`url\` must be http or https.`);
+    }
+    const format = sink.format || "json";
+    if (!FORMATS.includes(format)) {
+      throw new Error(
+        `${label}: \`format\` must be one of ${FORMATS.join(", ")}.`
+      );
+    }
+    if (sink.secret !== undefined && format !== "json") {
+      throw new Error(
+        `${label}: only json sinks are signed; remove \`secret\`.`
+      );
+    }
+    const events = sink.events === undefined ? ["*"] : sink.events;
+    if (!Array.isArray(events) || events.some((e) => typeof e !== "string")) {
+      throw new Error(`${label}: \`events\` must be a list of event types.`);
+    }
+    return {
+      name: sink.name,
+      url: url.href,
+      format,
+      secret: sink.secret,
+      events,
+    };
+  });
+}
+
+// "*" matches everything, "deployment.*" every deployment status
+function subscribes(sink, eventType) {
+  return sink.events.some((pattern) =>
+    pattern.endsWith("*")
+      ? eventType.startsWith(pattern.slice(0, -1))
+      : pattern === eventType
+  );
+}
+
+// --- Events ---
+// Each event: { eventType, deploymentId, gameAddress, status, payload }, where
+// payload = { type, occurredAt, text, data } is what json sinks receive
+function event(eventType, data, text, keys = {}) {
+  return {
+    eventType,
+    deploymentId: keys.deploymentId,
+    gameAddress: keys.gameAddress,
+    status: keys.status,
+    payload: {
+      type: eventType,
+      occurredAt: new Date().toISOString(),
+      text,
+      data,
+    },
+  };
+}
+
+function deploymentEvent(row, previousStatus) {
+  const data = {
+    deploymentId: row.id,
+    contractName: row.contract_name,
+    status: row.status,
+    previousStatus,
+    address: row.address,
+    txHash: row.tx_hash,
+    blockNumber: row.block_number === null ? null : Number(row.block_number),
+    chainId: row.chain_id === null ? null : Number(row.chain_id),
+    networkName: row.network_name,
+  };
+  const text = `Deployment ${row.id} (${row.contract_name}${
+    row.network_name ? ` on ${row.network_name}` : ""
+  }) is ${row.status}${previousStatus ? `, was ${previousStatus}` : ""}${
+    row.address ? `; address ${row.address}` : ""
+  }.`;
+  return event(`deployment.${row.status.toLowerCase()}`, data, text, {
+    deploymentId: row.id,
+    status: row.status,
+  });
+}
+
+function gameCreatedEvent(game, factoryRow) {
+  const data = {
+    gameAddress: game.address,
+    gameId: Number(game.game_id),
+    question: game.question,
+    options: game.options ? JSON.parse(game.options) : null,
+    odds: game.odds ? JSON.parse(game.odds) : null,
+    creator: game.creator,
+    fundingWei: game.funding_wei,
+    factoryAddress: factoryRow.address,
+    deploymentId: factoryRow.id,
+    txHash: game.tx_hash,
+    chainId: Number(factoryRow.chain_id),
+    networkName: factoryRow.network_name,
+  };
+  const text = `Game ${data.gameId}${
+    game.question ? ` "${game.question}"` : ""
+  } created at ${game.address} on factory ${factoryRow.address} (${
+    factoryRow.network_name
+  }).`;
+  return event("game.created", data, text, {
+    deploymentId: factoryRow.id,
+    gameAddress: game.address,
+  });
+}
+
+function gameFinalizedEvent(finalization, game, factoryRow) {
+  const options = game && game.options ? JSON.parse(game.options) : null;
+  const finalOption = Number(finalization.final_option);
+  const data = {
+    gameAddress: finalization.game_address,
+    question: game ? game.question : null,
+    finalOption, // 1-based, as in the contract
+    finalOptionLabel: options ? options[finalOption - 1] : null,
+    factoryAddress: factoryRow.address,
+    deploymentId: factoryRow.id,
+    txHash: finalization.tx_hash,
+    blockNumber: Number(finalization.block_number),
+    chainId: Number(factoryRow.chain_id),
+    networkName: factoryRow.network_name,
+  };
+  const text = `Game${data.question ? ` "${data.question}"` : ""} at ${
+    data.gameAddress
+  } finalized: option ${finalOption}${
+    data.finalOptionLabel ? ` (${data.finalOptionLabel})` : ""
+  } won (${factoryRow.network_name}).`;
+  return event("game.finalized", data, text, {
+    deploymentId: factoryRow.id,
+    gameAddress: finalization.game_address,
+  });
+}
+
+// Records the events since the last call and queues one delivery per
+// subscribed sink. What is new is found by comparing the database with the
+// events already recorded: deployment statuses in deployed_contracts, games
+// in `games` (create-game or the indexer) and finalizations indexed into
+// game_finalizations. The first call only records the current state, so
+// history is not sent, and a "baseline" event marking it, so that even on an
+// empty database the next change is sent.
+async function collectEvents(store, sinks) {
+  const recorded = await store.listNotificationEvents({});
+  const baseline = !recorded.some((row) => row.event_type !== "test");
+  const lastStatus = new Map(); // deployment ID -> status last reported
+  const created = new Set();
+  const finalized = new Set();
+  for (const row of recorded) {
+    if (row.event_type.startsWith("deployment.")) {
+      lastStatus.set(row.deployment_id, row.status);
+    } else if (row.event_type === "game.created") {
+      created.add(row.game_address);
+    } else if (row.event_type === "game.finalized") {
+      finalized.add(row.game_address);
+    }
+  }
+
+  const deployments = await store.listDeployments({});
+  const factories = new Map(deployments.map((row) => [row.id, row]));
+  const events = [];
+  for (const row of deployments) {
+    if (lastStatus.get(row.id) === row.status) continue;
+    events.push(deploymentEvent(row, lastStatus.get(row.id) || null));
+  }
+  const games = (await store.findGames({})).reverse();
+  for (const game of games) {
+    if (created.has(game.address)) continue;
+    events.push(gameCreatedEvent(game, factories.get(game.deployment_id)));
+  }
+  const gamesByAddress = new Map(games.map((game) => [game.address, game]));
+  const finalizations = (await store.findEvents("game_finalizations", {}))
+    .reverse()
+    .filter((row) => !finalized.has(row.game_address));
+  for (const row of finalizations) {
+    finalized.add(row.game_address); // A reorg may have indexed it twice
+    events.push(
+      gameFinalizedEvent(
+        row,
+        gamesByAddress.get(row.game_address),
+        factories.get(row.deployment_id)
+      )
+    );
+  }
+
+  let queued = 0;
+  for (const item of events) {
+    const eventId = await store.insertNotificationEvent({
+      ...item,
+      payload: JSON.stringify(item.payload),
+    });
+    if (baseline) continue;
+    queued += await queueDeliveries(store, sinks, eventId, item.eventType);
+  }
+  if (baseline) {
+    const marker = event(
+      "baseline",
+      { events: events.length },
+      `Baseline of ${events.length} existing event(s) recorded.`
+    );
+    await store.insertNotificationEvent({
+      eventType: marker.eventType,
+      payload: JSON.stringify(marker.payload),
+    });
+    console.log(
+      `[INFO] First run: recorded ${events.length} existing deployment status(es) and game event(s) as the baseline; only later changes are sent.`
+    );
+  } else if (events.length) {
+    console.log(
+      `[INFO] ${events.length} new event(s), ${queued} delivery(ies) queued.`
+    );
+  }
+  return events;
+}
+
+async function queueDeliveries(store, sinks, eventId, eventType, all = false) {
+  let queued = 0;
+  for (const sink of sinks) {
+    if (!all && !subscribes(sink, eventType)) continue;
+    await store.insertWebhookDelivery({
+      eventId,
+      sink: sink.name,
+      url: sink.url,
+      format: sink.format,
+      nextAttemptAt: new Date(),
+    });
+    queued++;
+  }
+  return queued;
+}
+
+// --- Delivery ---
+// Request body per sink format. json bodies are signed when the sink has a
+// secret: X-Forecast-Signature = "sha256=" + hex HMAC-SHA256 of
+// "<X-Forecast-Timestamp>.<body>", so receivers can also reject replays.
+function request(sink, deliveryId, payload) {
+  const headers = { "Content-Type": "application/json" };
+  if (sink.format === "slack") {
+    return { headers, body: JSON.stringify({ text: payload.text }) };
+  }
+  if (sink.format === "discord") {
+    return {
+      headers,
+      body: JSON.stringify({
+        content: payload.text.slice(0, DISCORD_MAX_CONTENT),
+      }),
+    };
+  }
+  const body = JSON.stringify({ id: deliveryId, ...payload });
+  headers["X-Forecast-Event"] = payload.type;
+  headers["X-Forecast-Delivery"] = String(deliveryId);
+  if (sink.secret) {
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const signature = crypto
+      .createHmac("sha256", sink.secret)
+      .update(`${timestamp}.${body}`)
+      .digest("hex");
+    headers["X-Forecast-Timestamp"] = timestamp;
+    headers["X-Forecast-Signature"] = `sha256=${signature}`;
+  }
+  return { headers, body };
+}
+
+// 4xx answers other than 408 and 429 will not change on a retry
+function retryable(status) {
+  return status === 408 || status === 429 || status >= 500;
+}
+
+// One attempt; records DELIVERED, FAILED, or PENDING with the next attempt
+// `backoffMs` * 2^(attempts - 1) later. Returns { status, nextAttemptAt }.
+async function attemptDelivery(store, settings, sinksByName, delivery) {
+  const attempts = Number(delivery.attempts) + 1;
+  const sink = sinksByName.get(delivery.sink);
+  if (!sink) {
+    await store.updateWebhookDelivery(delivery.id, {
+      status: "FAILED",
+      error: `Sink "${delivery.sink}" is no longer configured.`,
+    });
+    return { status: "FAILED" };
+  }
+  const notification = await store.getNotificationEvent(delivery.event_id);
+  const { headers, body } = request(
+    sink,
+    delivery.id,
+    JSON.parse(notification.payload)
+  );
+  const name = `${notification.event_type} (event ${notification.id})`;
+
+  let responseStatus = null;
+  let error = null;
+  try {
+    const response = await fetch(sink.url, {
+      method: "POST",
+      headers,
+      body,
+      signal: AbortSignal.timeout(settings.timeoutMs),
+    });
+    responseStatus = response.status;
+    if (!response.ok) {
+      const text = (await response.text()).slice(0, 200);
+      error = `HTTP ${response.status}${text ? `: ${text}` : ""}`;
+    }
+  } catch (requestError) {
+    error = requestError.message;
+  }
+
+  if (!error) {
+    await store.updateWebhookDelivery(delivery.id, {
+      status: "DELIVERED",
+      attempts,
+      responseStatus,
+      error: null,
+      deliveredAt: new Date(),
+      nextAttemptAt: null,
+    });
+    console.log(`[INFO] Delivered ${name} to ${sink.name}.`);
+    return { status: "DELIVERED" };
+  }
+  const final =
+    attempts >= settings.maxAttempts ||
+    (responseStatus !== null && !retryable(responseStatus));
+  const delayMs = Math.min(
+    settings.backoffMs * 2 ** (attempts - 1),
+    MAX_BACKOFF_MS
+  );
+  const nextAttemptAt = final ? null : new Date(Date.now() + delayMs);
+  await store.updateWebhookDelivery(delivery.id, {
+    status: final ? "FAILED" : "PENDING",
+    attempts,
+    responseStatus,
+    error,
+    nextAttemptAt,
+  });
+  if (final) {
+    console.error(
+      `[ERROR] Delivery ${delivery.id} of ${name} to ${sink.name} failed after ${attempts} attempt(s): ${error}`
+    );
+    return { status: "FAILED" };
+  }
+  console.warn(
+    `[WARNING] Delivery ${delivery.id} of ${name} to ${sink.name} failed (${error}); retrying in ${delayMs} ms.`
+  );
+  return { status: "PENDING", nextAttemptAt };
+}
+
+// Attempts every PENDING delivery that is due, counting final outcomes in
+// `results`. Returns the time the next one falls due, or null if none is left.
+async function deliverDue(store, settings, sinks, results) {
+  const sinksByName = new Map(sinks.map((sink) => [sink.name, sink]));
+  const pending = await store.listWebhookDeliveries({ status: "PENDING" });
+  let next = null;
+  for (const delivery of pending) {
+    let due = delivery.next_attempt_at
+      ? parseTimestamp(delivery.next_attempt_at)
+      : new Date(0);
+    if (due <= new Date()) {
+      const outcome = await attemptDelivery(
+        store,
+        settings,
+        sinksByName,
+        delivery
+      );
+      if (outcome.status !== "PENDING") {
+        results[outcome.status]++;
+        continue;
+      }
+      due = outcome.nextAttemptAt;
+    }
+    if (!next || due < next) next = due;
+  }
+  return next;
+}
+
+// --- Notifier Loop ---
+// Records new events, queues and sends their deliveries. Without `watch`, one
+// pass that waits out the retries of what it queued; with `watch`, polls every
+// NOTIFY_POLL_INTERVAL_MS until `signal` aborts. `test` queues a "test" event
+// for every sink first, whatever its `events`. Returns how many deliveries
+// this run completed: { DELIVERED, FAILED }.
+async function runNotifier(store, config, options = {}) {
+  const { watch = false, test = false, signal } = options;
+  const settings = config.webhooks;
+  const sinks = loadSinks(settings.file);
+
+  await store.init();
+  try {
+    console.log(
+      `[INFO] Notifying ${sinks.length} webhook sink(s)${
+        watch ? " (watching for changes)" : ""
+      }.`
+    );
+    if (test) {
+      const item = event(
+        "test",
+        { sinks: sinks.map((sink) => sink.name) },
+        "Test notification from forecast_deployer.js notify --test."
+      );
+      const eventId = await store.insertNotificationEvent({
+        eventType: item.eventType,
+        payload: JSON.stringify(item.payload),
+      });
+      await queueDeliveries(store, sinks, eventId, item.eventType, true);
+    }
+
+    const results = { DELIVERED: 0, FAILED: 0 };
+    let collectAt = 0;
+    while (!(signal && signal.aborted)) {
+      if (Date.now() >= collectAt) {
+        await collectEvents(store, sinks);
+        // One-shot runs collect once and only wait out the retries
+        collectAt = watch ? Date.now() + settings.pollIntervalMs : Infinity;
+      }
+      const next = await deliverDue(store, settings, sinks, results);
+      if (!watch && !next) break;
+      const wakeAt = Math.min(collectAt, next ? next.getTime() : Infinity);
+      await sleep(Math.max(wakeAt - Date.now(), 0), signal);
+    }
+    return results;
+  } finally {
+    await store.close();
+  }
+}
+
+module.exports = { loadSinks, collectEvents, runNotifier };
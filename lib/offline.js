@@ -0,0 +1,570 @@
+// lib/offline.js
+
+const fs = require("fs");
+const { ethers } = require("ethers");
+const { connectNetwork } = require("./networks");
+const { createSigner, signerType } = require("./signer");
+const {
+  compilerSettings,
+  compileProject,
+  standardJsonInput,
+  extractContract,
+} = require("./compiler");
+const { parseFeePercent } = require("./deployer");
+const { findMatchingFactory } = require("./deployment_check");
+const { feePolicy, resolveFees } = require("./transactions");
+const {
+  loadGameSpec,
+  validateGameSpec,
+  splitFunding,
+  findFactoryDeployment,
+  gameFromReceipt,
+} = require("./games");
+const { gameContract, readGameState } = require("./game_reader");
+const { FORECAST_GAME_FACTORY_ABI } = require("./abi");
+const { DeploymentLogger } = require("./logger");
+const { registerDeployment } = require("./registry");
+
+const FILE_VERSION = 1;
+const GAS_HEADROOM_PERCENT = 120n; // State can change between prepare and broadcast
+
+// --- Transaction Files ---
+// prepare writes, sign adds the signature, broadcast submits:
+// {
+//   "version": 1,
+//   "kind": "deploy",                  // or createGame, finalize, updateFactoryOwner
+//   "description": "Deploy ForecastGameFactory with a 5% fee",
+//   "chainId": 11155111,
+//   "networkName": "sepolia",
+//   "from": "0x...",
+//   "transaction": { "type": 2, "nonce": 7, "gasLimit": "...", ... },  // wei as strings
+//   "context": { ... },                // what broadcast records once it is mined
+//   "preparedAt": "...",
+//   "signedTransaction": "0x...",      // added by sign, with hash, signerType, signedAt
+// }
+function readTxFile(filePath) {
+  const file = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  if (file.version !== FILE_VERSION || !PREPARERS[file.kind]) {
+    throw new Error(`${filePath} is not a transaction file from "prepare".`);
+  }
+  return file;
+}
+
+function writeTxFile(filePath, file) {
+  fs.writeFileSync(filePath, JSON.stringify(file, null, 2) + "\n");
+}
+
+function jsonTransaction(tx) {
+  return Object.fromEntries(
+    Object.entries(tx).map(([key, value]) => [
+      key,
+      typeof value === "bigint" ? value.toString() : value,
+    ])
+  );
+}
+
+function describeTransaction(file) {
+  const tx = file.transaction;
+  const maxGasPrice = BigInt(tx.maxFeePerGas || tx.gasPrice);
+  return [
+    `${file.description}`,
+    `  network: ${file.networkName} (chain ID ${file.chainId})`,
+    `  from: ${file.from} (nonce ${tx.nonce})`,
+    `  to: ${tx.to || "(contract creation)"}`,
+    `  value: ${ethers.formatEther(tx.value)} ETH`,
+    `  gas limit: ${tx.gasLimit}, max gas price: ${ethers.formatUnits(
+      maxGasPrice,
+      "gwei"
+    )} gwei, max cost: ${ethers.formatEther(
+      BigInt(tx.gasLimit) * maxGasPrice + BigInt(tx.value)
+    )} ETH`,
+  ].join("\n");
+}
+
+// --- Prepare ---
+// Each preparer checks what it can on chain and returns the call to sign:
+// { description, to, data, value, context }.
+const PREPARERS = {
+  async deploy({ store, config, provider, chainId }, args, { force }) {
+    const settings = compilerSettings(config.compiler);
+    const build = compileProject(
+      config.contractsDir,
+      config.artifactsDir,
+      settings
+    );
+    for (const warning of build.warnings) {
+      console.warn(`[WARNING] Compiler ${warning.severity}: ${warning.message}`);
+    }
+    if (build.errors.length) {
+      throw new Error(
+        `Solidity compilation failed:\n${build.errors
+          .map((err) => err.formattedMessage)
+          .join("\n")}`
+      );
+    }
+    const { qualifiedName, abi, bytecode, runtimeBytecode } = extractContract(
+      build,
+      "ForecastGameFactory"
+    );
+    const feePercent = parseFeePercent(config.factoryFeePercent);
+    // Same check as `deploy`: an identical factory on chain makes this redundant
+    const existing = await findMatchingFactory(store, provider, {
+      chainId,
+      bytecode,
+      runtimeBytecode,
+      feePercent,
+    });
+    if (existing && !force) {
+      throw new Error(
+        `ForecastGameFactory with a ${feePercent}% fee is already deployed at ${existing.address} (ID: ${existing.id}). Use --force to prepare another one.`
+      );
+    }
+    if (existing) {
+      console.warn(
+        `[WARNING] Deployment ${existing.id} at ${existing.address} already has the same code and fee; preparing another one (forced).`
+      );
+    }
+    const contractFactory = new ethers.ContractFactory(abi, bytecode);
+    const { data } = await contractFactory.getDeployTransaction(feePercent);
+    return {
+      description: `Deploy ForecastGameFactory with a ${feePercent}% fee`,
+      to: null,
+      data,
+      value: 0n,
+      context: {
+        contractName: "ForecastGameFactory",
+        abi,
+        bytecode,
+        runtimeBytecode,
+        constructorArgs: contractFactory.interface.encodeDeploy([feePercent]),
+        compilerVersion: build.compilerVersion,
+        compilerSettings: JSON.stringify(settings),
+        compilerInput: JSON.stringify(
+          standardJsonInput(config.contractsDir, build)
+        ),
+        qualifiedName,
+      },
+    };
+  },
+
+  async createGame({ store, provider, chainId }, [specPath], { factory }) {
+    if (!specPath) throw new Error("prepare create-game needs a game spec file.");
+    const spec = validateGameSpec(loadGameSpec(specPath));
+    const factoryRow = await findFactoryDeployment(store, chainId, factory);
+    const contract = new ethers.Contract(
+      factoryRow.address,
+      JSON.parse(factoryRow.abi),
+      provider
+    );
+    const { feeWei } = splitFunding(
+      spec.fundingWei,
+      await contract.feePercent()
+    );
+    return {
+      description: `Create game "${spec.question}" on factory ${
+        factoryRow.address
+      } with ${ethers.formatEther(spec.fundingWei)} ETH`,
+      to: factoryRow.address,
+      data: contract.interface.encodeFunctionData("createGame", [
+        spec.question,
+        spec.options,
+        spec.odds,
+      ]),
+      value: spec.fundingWei,
+      context: {
+        factoryDeploymentId: factoryRow.id,
+        question: spec.question,
+        options: spec.options,
+        odds: spec.odds,
+        fundingWei: spec.fundingWei.toString(),
+        feeWei: feeWei.toString(),
+      },
+    };
+  },
+
+  async finalize({ provider, from }, [gameAddress, rawOption]) {
+    const winningOption = Number(rawOption);
+    if (!gameAddress || !Number.isInteger(winningOption) || winningOption < 1) {
+      throw new Error(
+        "prepare finalize needs a game address and a 1-based winning option."
+      );
+    }
+    const game = gameContract(ethers.getAddress(gameAddress), provider);
+    const state = await readGameState(game);
+    if (state.gameFinalized || !state.gameActive) {
+      throw new Error(`Game ${state.address} is no longer open for finalization.`);
+    }
+    if (winningOption > state.options.length) {
+      throw new Error(
+        `Option ${winningOption} is out of range (options 1-${state.options.length}).`
+      );
+    }
+    const factory = new ethers.Contract(
+      state.factory,
+      FORECAST_GAME_FACTORY_ABI,
+      provider
+    );
+    const factoryOwner = await factory.factoryOwner();
+    if (factoryOwner !== from) {
+      throw new Error(
+        `${from} cannot finalize ${state.address}: the factory owner is ${factoryOwner}.`
+      );
+    }
+    const optionLabel = state.options[winningOption - 1];
+    return {
+      description: `Finalize "${state.question}" (${state.address}) with option ${winningOption}: ${optionLabel}`,
+      to: state.address,
+      data: game.interface.encodeFunctionData("finalize", [winningOption]),
+      value: 0n,
+      context: { finalOption: winningOption, optionLabel },
+    };
+  },
+
+  async updateFactoryOwner(
+    { store, provider, chainId, from },
+    [newOwner],
+    { factory }
+  ) {
+    if (!newOwner) throw new Error("prepare update-owner needs the new owner.");
+    const owner = ethers.getAddress(newOwner);
+    const factoryRow = await findFactoryDeployment(store, chainId, factory);
+    const contract = new ethers.Contract(
+      factoryRow.address,
+      FORECAST_GAME_FACTORY_ABI,
+      provider
+    );
+    const previousOwner = await contract.factoryOwner();
+    if (previousOwner !== from) {
+      throw new Error(
+        `${from} is not the owner of factory ${factoryRow.address} (${previousOwner} is).`
+      );
+    }
+    return {
+      description: `Transfer ownership of factory ${factoryRow.address} from ${previousOwner} to ${owner}`,
+      to: factoryRow.address,
+      data: contract.interface.encodeFunctionData("updateFactoryOwner", [
+        owner,
+      ]),
+      value: 0n,
+      context: {
+        factoryDeploymentId: factoryRow.id,
+        previousOwner,
+        newOwner: owner,
+      },
+    };
+  },
+};
+
+// Builds the unsigned transaction with nonce, fees and chain ID and writes it
+// to `options.out`. `options.from` is the (offline) account that will sign it.
+async function prepareTransaction(store, config, kind, args, options = {}) {
+  if (!PREPARERS[kind]) throw new Error(`Cannot prepare "${kind}".`);
+  if (!options.from) throw new Error("prepare needs --from <signer address>.");
+  const from = ethers.getAddress(options.from);
+
+  await store.init();
+  try {
+    const { provider, chainId, name } = await connectNetwork(config);
+    const call = await PREPARERS[kind](
+      { store, config, provider, chainId, from },
+      args,
+      options
+    );
+
+    const request = { from, to: call.to, data: call.data, value: call.value };
+    const gasLimit =
+      ((await provider.estimateGas(request)) * GAS_HEADROOM_PERCENT) / 100n;
+    const nonce = await provider.getTransactionCount(from, "pending");
+    const fees = await resolveFees(provider, feePolicy(config.fees));
+
+    const file = {
+      version: FILE_VERSION,
+      kind,
+      description: call.description,
+      chainId,
+      networkName: name,
+      from,
+      transaction: jsonTransaction({
+        ...fees,
+        chainId,
+        nonce,
+        to: call.to,
+        data: call.data,
+        value: call.value,
+        gasLimit,
+      }),
+      context: call.context,
+      preparedAt: new Date().toISOString(),
+    };
+    const out = options.out || `${kind}-${chainId}-${nonce}.unsigned.json`;
+    writeTxFile(out, file);
+    console.log(`[INFO] Prepared:\n${describeTransaction(file)}`);
+    console.log(`[INFO] Unsigned transaction written to ${out}.`);
+    return { file: out, transaction: file };
+  } finally {
+    await store.close();
+  }
+}
+
+// --- Sign ---
+// Runs without any provider: only the signer configuration is used, so this
+// is the step that happens on the air-gapped machine.
+async function signTransactionFile(config, filePath, options = {}) {
+  const file = readTxFile(filePath);
+  if (file.signedTransaction) {
+    throw new Error(`${filePath} is already signed.`);
+  }
+  const type = signerType(config.signer);
+  if (type === "rpc") {
+    throw new Error(
+      "sign runs offline; use a private-key, keystore or mnemonic signer."
+    );
+  }
+
+  console.log(`[INFO] Signing:\n${describeTransaction(file)}`);
+  const signer = await createSigner(config, null);
+  const address = await signer.getAddress();
+  if (address !== file.from) {
+    throw new Error(
+      `The configured signer is ${address}, but the transaction was prepared for ${file.from}.`
+    );
+  }
+
+  const tx = file.transaction;
+  const signedTransaction = await signer.signTransaction({
+    ...tx,
+    to: tx.to || null,
+  });
+  const signed = {
+    ...file,
+    signedTransaction,
+    hash: ethers.keccak256(signedTransaction),
+    signerType: type,
+    signedAt: new Date().toISOString(),
+  };
+  const out =
+    options.out ||
+    (filePath.endsWith(".unsigned.json")
+      ? filePath.replace(/\.unsigned\.json$/, ".signed.json")
+      : `${filePath}.signed.json`);
+  writeTxFile(out, signed);
+  console.log(`[INFO] Signed transaction ${signed.hash} written to ${out}.`);
+  return { file: out, hash: signed.hash };
+}
+
+// --- Broadcast ---
+// Submits the signed payload (again, if it was already sent) and waits for
+// its receipt
+async function sendSigned(provider, file, log) {
+  if (await provider.getTransaction(file.hash)) {
+    await log(`Transaction ${file.hash} was already broadcast; waiting for it.`);
+  } else {
+    await provider.broadcastTransaction(file.signedTransaction);
+    await log(`Transaction sent: ${file.hash}`);
+  }
+  return provider.waitForTransaction(file.hash);
+}
+
+// Recorded in deployed_contracts / deployment_logs like a normal deployment
+async function broadcastDeploy({ store, config, provider, chainId, name }, file) {
+  const existing = await store.findDeployment({ txHash: file.hash });
+  if (existing && existing.status !== "PENDING") {
+    console.log(
+      `[INFO] Deployment ${existing.id} for ${file.hash} is already ${existing.status}.`
+    );
+    return { deploymentId: existing.id, status: existing.status };
+  }
+
+  const { context } = file;
+  const deploymentId = existing
+    ? existing.id
+    : await store.createDeployment({
+        contractName: context.contractName,
+        chainId,
+        networkName: name,
+        abi: context.abi,
+        bytecode: context.bytecode,
+        runtimeBytecode: context.runtimeBytecode,
+        constructorArgs: context.constructorArgs,
+        compilerVersion: context.compilerVersion,
+        compilerSettings: context.compilerSettings,
+        compilerInput: context.compilerInput,
+        qualifiedName: context.qualifiedName,
+        signerType: file.signerType,
+        signerAddress: file.from,
+      });
+  const logger = new DeploymentLogger(store, config.logging, {
+    step: "broadcast",
+  });
+  await logger.attach(deploymentId);
+
+  let status = "FAILED";
+  try {
+    await logger.info(
+      `Broadcasting offline-signed deployment of ${context.contractName} (ID: ${deploymentId}), prepared ${file.preparedAt} and signed ${file.signedAt}.`
+    );
+    await store.updateDeployment(deploymentId, {
+      txHash: file.hash,
+      nonce: file.transaction.nonce,
+      sender: file.from,
+    });
+    const receipt = await sendSigned(provider, file, (message) =>
+      logger.info(message, {
+        txHash: file.hash,
+        nonce: file.transaction.nonce,
+      })
+    );
+    if (receipt.status !== 1) {
+      await logger.error(
+        `Deployment transaction ${file.hash} reverted in block ${receipt.blockNumber}.`,
+        { txHash: file.hash, blockNumber: receipt.blockNumber }
+      );
+      await store.updateDeployment(deploymentId, {
+        status: "FAILED",
+        blockNumber: receipt.blockNumber,
+      });
+      return { deploymentId, status };
+    }
+
+    await logger.done(
+      `${context.contractName} deployed successfully to: ${receipt.contractAddress}`,
+      {
+        address: receipt.contractAddress,
+        txHash: file.hash,
+        blockNumber: receipt.blockNumber,
+        gasUsed: receipt.gasUsed,
+        effectiveGasPrice: receipt.gasPrice,
+      }
+    );
+    await store.updateDeployment(deploymentId, {
+      address: receipt.contractAddress,
+      deployedAt: new Date(),
+      status: "DEPLOYED",
+      blockNumber: receipt.blockNumber,
+    });
+    status = "DEPLOYED";
+    await logger.info(`Contract details updated in DB for ID: ${deploymentId}`);
+    await registerDeployment(store, config, logger, deploymentId);
+  } catch (error) {
+    await logger.error(
+      `Deployment failed for ID ${deploymentId}. Error: ${error.message}`
+    );
+    await store.updateDeployment(deploymentId, { status: "FAILED" });
+  } finally {
+    await logger.close();
+  }
+  return { deploymentId, status };
+}
+
+async function broadcastCreateGame({ store, provider }, file) {
+  const receipt = await sendSigned(provider, file, async (message) =>
+    console.log(`[INFO] ${message}`)
+  );
+  if (receipt.status !== 1) {
+    throw new Error(`createGame transaction ${file.hash} reverted.`);
+  }
+  const { context } = file;
+  const factoryRow = await store.getDeployment(context.factoryDeploymentId);
+  const game = gameFromReceipt(
+    new ethers.Interface(FORECAST_GAME_FACTORY_ABI),
+    receipt,
+    {
+      factoryRow,
+      spec: {
+        question: context.question,
+        options: context.options,
+        odds: context.odds,
+        fundingWei: BigInt(context.fundingWei),
+      },
+      feeWei: BigInt(context.feeWei),
+    }
+  );
+  await store.insertGameIfMissing(game);
+  console.log(
+    `[INFO] Game ${game.gameId} created at ${game.address} by ${game.creator}.`
+  );
+  return { status: "SUCCEEDED", game };
+}
+
+// Owner actions are audited the same way the resolver audits finalize
+async function broadcastAudited({ store, provider, chainId }, file) {
+  const [audit] = await store.findAudit({ txHash: file.hash });
+  if (audit && audit.status !== "PENDING") {
+    console.log(`[INFO] ${file.kind} ${file.hash} is already ${audit.status}.`);
+    return { status: audit.status };
+  }
+  const auditId = audit
+    ? audit.id
+    : await store.insertAudit({
+        action: file.kind,
+        chainId,
+        contractAddress: file.transaction.to,
+        actor: file.from,
+        details: JSON.stringify({ ...file.context, offline: true }),
+        txHash: file.hash,
+      });
+
+  try {
+    const receipt = await sendSigned(provider, file, async (message) =>
+      console.log(`[INFO] ${message}`)
+    );
+    const status = receipt.status === 1 ? "SUCCEEDED" : "FAILED";
+    await store.updateAudit(auditId, {
+      status,
+      error: status === "FAILED" ? "Transaction reverted." : undefined,
+      completedAt: new Date(),
+    });
+    console.log(`[INFO] ${file.description}: ${status}.`);
+    return { status };
+  } catch (error) {
+    await store.updateAudit(auditId, {
+      status: "FAILED",
+      error: error.message,
+      completedAt: new Date(),
+    });
+    throw error;
+  }
+}
+
+const BROADCASTERS = {
+  deploy: broadcastDeploy,
+  createGame: broadcastCreateGame,
+  finalize: broadcastAudited,
+  updateFactoryOwner: broadcastAudited,
+};
+
+async function broadcastTransactionFile(store, config, filePath) {
+  const file = readTxFile(filePath);
+  if (!file.signedTransaction) {
+    throw new Error(`${filePath} is not signed yet; run "sign" first.`);
+  }
+  const tx = ethers.Transaction.from(file.signedTransaction);
+  if (tx.from !== file.from || tx.hash !== file.hash) {
+    throw new Error(
+      `The signature in ${filePath} does not match the prepared transaction.`
+    );
+  }
+
+  await store.init();
+  try {
+    const { provider, chainId, name } = await connectNetwork(config);
+    if (chainId !== Number(file.chainId)) {
+      throw new Error(
+        `${filePath} was prepared for chain ID ${file.chainId}, but the RPC endpoint is chain ID ${chainId}.`
+      );
+    }
+    console.log(`[INFO] Broadcasting:\n${describeTransaction(file)}`);
+    return await BROADCASTERS[file.kind](
+      { store, config, provider, chainId, name },
+      file
+    );
+  } finally {
+    await store.close();
+  }
+}
+
+module.exports = {
+  prepareTransaction,
+  signTransactionFile,
+  broadcastTransactionFile,
+};
@@ -0,0 +1,221 @@
+// lib/reconcile.js
+
+const { connectNetwork } = require("./networks");
+const { DeploymentLogger } = require("./logger");
+const {
+  compilerSettings,
+  compileProject,
+  standardJsonInput,
+  extractContract,
+} = require("./compiler");
+const { findReceipt, markMined } = require("./transactions");
+const { parseTimestamp } = require("./util");
+
+// Rows written before tx_hash was stored keep the hash only in this log line
+const LOGGED_TX_HASH = /Deployment transaction hash: (0x[0-9a-fA-F]{64})/;
+// A row with no transaction and log activity this recent may still be
+// compiling or sending in another process
+const UNSENT_GRACE_MS = 15 * 60 * 1000;
+
+// Rows written before the deployer persisted ABI and bytecode up front are
+// filled from a fresh compile, but only if it produces exactly the init code
+// the transaction carried (the source or settings may have changed since).
+function recoverArtifacts(config, row, tx) {
+  const settings = row.compiler_settings
+    ? JSON.parse(row.compiler_settings)
+    : compilerSettings(config.compiler);
+  const build = compileProject(
+    config.contractsDir,
+    config.artifactsDir,
+    settings
+  );
+  if (build.errors.length) return null;
+  const compiled = extractContract(build, row.contract_name);
+  if (!tx.data.startsWith(compiled.bytecode)) return null;
+  return {
+    abi: compiled.abi,
+    bytecode: compiled.bytecode,
+    runtimeBytecode: compiled.runtimeBytecode,
+    constructorArgs: `0x${tx.data.slice(compiled.bytecode.length)}`,
+    compilerVersion: build.compilerVersion,
+    compilerSettings: JSON.stringify(settings),
+    compilerInput: JSON.stringify(
+      standardJsonInput(config.contractsDir, build)
+    ),
+    qualifiedName: compiled.qualifiedName,
+  };
+}
+
+// --- Reconcile One Deployment ---
+// Returns the new status, or PENDING if the transaction is still in flight.
+async function reconcileDeployment(store, config, provider, row) {
+  const id = row.id;
+  const logger = new DeploymentLogger(store, config.logging, {
+    step: "reconcile",
+  });
+  await logger.attach(id);
+
+  if (!row.tx_hash) {
+    const logs = await store.listLogs(id);
+    const logged = logs
+      .map((log) => LOGGED_TX_HASH.exec(log.message))
+      .find(Boolean);
+    if (logged) {
+      row = { ...row, tx_hash: logged[1] };
+      await store.updateDeployment(id, { txHash: row.tx_hash });
+      await logger.info(
+        `Recovered transaction hash ${row.tx_hash} from the deployment log.`,
+        { txHash: row.tx_hash }
+      );
+    } else {
+      const lastActivity = logs.length
+        ? parseTimestamp(logs[logs.length - 1].timestamp)
+        : null;
+      if (lastActivity && Date.now() - lastActivity < UNSENT_GRACE_MS) {
+        console.log(
+          `[INFO] Deployment ${id}: no transaction recorded yet and last logged activity at ${lastActivity.toISOString()}; it may still be in progress.`
+        );
+        return "PENDING";
+      }
+      // Nothing to look up on chain; DROPPED, not FAILED, since it may have
+      // been sent by a process that died before recording it
+      await logger.warn(
+        `Deployment ${id} has no transaction hash recorded or logged; marking it DROPPED.`
+      );
+      await store.updateDeployment(id, { status: "DROPPED" });
+      return "DROPPED";
+    }
+  }
+
+  // The original transaction and any speed-up or cancel sent for its nonce
+  const tracked = await store.listDeploymentTxs(id);
+  const candidates = tracked.length
+    ? tracked
+    : [{ tx_hash: row.tx_hash, kind: "ORIGINAL" }];
+  const found = await findReceipt(provider, candidates);
+  if (found) {
+    const { receipt } = found;
+    if (tracked.length) await markMined(store, tracked, found.row);
+    if (receipt.status !== 1) {
+      await logger.error(
+        `Deployment transaction ${receipt.hash} reverted in block ${receipt.blockNumber}.`,
+        { txHash: receipt.hash, blockNumber: receipt.blockNumber }
+      );
+      await store.updateDeployment(id, {
+        status: "FAILED",
+        blockNumber: receipt.blockNumber,
+      });
+      return "FAILED";
+    }
+    if (found.row.kind === "CANCEL") {
+      await logger.warn(
+        `Reconciled: deployment ${id} was cancelled by transaction ${receipt.hash} in block ${receipt.blockNumber}.`,
+        { txHash: receipt.hash, blockNumber: receipt.blockNumber }
+      );
+      await store.updateDeployment(id, {
+        status: "CANCELLED",
+        blockNumber: receipt.blockNumber,
+      });
+      return "CANCELLED";
+    }
+
+    const fields = {
+      address: receipt.contractAddress,
+      txHash: receipt.hash,
+      status: "DEPLOYED",
+      blockNumber: receipt.blockNumber,
+      deployedAt: new Date((await receipt.getBlock()).timestamp * 1000),
+    };
+    if (!row.abi || !row.bytecode) {
+      const tx = await provider.getTransaction(receipt.hash);
+      const artifacts = recoverArtifacts(config, row, tx);
+      if (artifacts) {
+        Object.assign(fields, artifacts);
+      } else {
+        await logger.warn(
+          `Current source does not compile to the deployed init code; ABI and bytecode left empty for ID ${id}.`
+        );
+      }
+    }
+    await store.updateDeployment(id, fields);
+    await logger.info(
+      `Reconciled: ${row.contract_name} deployed to ${receipt.contractAddress} in block ${receipt.blockNumber}.`,
+      {
+        address: receipt.contractAddress,
+        txHash: receipt.hash,
+        blockNumber: receipt.blockNumber,
+        gasUsed: receipt.gasUsed,
+      }
+    );
+    return "DEPLOYED";
+  }
+
+  for (const candidate of candidates) {
+    if (await provider.getTransaction(candidate.tx_hash)) {
+      // Console only: repeated runs would otherwise fill the deployment's log
+      console.log(
+        `[INFO] Deployment ${id}: transaction ${candidate.tx_hash} is still pending.`
+      );
+      return "PENDING";
+    }
+  }
+
+  // Unknown to the node and never mined: either another transaction took the
+  // nonce, or the node evicted it from its mempool
+  const confirmedNonce = row.sender
+    ? await provider.getTransactionCount(row.sender, "latest")
+    : null;
+  const reason =
+    row.nonce !== null &&
+    confirmedNonce !== null &&
+    confirmedNonce > Number(row.nonce)
+      ? `nonce ${row.nonce} was used by another transaction`
+      : "the node no longer knows the transaction";
+  await logger.warn(
+    `Deployment transaction ${row.tx_hash} was dropped: ${reason}.`,
+    { txHash: row.tx_hash, nonce: row.nonce, confirmedNonce }
+  );
+  await store.updateDeployment(id, { status: "DROPPED" });
+  return "DROPPED";
+}
+
+// --- Reconcile All Pending Deployments ---
+// Only rows on the connected chain are looked up; nothing is ever redeployed.
+async function reconcileDeployments(store, config) {
+  await store.init();
+  try {
+    const { provider, chainId, name } = await connectNetwork(config);
+    const pending = await store.listDeployments({ status: "PENDING" });
+    console.log(
+      `[INFO] Reconciling ${pending.length} PENDING deployment(s) against ${name} (chain ID ${chainId}).`
+    );
+
+    const results = {};
+    for (const row of pending) {
+      if (row.chain_id !== null && Number(row.chain_id) !== chainId) {
+        console.log(
+          `[INFO] Skipping deployment ${row.id}: it targets chain ID ${row.chain_id}.`
+        );
+        continue;
+      }
+      try {
+        results[row.id] = await reconcileDeployment(
+          store,
+          config,
+          provider,
+          row
+        );
+      } catch (error) {
+        console.error(
+          `[ERROR] Could not reconcile deployment ${row.id}: ${error.message}`
+        );
+        results[row.id] = "ERROR";
+      }
+    }
+    return results;
+  } finally {
+    await store.close();
+  }
+}
+
+module.exports = { reconcileDeployment, reconcileDeployments };
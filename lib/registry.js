@@ -0,0 +1,385 @@
+// lib/registry.js
+
+const { ethers } = require("ethers");
+const { connectNetwork } = require("./networks");
+const { sourceHash } = require("./compiler");
+const { recoverCompilerInput } = require("./explorer");
+const { readIndexedArray, gameContract } = require("./game_reader");
+const { settleGame } = require("./settlement");
+const { eth } = require("./util");
+
+// --- Versions ---
+// DEPLOYED rows are grouped by contract name and chain. Within a group each
+// distinct source hash gets its own semantic version: the first 1.0.0, every
+// new one a minor bump of the highest version so far. Redeploying unchanged
+// sources reuses the version. `set-version` assigns one by hand (e.g. a major
+// bump); later automatic versions continue from the highest.
+const SEMVER = /^(\d+)\.(\d+)\.(\d+)$/;
+
+function parseVersion(version) {
+  const match = SEMVER.exec(version || "");
+  return match ? match.slice(1).map(Number) : null;
+}
+
+function compareVersions(a, b) {
+  const [x, y] = [parseVersion(a), parseVersion(b)];
+  for (let i = 0; i < 3; i++) if (x[i] !== y[i]) return x[i] - y[i];
+  return 0;
+}
+
+function nextVersion(highest) {
+  if (!highest) return "1.0.0";
+  const [major, minor] = parseVersion(highest);
+  return `${major}.${minor + 1}.0`;
+}
+
+function rowSourceHash(config, row, fields) {
+  let input = row.compiler_input;
+  if (!input) {
+    try {
+      Object.assign(fields, recoverCompilerInput(config, row));
+      input = fields.compilerInput;
+    } catch (error) {
+      return null; // unknown sources: the row gets a version of its own
+    }
+  }
+  return sourceHash(JSON.parse(input).sources);
+}
+
+// Fills in source_hash and version for a group, oldest first, and returns its
+// rows as stored afterwards
+async function syncGroup(store, config, contractName, chainId) {
+  const filter = { contractName, chainId, status: "DEPLOYED" };
+  const rows = await store.listDeployments(filter);
+  const versionByHash = new Map();
+  let highest = null;
+  for (const row of rows.filter((row) => parseVersion(row.version))) {
+    if (!highest || compareVersions(row.version, highest) > 0) {
+      highest = row.version;
+    }
+    if (row.source_hash && !versionByHash.has(row.source_hash)) {
+      versionByHash.set(row.source_hash, row.version);
+    }
+  }
+
+  let changed = false;
+  for (const row of rows) {
+    const fields = {};
+    const hash = row.source_hash || rowSourceHash(config, row, fields);
+    if (hash && !row.source_hash) fields.sourceHash = hash;
+    if (!row.version) {
+      if (hash && versionByHash.has(hash)) {
+        fields.version = versionByHash.get(hash);
+      } else {
+        fields.version = highest = nextVersion(highest);
+        if (hash) versionByHash.set(hash, fields.version);
+      }
+    }
+    if (Object.keys(fields).length) {
+      await store.updateDeployment(row.id, fields);
+      changed = true;
+    }
+  }
+  return changed ? store.listDeployments(filter) : rows;
+}
+
+// Versions a newly DEPLOYED contract. The deployment is recorded by then, so
+// a failure is only a warning; `registry list` assigns the version later.
+async function registerDeployment(store, config, logger, deploymentId) {
+  try {
+    const row = await store.getDeployment(deploymentId);
+    const chainId = Number(row.chain_id);
+    const registered = (
+      await syncGroup(store, config, row.contract_name, chainId)
+    ).find((other) => other.id === row.id);
+    await logger.info(
+      `Registered as ${row.contract_name} ${registered.version} on chain ID ${chainId}; "registry promote ${row.id}" makes it the CURRENT ${row.contract_name}.`,
+      { version: registered.version, sourceHash: registered.source_hash }
+    );
+  } catch (error) {
+    await logger.warn(
+      `Deployment ${deploymentId} is recorded, but could not be versioned in the registry: ${error.message}. "registry list" retries.`
+    );
+  }
+}
+
+// --- Lineage ---
+// What differs between two deployments' compiler inputs and compilers
+function describeChanges(previous, row) {
+  if (!previous.compiler_input || !row.compiler_input) {
+    return ["sources unknown for one of the deployments"];
+  }
+  const before = JSON.parse(previous.compiler_input);
+  const after = JSON.parse(row.compiler_input);
+  const changes = [];
+  const names = new Set([
+    ...Object.keys(before.sources),
+    ...Object.keys(after.sources),
+  ]);
+  for (const name of [...names].sort()) {
+    const [a, b] = [before.sources[name], after.sources[name]];
+    if (!a) changes.push(`added ${name}`);
+    else if (!b) changes.push(`removed ${name}`);
+    else if (a.content !== b.content) changes.push(`modified ${name}`);
+  }
+  const { outputSelection: x, ...settingsBefore } = before.settings;
+  const { outputSelection: y, ...settingsAfter } = after.settings;
+  if (JSON.stringify(settingsBefore) !== JSON.stringify(settingsAfter)) {
+    changes.push(
+      `settings ${JSON.stringify(settingsBefore)} -> ${JSON.stringify(
+        settingsAfter
+      )}`
+    );
+  }
+  if (previous.compiler_version !== row.compiler_version) {
+    changes.push(
+      `compiler ${previous.compiler_version} -> ${row.compiler_version}`
+    );
+  }
+  return changes.length ? changes : ["no source or compiler changes"];
+}
+
+// --- Listing ---
+function printGroup(contractName, chainId, rows) {
+  const networkName = rows[rows.length - 1].network_name;
+  const current = rows.find((row) => row.lifecycle === "CURRENT");
+  console.log(
+    `\n${contractName} on ${networkName} (chain ID ${chainId}): ${
+      current
+        ? `current is ${current.version} (ID ${current.id})`
+        : "no current deployment; lookups use the newest"
+    }`
+  );
+  let previous = null;
+  for (const row of rows) {
+    console.log(
+      `  ${row.version.padEnd(8)} ID ${String(row.id).padEnd(4)} ${
+        row.address
+      }  ${(row.lifecycle || "-").padEnd(10)} deployed ${
+        row.deployed_at || "?"
+      }, sources ${row.source_hash ? row.source_hash.slice(0, 12) : "unknown"}`
+    );
+    if (previous && previous.version !== row.version) {
+      console.log(
+        `           changes since ${previous.version}: ${describeChanges(
+          previous,
+          row
+        ).join("; ")}`
+      );
+    }
+    previous = row;
+  }
+}
+
+async function listRegistry(store, config, { chainId } = {}) {
+  const deployed = await store.listDeployments({
+    status: "DEPLOYED",
+    chainId,
+  });
+  const groups = new Map();
+  for (const row of deployed.filter((row) => row.address)) {
+    groups.set(`${row.contract_name}:${row.chain_id}`, [
+      row.contract_name,
+      Number(row.chain_id),
+    ]);
+  }
+  if (!groups.size) console.log("[INFO] No DEPLOYED contracts recorded.");
+  const registry = [];
+  for (const [contractName, groupChainId] of groups.values()) {
+    const rows = (
+      await syncGroup(store, config, contractName, groupChainId)
+    ).filter((row) => row.address);
+    printGroup(contractName, groupChainId, rows);
+    registry.push({ contractName, chainId: groupChainId, rows });
+  }
+  return registry;
+}
+
+// --- Lifecycle ---
+async function deployedRow(store, id) {
+  const row = await store.getDeployment(id);
+  if (!row) throw new Error(`Deployment ${id} not found.`);
+  if (row.status !== "DEPLOYED" || !row.address) {
+    throw new Error(
+      `Deployment ${id} is ${row.status}; only DEPLOYED ones are registered.`
+    );
+  }
+  return row;
+}
+
+// Makes `id` the CURRENT deployment of its group and every other one DEPRECATED
+async function promote(store, config, id) {
+  const row = await deployedRow(store, id);
+  const rows = await syncGroup(
+    store,
+    config,
+    row.contract_name,
+    Number(row.chain_id)
+  );
+  const now = new Date();
+  for (const other of rows) {
+    const lifecycle = other.id === row.id ? "CURRENT" : "DEPRECATED";
+    if (other.lifecycle !== lifecycle) {
+      await store.updateDeployment(other.id, {
+        lifecycle,
+        lifecycleChangedAt: now,
+      });
+    }
+  }
+  const promoted = rows.find((other) => other.id === row.id);
+  console.log(
+    `[INFO] Deployment ${row.id} (${row.contract_name} ${promoted.version} at ${row.address}) is now CURRENT on chain ID ${row.chain_id}; ${
+      rows.length - 1
+    } other deployment(s) DEPRECATED.`
+  );
+}
+
+async function deprecate(store, id) {
+  const row = await deployedRow(store, id);
+  if (row.lifecycle === "DEPRECATED") {
+    console.log(`[INFO] Deployment ${id} is already DEPRECATED.`);
+    return;
+  }
+  await store.updateDeployment(id, {
+    lifecycle: "DEPRECATED",
+    lifecycleChangedAt: new Date(),
+  });
+  console.log(`[INFO] Deployment ${id} (${row.address}) is now DEPRECATED.`);
+  if (row.lifecycle === "CURRENT") {
+    console.warn(
+      `[WARNING] Chain ID ${row.chain_id} has no CURRENT ${row.contract_name} now; promote one.`
+    );
+  }
+}
+
+// A version may be shared only by deployments of the same sources
+async function setVersion(store, config, id, version) {
+  if (!parseVersion(version)) {
+    throw new Error(
+      `"${version}" is not a semantic version (MAJOR.MINOR.PATCH).`
+    );
+  }
+  const row = await deployedRow(store, id);
+  const rows = await syncGroup(
+    store,
+    config,
+    row.contract_name,
+    Number(row.chain_id)
+  );
+  const target = rows.find((other) => other.id === row.id);
+  const clash = rows.find(
+    (other) =>
+      other.id !== row.id &&
+      other.version === version &&
+      other.source_hash !== target.source_hash
+  );
+  if (clash) {
+    throw new Error(
+      `Version ${version} already belongs to deployment ${clash.id}, built from other sources.`
+    );
+  }
+  await store.updateDeployment(id, { version });
+  console.log(
+    `[INFO] Deployment ${id} is now version ${version} (was ${target.version}).`
+  );
+}
+
+// --- Child Games ---
+// Every game of a factory, from gameCount/games, with what is still needed to
+// drain it before the factory is retired
+function drainStep(game) {
+  if (!game.gameFinalized) return "open: finalize it";
+  if (game.unclaimedWinners.length) {
+    return `${game.unclaimedWinners.length} winner(s) still to claim`;
+  }
+  if (game.pool > 0n) return "pool left: withdraw-pool";
+  if (game.balance > 0n) return "stakes left: emergency-withdraw";
+  return "drained";
+}
+
+async function listFactoryGames(store, config, id) {
+  const row = await deployedRow(store, id);
+  if (row.contract_name !== "ForecastGameFactory") {
+    throw new Error(
+      `Deployment ${id} is a ${row.contract_name}, not a factory.`
+    );
+  }
+  const { provider, chainId } = await connectNetwork(config);
+  if (Number(row.chain_id) !== chainId) {
+    throw new Error(
+      `Deployment ${id} is on chain ID ${row.chain_id}, but the RPC endpoint is chain ID ${chainId}.`
+    );
+  }
+  const factory = new ethers.Contract(
+    row.address,
+    JSON.parse(row.abi),
+    provider
+  );
+  const gameIds = await readIndexedArray(
+    (i) => factory.allGameIds(i),
+    Number(await factory.gameCount())
+  );
+  const games = [];
+  for (const gameId of gameIds) {
+    const info = await factory.games(gameId);
+    const game = await settleGame(
+      gameContract(info.gameAddress, provider),
+      Number(gameId),
+      info
+    );
+    games.push({ ...game, drainStep: drainStep(game) });
+  }
+
+  console.log(
+    `Factory ${row.address} (ID ${row.id}${
+      row.version ? `, version ${row.version}` : ""
+    }${row.lifecycle ? `, ${row.lifecycle}` : ""}): ${games.length} game(s)`
+  );
+  for (const game of games) {
+    console.log(
+      `  #${game.id} ${game.address} "${game.question}" balance ${eth(
+        game.balance
+      )}: ${game.drainStep}`
+    );
+  }
+  const remaining = games.filter((game) => game.drainStep !== "drained");
+  console.log(
+    remaining.length
+      ? `[INFO] ${remaining.length} game(s) still hold ${eth(
+          remaining.reduce((sum, game) => sum + game.balance, 0n)
+        )} or wait on finalization/claims.`
+      : "[INFO] Every game is drained; the factory can be retired."
+  );
+  return games;
+}
+
+// --- Command ---
+// registry list|promote|deprecate|set-version|games
+async function runRegistry(store, config, action, args, options = {}) {
+  await store.init();
+  try {
+    switch (action) {
+      case "list":
+        return await listRegistry(store, config, options);
+      case "promote":
+        return await promote(store, config, args[0]);
+      case "deprecate":
+        return await deprecate(store, args[0]);
+      case "set-version":
+        return await setVersion(store, config, args[0], args[1]);
+      case "games":
+        return await listFactoryGames(store, config, args[0]);
+      default:
+        throw new Error(`Unknown registry action "${action}".`);
+    }
+  } finally {
+    await store.close();
+  }
+}
+
+module.exports = {
+  syncGroup,
+  registerDeployment,
+  describeChanges,
+  runRegistry,
+};
@@ -0,0 +1,228 @@
+// lib/resolver.js
+
+const { ethers } = require("ethers");
+const { connectNetwork } = require("./networks");
+const { sleep } = require("./util");
+const { createSigner } = require("./signer");
+const { readDataFile } = require("./data_file");
+const { gameContract, readGameState } = require("./game_reader");
+const { FORECAST_GAME_FACTORY_ABI } = require("./abi");
+
+// --- Resolution File ---
+// resolutions:
+//   - game: "0x..."                       # ForecastGame address
+//     winningOption: 2                    # 1-based, as finalize() expects
+//     source: "https://example.org/result"
+//     justification: "Official result published on 1 May"
+//     resolveAt: "2026-05-01T12:00:00Z"   # optional, not before this time
+function loadResolutions(filePath) {
+  const data = readDataFile(filePath);
+  const entries = Array.isArray(data) ? data : data && data.resolutions;
+  if (!Array.isArray(entries)) {
+    throw new Error(
+      `${filePath} must contain a list of resolutions (or a "resolutions" list).`
+    );
+  }
+  return entries.map((entry, i) => validateResolution(entry, i));
+}
+
+function validateResolution(entry, index) {
+  const problems = [];
+  let game = null;
+  try {
+    game = ethers.getAddress(entry.game);
+  } catch (error) {
+    problems.push("game must be a contract address");
+  }
+  if (!Number.isInteger(entry.winningOption) || entry.winningOption < 1) {
+    problems.push("winningOption must be a 1-based option number");
+  }
+  if (!entry.source) {
+    problems.push("source is required");
+  }
+
+  let resolveAt = null;
+  if (entry.resolveAt !== undefined) {
+    resolveAt = new Date(entry.resolveAt);
+    if (isNaN(resolveAt.getTime())) {
+      problems.push("resolveAt must be an ISO 8601 date");
+    }
+  }
+
+  if (problems.length) {
+    throw new Error(
+      `Invalid resolution #${index + 1}:\n  - ${problems.join("\n  - ")}`
+    );
+  }
+  return {
+    game,
+    winningOption: entry.winningOption,
+    source: entry.source,
+    justification: entry.justification || null,
+    resolveAt,
+  };
+}
+
+// --- Resolution ---
+// Returns "RESOLVED", "SKIPPED" (nothing to do) or "FAILED"; failures are
+// audited and reported but do not stop the remaining resolutions.
+async function resolveGame(ctx, resolution) {
+  const { store, signer, chainId, resolverAddress } = ctx;
+  const game = gameContract(resolution.game, signer);
+
+  let state;
+  try {
+    state = await readGameState(game);
+  } catch (error) {
+    console.error(
+      `[ERROR] Could not read game ${resolution.game}: ${error.message}`
+    );
+    return "FAILED";
+  }
+
+  if (state.gameFinalized) {
+    const note =
+      state.finalOption === resolution.winningOption
+        ? "already finalized with this outcome"
+        : `already finalized with option ${state.finalOption}, not ${resolution.winningOption}`;
+    console.log(`[INFO] Skipping ${resolution.game}: ${note}.`);
+    return "SKIPPED";
+  }
+  if (!state.gameActive) {
+    console.warn(
+      `[WARNING] Skipping ${resolution.game}: game is no longer active.`
+    );
+    return "SKIPPED";
+  }
+  if (resolution.winningOption > state.options.length) {
+    console.error(
+      `[ERROR] Option ${resolution.winningOption} is out of range for ${resolution.game} (options 1-${state.options.length}).`
+    );
+    return "FAILED";
+  }
+
+  const factory = new ethers.Contract(
+    state.factory,
+    FORECAST_GAME_FACTORY_ABI,
+    signer
+  );
+  let factoryOwner;
+  try {
+    factoryOwner = await factory.factoryOwner();
+  } catch (error) {
+    console.error(
+      `[ERROR] Could not read the owner of factory ${state.factory}: ${error.message}`
+    );
+    return "FAILED";
+  }
+  if (factoryOwner !== resolverAddress) {
+    console.error(
+      `[ERROR] ${resolverAddress} cannot finalize ${resolution.game}: the factory owner is ${factoryOwner}.`
+    );
+    return "FAILED";
+  }
+
+  const winningLabel = state.options[resolution.winningOption - 1];
+  console.log(
+    `[INFO] Finalizing "${state.question}" (${resolution.game}) with option ${resolution.winningOption}: ${winningLabel}.`
+  );
+  const auditId = await store.insertAudit({
+    action: "finalize",
+    chainId,
+    contractAddress: resolution.game,
+    actor: resolverAddress,
+    details: JSON.stringify({
+      finalOption: resolution.winningOption,
+      optionLabel: winningLabel,
+      source: resolution.source,
+      justification: resolution.justification,
+      resolveAt: resolution.resolveAt && resolution.resolveAt.toISOString(),
+    }),
+  });
+
+  try {
+    const tx = await game.finalize(resolution.winningOption);
+    await store.updateAudit(auditId, { txHash: tx.hash });
+    console.log(`[INFO] Transaction sent: ${tx.hash}`);
+    await tx.wait();
+    await store.updateAudit(auditId, {
+      status: "SUCCEEDED",
+      completedAt: new Date(),
+    });
+    console.log(`[INFO] Game ${resolution.game} finalized.`);
+    return "RESOLVED";
+  } catch (error) {
+    await store.updateAudit(auditId, {
+      status: "FAILED",
+      error: error.message,
+      completedAt: new Date(),
+    });
+    console.error(
+      `[ERROR] Finalizing ${resolution.game} failed: ${error.message}`
+    );
+    return "FAILED";
+  }
+}
+
+// --- Resolver Loop ---
+// Resolves every entry that is due. With `watch`, keeps running, re-reading
+// the file each poll so scheduled entries are finalized once their time comes
+// and newly added ones are picked up, until `signal` aborts.
+async function runResolver(store, config, filePath, options = {}) {
+  const { watch = false, signal } = options;
+  const pollIntervalMs =
+    options.pollIntervalMs || config.resolver.pollIntervalMs;
+
+  await store.init();
+  try {
+    const { provider, chainId, name } = await connectNetwork(config);
+    const signer = await createSigner(config, provider);
+    const resolverAddress = await signer.getAddress();
+    console.log(
+      `[INFO] Resolving games on ${name} as ${resolverAddress}${
+        watch ? " (watching for scheduled resolutions)" : ""
+      }.`
+    );
+
+    const ctx = { store, signer, chainId, resolverAddress };
+    const handled = new Map(); // game address -> outcome, to avoid retry loops
+    while (!(signal && signal.aborted)) {
+      const now = new Date();
+      let resolutions;
+      try {
+        resolutions = loadResolutions(filePath);
+      } catch (error) {
+        // A daemon outlives a half-saved edit of the file; a one-shot run does not
+        if (!watch) throw error;
+        console.error(`[ERROR] ${error.message}`);
+        resolutions = [];
+      }
+      for (const resolution of resolutions) {
+        if (handled.has(resolution.game)) continue;
+        if (resolution.resolveAt && resolution.resolveAt > now) {
+          if (!watch) {
+            console.log(
+              `[INFO] ${resolution.game} is scheduled for ${resolution.resolveAt.toISOString()}; not due yet.`
+            );
+            handled.set(resolution.game, "SCHEDULED");
+          }
+          continue;
+        }
+        handled.set(resolution.game, await resolveGame(ctx, resolution));
+      }
+
+      if (!watch) break;
+      await sleep(pollIntervalMs, signal);
+    }
+    return Object.fromEntries(handled);
+  } finally {
+    await store.close();
+  }
+}
+
+module.exports = {
+  loadResolutions,
+  validateResolution,
+  resolveGame,
+  runResolver,
+};
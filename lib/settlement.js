@@ -0,0 +1,236 @@
+// lib/settlement.js
+
+const fs = require("fs");
+const { ethers } = require("ethers");
+const { connectNetwork } = require("./networks");
+const { findFactoryDeployment } = require("./games");
+const {
+  readIndexedArray,
+  gameContract,
+  readGameState,
+} = require("./game_reader");
+const { prizeFor } = require("./exposure");
+const { jsonReplacer } = require("./util");
+
+const FORMATS = ["json", "csv"];
+
+// --- Per-Game Settlement ---
+// For a finalized game, the winners who have not claimed and what they are
+// owed (the same amount * odds / 100 claimPrize() pays), plus whether the
+// creator can take money out now. Open games only get the balance check.
+async function settleGame(contract, id, info) {
+  const state = await readGameState(contract);
+  const players = await readIndexedArray((i) => contract.playersList(i));
+  let stakes = 0n;
+  for (const player of players) {
+    stakes += (await contract.players(player)).amount;
+  }
+  const game = {
+    id,
+    address: state.address,
+    question: state.question,
+    creator: state.creator,
+    listedActive: info.isActive, // The factory's flag, set by markGameInactive
+    gameActive: state.gameActive,
+    gameFinalized: state.gameFinalized,
+    finalOption: state.gameFinalized ? state.finalOption : null,
+    pool: state.pool,
+    stakes, // bet() keeps stakes in the balance without adding them to pool
+    balance: state.balance,
+    // balance - (pool + stakes). > 0: ETH arrived without going through
+    // fundPool()/receive() (e.g. a selfdestruct); < 0: ETH left without
+    // updating pool (emergencyWithdraw)
+    balanceDiscrepancy: state.balance - state.pool - stakes,
+    totalWinners: state.totalWinners,
+    claimedWinners: state.claimedWinners,
+    unclaimedWinners: [],
+    liability: 0n,
+    canWithdrawRemainingPool: false,
+    canEmergencyWithdraw:
+      (!state.gameActive || state.gameFinalized) && state.balance > 0n,
+    problems: [],
+  };
+
+  if (state.gameFinalized) {
+    const odds = state.odds[state.finalOption - 1];
+    const winners = await readIndexedArray(
+      (i) => contract.winners(i),
+      Number(state.totalWinners)
+    );
+    if (BigInt(winners.length) !== state.totalWinners) {
+      game.problems.push(
+        `winners has ${winners.length} entries but totalWinners is ${state.totalWinners}`
+      );
+    }
+    for (const address of winners) {
+      const bet = await contract.players(address);
+      if (bet.hasClaimed) continue;
+      const prize = prizeFor(bet.amount, odds);
+      game.unclaimedWinners.push({ address, prize });
+      game.liability += prize;
+    }
+    if (game.liability > state.balance) {
+      game.problems.push(
+        `the balance cannot pay the ${game.unclaimedWinners.length} unclaimed prize(s)`
+      );
+    }
+    if (state.claimedWinners < state.totalWinners && state.pool > 0n) {
+      game.problems.push(
+        "withdrawRemainingPool is blocked until every winner claims"
+      );
+    }
+    game.canWithdrawRemainingPool =
+      state.pool > 0n &&
+      state.claimedWinners === state.totalWinners &&
+      state.balance >= state.pool;
+  }
+  if (game.balanceDiscrepancy !== 0n) {
+    game.problems.push(
+      `balance differs from pool + stakes by ${ethers.formatEther(
+        game.balanceDiscrepancy
+      )} ETH`
+    );
+  }
+  return game;
+}
+
+// --- Report ---
+// Every game of the factory, from its games(id) listing, in ID order.
+async function settlementReport(store, config, options = {}) {
+  const { provider, chainId, name } = await connectNetwork(config);
+  const factoryRow = await findFactoryDeployment(
+    store,
+    chainId,
+    options.factory
+  );
+  const factory = new ethers.Contract(
+    factoryRow.address,
+    JSON.parse(factoryRow.abi),
+    provider
+  );
+  const gameIds = await readIndexedArray(
+    (i) => factory.allGameIds(i),
+    Number(await factory.gameCount())
+  );
+
+  const games = [];
+  for (const id of gameIds) {
+    const info = await factory.games(id);
+    games.push(
+      await settleGame(gameContract(info.gameAddress, provider), Number(id), info)
+    );
+  }
+  const finalized = games.filter((game) => game.gameFinalized);
+  return {
+    chainId,
+    networkName: name,
+    factory: factoryRow.address,
+    generatedAt: new Date().toISOString(),
+    summary: {
+      games: games.length,
+      finalized: finalized.length,
+      withUnclaimedWinners: finalized.filter(
+        (game) => game.unclaimedWinners.length
+      ).length,
+      withdrawable: games.filter((game) => game.canWithdrawRemainingPool)
+        .length,
+      balanceMismatches: games.filter((game) => game.balanceDiscrepancy !== 0n)
+        .length,
+      totalLiability: finalized.reduce((sum, game) => sum + game.liability, 0n),
+    },
+    games,
+  };
+}
+
+// --- Export ---
+function toJson(report) {
+  return (
+    JSON.stringify(
+      report,
+      jsonReplacer,
+      2
+    ) + "\n"
+  );
+}
+
+function csvField(value) {
+  const text = value === null || value === undefined ? "" : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// One row per game; wei amounts; unclaimed winners as "address=prize" pairs
+const CSV_COLUMNS = [
+  ["game_id", (game) => game.id],
+  ["address", (game) => game.address],
+  ["question", (game) => game.question],
+  ["creator", (game) => game.creator],
+  ["listed_active", (game) => game.listedActive],
+  ["game_active", (game) => game.gameActive],
+  ["finalized", (game) => game.gameFinalized],
+  ["final_option", (game) => game.finalOption],
+  ["pool_wei", (game) => game.pool],
+  ["stakes_wei", (game) => game.stakes],
+  ["balance_wei", (game) => game.balance],
+  ["balance_discrepancy_wei", (game) => game.balanceDiscrepancy],
+  ["total_winners", (game) => game.totalWinners],
+  ["claimed_winners", (game) => game.claimedWinners],
+  ["liability_wei", (game) => game.liability],
+  [
+    "unclaimed_winners",
+    (game) =>
+      game.unclaimedWinners
+        .map((winner) => `${winner.address}=${winner.prize}`)
+        .join(";"),
+  ],
+  ["can_withdraw_remaining_pool", (game) => game.canWithdrawRemainingPool],
+  ["can_emergency_withdraw", (game) => game.canEmergencyWithdraw],
+  ["problems", (game) => game.problems.join("; ")],
+];
+
+function toCsv(report) {
+  const lines = [CSV_COLUMNS.map(([name]) => name).join(",")];
+  for (const game of report.games) {
+    lines.push(CSV_COLUMNS.map(([, value]) => csvField(value(game))).join(","));
+  }
+  return lines.join("\n") + "\n";
+}
+
+// --- Command ---
+// Writes the report to `options.out`, by default
+// settlement-<chainId>-<factory prefix>.<format> in the working directory
+async function runSettlementReport(store, config, options = {}) {
+  const format = options.format || "json";
+  if (!FORMATS.includes(format)) {
+    throw new Error(`--format must be one of: ${FORMATS.join(", ")}.`);
+  }
+  await store.init();
+  try {
+    const report = await settlementReport(store, config, options);
+    const out =
+      options.out ||
+      `settlement-${report.chainId}-${report.factory
+        .slice(2, 10)
+        .toLowerCase()}.${format}`;
+    fs.writeFileSync(out, format === "csv" ? toCsv(report) : toJson(report));
+    const { summary } = report;
+    console.log(
+      `[INFO] Settlement report for factory ${report.factory} written to ${out}: ${summary.games} game(s), ${summary.finalized} finalized, ${summary.withUnclaimedWinners} with unclaimed winners, ${summary.withdrawable} withdrawable, ${summary.balanceMismatches} with unexplained balance differences.`
+    );
+    console.log(
+      `[INFO] Outstanding liability: ${ethers.formatEther(
+        summary.totalLiability
+      )} ETH.`
+    );
+    return report;
+  } finally {
+    await store.close();
+  }
+}
+
+module.exports = {
+  settleGame,
+  settlementReport,
+  toJson,
+  toCsv,
+  runSettlementReport,
+};
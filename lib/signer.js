@@ -0,0 +1,141 @@
+// lib/signer.js
+
+const fs = require("fs");
+const readline = require("readline");
+const { ethers } = require("ethers");
+
+const SIGNER_TYPES = ["private-key", "keystore", "mnemonic", "rpc"];
+const DEFAULT_DERIVATION_PATH = "m/44'/60'/0'/0/0";
+
+// SIGNER_TYPE, defaulting to the original raw PRIVATE_KEY behaviour
+function signerType(signerConfig) {
+  const type = (signerConfig.type || "private-key").toLowerCase();
+  if (!SIGNER_TYPES.includes(type)) {
+    throw new Error(`SIGNER_TYPE must be one of: ${SIGNER_TYPES.join(", ")}.`);
+  }
+  return type;
+}
+
+function readSecretFile(filePath) {
+  return fs.readFileSync(filePath, "utf8").trim();
+}
+
+// Reads a line from the terminal without echoing it
+function promptSecret(question) {
+  if (!process.stdin.isTTY) {
+    return Promise.reject(
+      new Error(
+        "No terminal to prompt for the keystore password; set KEYSTORE_PASSWORD_FILE."
+      )
+    );
+  }
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout,
+    terminal: true,
+  });
+  return new Promise((resolve) => {
+    rl.question(question, (answer) => {
+      rl.close();
+      process.stdout.write("\n");
+      resolve(answer);
+    });
+    rl._writeToOutput = () => {}; // Mute the echo once the question is shown
+  });
+}
+
+// --- Signer Sources ---
+async function keystoreSigner(signerConfig, provider) {
+  if (!signerConfig.keystorePath) {
+    throw new Error("KEYSTORE_PATH must point to an encrypted JSON keystore.");
+  }
+  const json = fs.readFileSync(signerConfig.keystorePath, "utf8");
+  const password = signerConfig.keystorePasswordFile
+    ? readSecretFile(signerConfig.keystorePasswordFile)
+    : await promptSecret(
+        `Password for keystore ${signerConfig.keystorePath}: `
+      );
+  try {
+    const wallet = await ethers.Wallet.fromEncryptedJson(json, password);
+    return wallet.connect(provider);
+  } catch (error) {
+    throw new Error(
+      `Could not decrypt keystore ${signerConfig.keystorePath}: ${error.message}`
+    );
+  }
+}
+
+function mnemonicSigner(signerConfig, provider) {
+  const phrase = signerConfig.mnemonicFile
+    ? readSecretFile(signerConfig.mnemonicFile)
+    : signerConfig.mnemonic;
+  if (!phrase) {
+    throw new Error("MNEMONIC_FILE (or MNEMONIC) is not set.");
+  }
+  const path = signerConfig.derivationPath || DEFAULT_DERIVATION_PATH;
+  try {
+    return ethers.HDNodeWallet.fromPhrase(phrase, undefined, path).connect(
+      provider
+    );
+  } catch (error) {
+    throw new Error(
+      `Could not derive an account at ${path} from the mnemonic: ${error.message}`
+    );
+  }
+}
+
+// An account the node holds (e.g. an unlocked account of a local node or a
+// signing proxy); transactions go out through eth_sendTransaction. By default
+// this is the deployment RPC endpoint itself.
+async function rpcSigner(signerConfig, provider) {
+  let signingProvider = provider;
+  if (signerConfig.rpcUrl) {
+    const { chainId } = await provider.getNetwork();
+    signingProvider = new ethers.JsonRpcProvider(signerConfig.rpcUrl);
+    const signerChainId = (await signingProvider.getNetwork()).chainId;
+    if (signerChainId !== chainId) {
+      signingProvider.destroy();
+      throw new Error(
+        `SIGNER_RPC_URL is on chain ID ${signerChainId}, but the deployment targets chain ID ${chainId}.`
+      );
+    }
+  }
+  const accounts = await signingProvider.send("eth_accounts", []);
+  const address = signerConfig.address || accounts[0];
+  if (!address) {
+    throw new Error("The signer RPC endpoint does not expose any account.");
+  }
+  if (
+    !accounts.some(
+      (account) => account.toLowerCase() === address.toLowerCase()
+    )
+  ) {
+    throw new Error(`The signer RPC endpoint does not manage ${address}.`);
+  }
+  return signingProvider.getSigner(address);
+}
+
+// --- Signer Setup ---
+// Selected by config.signer.type (SIGNER_TYPE):
+//   private-key  PRIVATE_KEY
+//   keystore     KEYSTORE_PATH, password from KEYSTORE_PASSWORD_FILE or a prompt
+//   mnemonic     MNEMONIC_FILE (or MNEMONIC) and DERIVATION_PATH
+//   rpc          SIGNER_RPC_URL (default: the deployment RPC) and SIGNER_ADDRESS
+async function createSigner(config, provider) {
+  const signerConfig = config.signer;
+  switch (signerType(signerConfig)) {
+    case "keystore":
+      return keystoreSigner(signerConfig, provider);
+    case "mnemonic":
+      return mnemonicSigner(signerConfig, provider);
+    case "rpc":
+      return rpcSigner(signerConfig, provider);
+    default:
+      if (!config.privateKey) {
+        throw new Error("PRIVATE_KEY environment variable is not set.");
+      }
+      return new ethers.Wallet(config.privateKey, provider);
+  }
+}
+
+module.exports = { SIGNER_TYPES, signerType, createSigner };
@@ -0,0 +1,468 @@
+// lib/simulator.js
+
+const fs = require("fs");
+const { ethers } = require("ethers");
+const { connectNetwork } = require("./networks");
+const { readDataFile } = require("./data_file");
+const {
+  compilerSettings,
+  compileProject,
+  extractContract,
+} = require("./compiler");
+const { validateGameSpec } = require("./games");
+const { gameContract, readGameState } = require("./game_reader");
+const { checkBet } = require("./exposure");
+const { jsonReplacer, eth } = require("./util");
+
+const CLAIM_MODES = ["all", "none"];
+const GAS_ALLOWANCE = ethers.parseEther("1"); // Added to every simulated account's funding
+
+// --- Scenario File ---
+// seed: 7                          # optional; makes "random" choices repeatable
+// scenarios:                       # or a single scenario as the whole document
+//   - name: "Balanced book"
+//     feePercent: 5                # factory fee; default FACTORY_FEE_PERCENT
+//     game: { question: "...", options: [Yes, No], odds: [180, 150], funding: "1.0" }
+//     fundPool: ["0.5"]            # optional creator top-ups before the bets
+//     bets:
+//       - players: 10              # this many new players, one bet each
+//         option: random           # 1-based option, or random
+//         amount: "0.05"           # ETH, or { min: "0.01", max: "0.2" }
+//     outcome: 1                   # option the game is finalized with
+//     claims: all                  # all, none, or how many winners claim
+//     withdraw: true               # creator calls withdrawRemainingPool at the end
+function loadScenarios(filePath, defaults = {}) {
+  const data = readDataFile(filePath);
+  if (!data || typeof data !== "object") {
+    throw new Error(`${filePath} must contain a scenario or a "scenarios" list.`);
+  }
+  const entries = Array.isArray(data.scenarios) ? data.scenarios : [data];
+  return {
+    seed: Number.isInteger(data.seed) ? data.seed : Date.now() % 2 ** 31,
+    scenarios: entries.map((entry, i) => validateScenario(entry, i, defaults)),
+  };
+}
+
+function parseAmount(value, problems, name) {
+  try {
+    const wei = ethers.parseEther(String(value));
+    if (wei > 0n) return wei;
+  } catch (error) {
+    // reported below
+  }
+  problems.push(`${name} must be a positive ETH amount`);
+  return null;
+}
+
+function validateScenario(entry, index, defaults) {
+  const problems = [];
+  let game = null;
+  try {
+    game = validateGameSpec(entry.game);
+  } catch (error) {
+    problems.push(error.message.replace(/\n\s*/g, " "));
+  }
+
+  const feePercent =
+    entry.feePercent !== undefined ? entry.feePercent : defaults.feePercent;
+  if (!Number.isInteger(feePercent) || feePercent < 0 || feePercent > 100) {
+    problems.push("feePercent must be an integer between 0 and 100");
+  }
+
+  const fundPool = (entry.fundPool || []).map((amount, i) =>
+    parseAmount(amount, problems, `fundPool[${i}]`)
+  );
+
+  const optionCount = game ? game.options.length : Infinity;
+  const bets = (entry.bets || []).map((group, i) => {
+    const name = `bets[${i}]`;
+    if (!Number.isInteger(group.players) || group.players < 1) {
+      problems.push(`${name}.players must be a positive integer`);
+    }
+    if (
+      group.option !== "random" &&
+      (!Number.isInteger(group.option) ||
+        group.option < 1 ||
+        group.option > optionCount)
+    ) {
+      problems.push(`${name}.option must be a valid option number or "random"`);
+    }
+    let amount;
+    if (group.amount && typeof group.amount === "object") {
+      amount = {
+        min: parseAmount(group.amount.min, problems, `${name}.amount.min`),
+        max: parseAmount(group.amount.max, problems, `${name}.amount.max`),
+      };
+      if (amount.min !== null && amount.max !== null && amount.min > amount.max) {
+        problems.push(`${name}.amount.min must not exceed amount.max`);
+      }
+    } else {
+      const fixed = parseAmount(group.amount, problems, `${name}.amount`);
+      amount = { min: fixed, max: fixed };
+    }
+    return { players: group.players, option: group.option, amount };
+  });
+
+  if (
+    !Number.isInteger(entry.outcome) ||
+    entry.outcome < 1 ||
+    entry.outcome > optionCount
+  ) {
+    problems.push("outcome must be a valid option number");
+  }
+  const claims = entry.claims === undefined ? "all" : entry.claims;
+  if (
+    !CLAIM_MODES.includes(claims) &&
+    !(Number.isInteger(claims) && claims >= 0)
+  ) {
+    problems.push(`claims must be ${CLAIM_MODES.join(", ")} or a number`);
+  }
+
+  const name = entry.name || `Scenario ${index + 1}`;
+  if (problems.length) {
+    throw new Error(`Invalid scenario "${name}":\n  - ${problems.join("\n  - ")}`);
+  }
+  return {
+    name,
+    feePercent,
+    game,
+    fundPool,
+    bets,
+    outcome: entry.outcome,
+    claims,
+    withdraw: entry.withdraw !== false,
+  };
+}
+
+// mulberry32: small seeded PRNG, so a seed reproduces the same run
+function seededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Uniform amount in [min, max], in steps of a millionth of the range
+function drawAmount(random, { min, max }) {
+  const step = Math.min(Math.floor(random() * 1000001), 1000000);
+  return min + ((max - min) * BigInt(step)) / 1000000n;
+}
+
+// --- Accounts ---
+// Fresh keys for every role, funded from the node's first unlocked account.
+// Gas is tracked separately so P&L figures are not blurred by gas prices.
+async function newAccount(ctx, label, fundingWei) {
+  const wallet = new ethers.Wallet(
+    ethers.hexlify(ethers.randomBytes(32)),
+    ctx.provider
+  );
+  const value = fundingWei + GAS_ALLOWANCE;
+  await (await ctx.bank.sendTransaction({ to: wallet.address, value })).wait();
+  const account = { label, wallet, initial: value, gas: 0n, received: 0n };
+  ctx.accounts.push(account);
+  return account;
+}
+
+async function transact(account, send) {
+  const receipt = await (await send()).wait();
+  account.gas += receipt.gasUsed * receipt.gasPrice;
+  return receipt;
+}
+
+// Runs `send` and returns null, or the revert reason if the contract rejects it
+// (ethers estimates gas first, so a rejected call costs nothing here)
+async function attempt(account, send) {
+  try {
+    await transact(account, send);
+    return null;
+  } catch (error) {
+    if (!ethers.isError(error, "CALL_EXCEPTION")) throw error;
+    return error.reason || "reverted";
+  }
+}
+
+// --- Scenario Run ---
+async function runScenario(ctx, scenario, random) {
+  ctx.accounts = [];
+  const { game: spec } = scenario;
+
+  // Deploy and create the game
+  const owner = await newAccount(ctx, "owner", 0n);
+  const factory = await new ethers.ContractFactory(
+    ctx.factoryArtifact.abi,
+    ctx.factoryArtifact.bytecode,
+    owner.wallet
+  ).deploy(scenario.feePercent);
+  await transact(owner, async () => factory.deploymentTransaction());
+
+  const toppedUp = scenario.fundPool.reduce((sum, wei) => sum + wei, 0n);
+  const creator = await newAccount(ctx, "creator", spec.fundingWei + toppedUp);
+  const receipt = await transact(creator, () =>
+    factory
+      .connect(creator.wallet)
+      .createGame(spec.question, spec.options, spec.odds, {
+        value: spec.fundingWei,
+      })
+  );
+  const created = receipt.logs
+    .map((log) => factory.interface.parseLog(log))
+    .find((event) => event && event.name === "GameCreated");
+  const gameAddress = created.args.addr;
+  const game = (account) => gameContract(gameAddress, account.wallet);
+  for (const amount of scenario.fundPool) {
+    await transact(creator, () => game(creator).fundPool({ value: amount }));
+  }
+
+  // Bets, each checked against the off-chain calculator first
+  const bets = [];
+  let mismatches = 0;
+  for (const group of scenario.bets) {
+    for (let i = 0; i < group.players; i++) {
+      const option =
+        group.option === "random"
+          ? 1 + Math.floor(random() * spec.options.length)
+          : group.option;
+      const amount = drawAmount(random, group.amount);
+      const player = await newAccount(ctx, `player${bets.length + 1}`, amount);
+      const state = await readGameState(game(player));
+      const predicted = checkBet(state, option, amount).accepted;
+      const reason = await attempt(player, () =>
+        game(player).bet(option, { value: amount })
+      );
+      if (predicted !== (reason === null)) mismatches++;
+      bets.push({ player, option, amount, accepted: reason === null });
+    }
+  }
+
+  // Finalization, claims and withdrawal
+  await transact(owner, () => game(owner).finalize(scenario.outcome));
+  const winners = bets.filter(
+    (bet) => bet.accepted && bet.option === scenario.outcome
+  );
+  const claimCount =
+    scenario.claims === "all"
+      ? winners.length
+      : scenario.claims === "none"
+      ? 0
+      : Math.min(scenario.claims, winners.length);
+  let paid = 0n;
+  let failedClaims = 0;
+  for (const winner of winners.slice(0, claimCount)) {
+    const prize = (winner.amount * BigInt(spec.odds[scenario.outcome - 1])) / 100n;
+    const reason = await attempt(winner.player, () =>
+      game(winner.player).claimPrize()
+    );
+    if (reason === null) {
+      winner.player.received += prize;
+      paid += prize;
+    } else {
+      failedClaims++;
+    }
+  }
+
+  let withdrawal = { attempted: scenario.withdraw, amountWei: 0n, error: null };
+  if (scenario.withdraw) {
+    const pool = await game(creator).pool();
+    withdrawal.error = await attempt(creator, () =>
+      game(creator).withdrawRemainingPool()
+    );
+    if (withdrawal.error === null) {
+      withdrawal.amountWei = pool;
+      creator.received += pool;
+    }
+  }
+
+  // Balances
+  const final = await readGameState(game(creator));
+  const accounts = [];
+  for (const account of ctx.accounts) {
+    const balance = await ctx.provider.getBalance(account.wallet.address);
+    accounts.push({
+      label: account.label,
+      address: account.wallet.address,
+      initialWei: account.initial,
+      finalWei: balance,
+      pnlWei: balance - account.initial + account.gas, // gas excluded
+      gasWei: account.gas,
+    });
+  }
+  const accepted = bets.filter((bet) => bet.accepted);
+  return {
+    name: scenario.name,
+    feePercent: scenario.feePercent,
+    game: {
+      address: gameAddress,
+      question: spec.question,
+      options: spec.options,
+      odds: spec.odds,
+      fundingWei: spec.fundingWei,
+      fundPoolWei: toppedUp,
+      outcome: scenario.outcome,
+    },
+    feeRevenueWei: accounts[0].pnlWei,
+    creatorPnlWei: accounts[1].pnlWei,
+    bets: {
+      accepted: accepted.length,
+      rejected: bets.length - accepted.length,
+      stakedWei: accepted.reduce((sum, bet) => sum + bet.amount, 0n),
+      rejectedBets: bets
+        .filter((bet) => !bet.accepted)
+        .map((bet) => ({
+          player: bet.player.label,
+          option: bet.option,
+          amountWei: bet.amount,
+        })),
+      predictionMismatches: mismatches,
+    },
+    payouts: {
+      winners: winners.length,
+      claimed: claimCount - failedClaims,
+      failedClaims,
+      paidWei: paid,
+    },
+    withdrawal,
+    finalGame: { poolWei: final.pool, balanceWei: final.balance },
+    accounts,
+  };
+}
+
+function printReport(report) {
+  const { game, bets, payouts, withdrawal } = report;
+  console.log(
+    `\n=== ${report.name} (fee ${report.feePercent}%, outcome ${game.outcome}: ${
+      game.options[game.outcome - 1]
+    }) ===`
+  );
+  console.log(
+    `  Bets: ${bets.accepted} accepted (${eth(bets.stakedWei)} staked), ${
+      bets.rejected
+    } rejected`
+  );
+  for (const bet of bets.rejectedBets) {
+    console.log(
+      `    rejected: ${bet.player} ${eth(bet.amountWei)} on option ${bet.option}`
+    );
+  }
+  if (bets.predictionMismatches) {
+    console.warn(
+      `  [WARNING] ${bets.predictionMismatches} bet(s) did not match the exposure calculator's prediction.`
+    );
+  }
+  console.log(
+    `  Payouts: ${payouts.claimed} of ${payouts.winners} winner(s) claimed ${eth(
+      payouts.paidWei
+    )}${payouts.failedClaims ? `, ${payouts.failedClaims} claim(s) failed` : ""}`
+  );
+  if (withdrawal.attempted) {
+    console.log(
+      withdrawal.error === null
+        ? `  Creator withdrew ${eth(withdrawal.amountWei)}`
+        : `  Creator withdrawal rejected (${withdrawal.error})`
+    );
+  }
+  console.log(
+    `  Fee revenue: ${eth(report.feeRevenueWei)}; creator P&L: ${eth(
+      report.creatorPnlWei
+    )} (gas excluded)`
+  );
+  console.log(
+    `  Left in the game: pool ${eth(report.finalGame.poolWei)}, balance ${eth(
+      report.finalGame.balanceWei
+    )}`
+  );
+  for (const account of report.accounts) {
+    console.log(
+      `  ${account.label.padEnd(10)} ${account.address}  final ${eth(
+        account.finalWei
+      )}, P&L ${eth(account.pnlWei)}, gas ${eth(account.gasWei)}`
+    );
+  }
+}
+
+// --- Simulator ---
+// Runs every scenario of `filePath` on a local development node (anvil,
+// hardhat node, ganache). Each scenario starts from an evm_snapshot that is
+// reverted afterwards, so the node is left as it was. Nothing is written to
+// the deployment database. Returns the reports; `options.out` also saves them
+// as JSON.
+async function runSimulation(config, filePath, options = {}) {
+  const defaultFee = parseInt(config.factoryFeePercent);
+  const { seed, scenarios } = loadScenarios(filePath, {
+    feePercent: isNaN(defaultFee) ? undefined : defaultFee,
+  });
+  const finalSeed = options.seed !== undefined ? options.seed : seed;
+
+  const build = compileProject(
+    config.contractsDir,
+    config.artifactsDir,
+    compilerSettings(config.compiler)
+  );
+  if (build.errors.length) {
+    throw new Error(
+      `Solidity compilation failed:\n${build.errors
+        .map((err) => err.formattedMessage)
+        .join("\n")}`
+    );
+  }
+  const compiled = extractContract(build, "ForecastGameFactory");
+
+  const { provider, chainId, name } = await connectNetwork(config);
+  let snapshot;
+  try {
+    snapshot = await provider.send("evm_snapshot", []);
+  } catch (error) {
+    throw new Error(
+      `simulate needs a local development node (anvil, hardhat node or ganache); ${name} does not support evm_snapshot.`
+    );
+  }
+  const [bankAddress] = await provider.send("eth_accounts", []);
+  if (!bankAddress) {
+    await provider.send("evm_revert", [snapshot]);
+    throw new Error(`${name} has no unlocked account to fund the simulation.`);
+  }
+  console.log(
+    `[INFO] Simulating ${scenarios.length} scenario(s) on ${name} (chain ID ${chainId}) with seed ${finalSeed}.`
+  );
+
+  const ctx = {
+    provider,
+    bank: await provider.getSigner(bankAddress),
+    factoryArtifact: { abi: JSON.parse(compiled.abi), bytecode: compiled.bytecode },
+  };
+  const random = seededRandom(finalSeed);
+  const reports = [];
+  try {
+    for (const scenario of scenarios) {
+      if (reports.length) snapshot = await provider.send("evm_snapshot", []);
+      try {
+        const report = await runScenario(ctx, scenario, random);
+        printReport(report);
+        reports.push(report);
+      } finally {
+        await provider.send("evm_revert", [snapshot]);
+        snapshot = null;
+      }
+    }
+  } finally {
+    if (snapshot) await provider.send("evm_revert", [snapshot]);
+  }
+
+  if (options.out) {
+    fs.writeFileSync(
+      options.out,
+      JSON.stringify(
+        { seed: finalSeed, chainId, scenarios: reports },
+        jsonReplacer,
+        2
+      ) + "\n"
+    );
+    console.log(`[INFO] Simulation report written to ${options.out}`);
+  }
+  return reports;
+}
+
+module.exports = { loadScenarios, runScenario, runSimulation };
@@ -0,0 +1,25 @@
+// lib/store/index.js
+
+const { SqliteStore } = require("./sqlite");
+const { MysqlStore } = require("./mysql");
+const { MemoryStore } = require("./memory");
+
+// --- Store Selection ---
+// `dbConfig` is the `db` section of loadConfig(); the backend must be named explicitly.
+function createStore(dbConfig) {
+  switch (dbConfig.backend) {
+    case "sqlite":
+      return new SqliteStore(dbConfig);
+    case "mysql":
+    case "mariadb":
+      return new MysqlStore(dbConfig);
+    case "memory":
+      return new MemoryStore();
+    default:
+      throw new Error(
+        `Unknown DB_BACKEND "${dbConfig.backend}". Expected one of: sqlite, mysql, mariadb, memory.`
+      );
+  }
+}
+
+module.exports = { createStore, SqliteStore, MysqlStore, MemoryStore };
@@ -0,0 +1,401 @@
+// lib/store/memory.js
+
+// Non-persistent store with the same interface and row shapes as the SQL
+// stores. Intended for tests and for throwaway runs against a local node.
+
+const {
+  DEPLOYMENT_COLUMNS,
+  LOG_COLUMNS,
+  DEPLOYMENT_TX_COLUMNS,
+  GAME_COLUMNS,
+  AUDIT_COLUMNS,
+  MANIFEST_RUN_COLUMNS,
+  MANIFEST_STEP_COLUMNS,
+  NOTIFICATION_EVENT_COLUMNS,
+  WEBHOOK_DELIVERY_COLUMNS,
+  EVENT_TABLES,
+  sqlTimestamp,
+  toColumns,
+} = require("./sql_store");
+
+// Mirrors the constraints of the SQL schemas that callers can observe
+const TABLES = {
+  deployed_contracts: {
+    columns: DEPLOYMENT_COLUMNS,
+    defaults: { status: "PENDING" },
+    unique: [["address"]],
+  },
+  deployment_logs: {
+    columns: LOG_COLUMNS,
+    defaults: { timestamp: sqlTimestamp },
+    references: { deployment_id: "deployed_contracts" },
+  },
+  deployment_transactions: {
+    columns: DEPLOYMENT_TX_COLUMNS,
+    defaults: { status: "SENT", created_at: sqlTimestamp },
+    unique: [["tx_hash"]],
+    references: { deployment_id: "deployed_contracts" },
+  },
+  games: {
+    columns: GAME_COLUMNS,
+    defaults: { created_at: sqlTimestamp },
+    unique: [["address"], ["deployment_id", "game_id"]],
+    references: { deployment_id: "deployed_contracts" },
+  },
+  audit_log: {
+    columns: AUDIT_COLUMNS,
+    defaults: { status: "PENDING", created_at: sqlTimestamp },
+  },
+  manifest_runs: {
+    columns: MANIFEST_RUN_COLUMNS,
+    defaults: { status: "RUNNING", created_at: sqlTimestamp },
+  },
+  manifest_steps: {
+    columns: MANIFEST_STEP_COLUMNS,
+    defaults: { status: "PENDING" },
+    unique: [["run_id", "position"]],
+    references: {
+      run_id: "manifest_runs",
+      deployment_id: "deployed_contracts",
+    },
+  },
+  notification_events: {
+    columns: NOTIFICATION_EVENT_COLUMNS,
+    defaults: { created_at: sqlTimestamp },
+    references: { deployment_id: "deployed_contracts" },
+  },
+  webhook_deliveries: {
+    columns: WEBHOOK_DELIVERY_COLUMNS,
+    defaults: { status: "PENDING", attempts: 0, created_at: sqlTimestamp },
+    references: { event_id: "notification_events" },
+  },
+  indexer_cursors: {
+    columns: {
+      deploymentId: "deployment_id",
+      lastBlock: "last_block",
+      lastBlockHash: "last_block_hash",
+      updatedAt: "updated_at",
+    },
+    unique: [["deployment_id"]],
+    references: { deployment_id: "deployed_contracts" },
+  },
+};
+for (const [table, columns] of Object.entries(EVENT_TABLES)) {
+  TABLES[table] = {
+    columns,
+    unique: [["tx_hash", "log_index"]],
+    references: { deployment_id: "deployed_contracts" },
+  };
+}
+
+class MemoryStore {
+  constructor() {
+    this.tables = {};
+    this.nextIds = {};
+  }
+
+  // --- Generic helpers ---
+  checkConstraints(table, row) {
+    const spec = TABLES[table];
+    for (const columns of spec.unique || []) {
+      if (columns.some((column) => row[column] == null)) continue;
+      const clash = this.tables[table].find(
+        (other) =>
+          other.id !== row.id &&
+          columns.every((column) => other[column] === row[column])
+      );
+      if (clash) {
+        throw new Error(
+          `UNIQUE constraint failed: ${columns
+            .map((column) => `${table}.${column}`)
+            .join(", ")}`
+        );
+      }
+    }
+    for (const [column, parent] of Object.entries(spec.references || {})) {
+      if (row[column] == null) continue;
+      if (!this.tables[parent].some((other) => other.id === row[column])) {
+        throw new Error("FOREIGN KEY constraint failed");
+      }
+    }
+  }
+
+  insertInto(table, fields, { ignoreDuplicates = false } = {}) {
+    const spec = TABLES[table];
+    const row = { id: this.nextIds[table] };
+    for (const column of Object.values(spec.columns)) row[column] = null;
+    for (const [column, value] of Object.entries(spec.defaults || {})) {
+      row[column] = typeof value === "function" ? value() : value;
+    }
+    const { columns, values } = toColumns(fields, spec.columns);
+    columns.forEach((column, i) => (row[column] = values[i]));
+    try {
+      this.checkConstraints(table, row);
+    } catch (error) {
+      if (ignoreDuplicates && error.message.startsWith("UNIQUE")) return null;
+      throw error;
+    }
+    this.nextIds[table]++;
+    this.tables[table].push(row);
+    return row.id;
+  }
+
+  updateById(table, id, fields) {
+    const row = this.tables[table].find((other) => other.id === id);
+    if (!row) return;
+    const { columns, values } = toColumns(fields, TABLES[table].columns);
+    const updated = { ...row };
+    columns.forEach((column, i) => (updated[column] = values[i]));
+    this.checkConstraints(table, updated);
+    Object.assign(row, updated);
+  }
+
+  selectWhere(
+    table,
+    filter = {},
+    { limit = null, offset = 0, oldestFirst = false } = {}
+  ) {
+    const rows = this.matching(table, filter).map((row) => ({ ...row }));
+    if (!oldestFirst) rows.reverse();
+    return limit ? rows.slice(offset, offset + limit) : rows;
+  }
+
+  countWhere(table, filter = {}) {
+    return this.matching(table, filter).length;
+  }
+
+  matching(table, filter) {
+    const { columns, values } = toColumns(filter, TABLES[table].columns);
+    return this.tables[table].filter((row) =>
+      columns.every((column, i) => row[column] == values[i])
+    );
+  }
+
+  // --- Schema ---
+  async init() {
+    for (const table of Object.keys(TABLES)) {
+      if (!this.tables[table]) {
+        this.tables[table] = [];
+        this.nextIds[table] = 1;
+      }
+    }
+    console.log("Using the in-memory database.");
+  }
+
+  async close() {}
+
+  // --- deployed_contracts ---
+  async createDeployment(fields) {
+    return this.insertInto("deployed_contracts", fields);
+  }
+
+  async updateDeployment(id, fields) {
+    this.updateById("deployed_contracts", id, fields);
+  }
+
+  async getDeployment(id) {
+    const [row] = this.tables.deployed_contracts.filter((r) => r.id === id);
+    return row ? { ...row } : null;
+  }
+
+  async findDeployment(filter) {
+    return (
+      this.selectWhere("deployed_contracts", filter, { limit: 1 })[0] || null
+    );
+  }
+
+  async listDeployments(filter) {
+    return this.selectWhere("deployed_contracts", filter).reverse();
+  }
+
+  async pageDeployments(filter, page) {
+    return {
+      rows: this.selectWhere("deployed_contracts", filter, page),
+      total: this.countWhere("deployed_contracts", filter),
+    };
+  }
+
+  // --- deployment_logs ---
+  async insertLog(deploymentId, level, message, { details, timestamp } = {}) {
+    this.insertInto("deployment_logs", {
+      deploymentId,
+      level,
+      message,
+      details,
+      timestamp,
+    });
+  }
+
+  async listLogs(deploymentId) {
+    return this.selectWhere(
+      "deployment_logs",
+      { deploymentId },
+      { oldestFirst: true }
+    );
+  }
+
+  async pageLogs(deploymentId, page) {
+    return {
+      rows: this.selectWhere(
+        "deployment_logs",
+        { deploymentId },
+        { ...page, oldestFirst: true }
+      ),
+      total: this.countWhere("deployment_logs", { deploymentId }),
+    };
+  }
+
+  // --- deployment_transactions ---
+  async insertDeploymentTx(fields) {
+    return this.insertInto("deployment_transactions", fields);
+  }
+
+  async updateDeploymentTx(id, fields) {
+    this.updateById("deployment_transactions", id, fields);
+  }
+
+  async listDeploymentTxs(deploymentId) {
+    return this.selectWhere(
+      "deployment_transactions",
+      { deploymentId },
+      { oldestFirst: true }
+    );
+  }
+
+  // --- games ---
+  async insertGame(fields) {
+    return this.insertInto("games", fields);
+  }
+
+  async insertGameIfMissing(fields) {
+    return this.insertInto("games", fields, { ignoreDuplicates: true });
+  }
+
+  async findGames(filter) {
+    return this.selectWhere("games", filter);
+  }
+
+  async updateGame(id, fields) {
+    this.updateById("games", id, fields);
+  }
+
+  async deleteGame(id) {
+    this.tables.games = this.tables.games.filter((row) => row.id !== id);
+  }
+
+  async pageGames(filter, page) {
+    return {
+      rows: this.selectWhere("games", filter, page),
+      total: this.countWhere("games", filter),
+    };
+  }
+
+  // --- Indexed events ---
+  async insertEvent(table, fields) {
+    if (!EVENT_TABLES[table]) throw new Error(`Unknown event table "${table}".`);
+    return this.insertInto(table, fields, { ignoreDuplicates: true });
+  }
+
+  async findEvents(table, filter) {
+    if (!EVENT_TABLES[table]) throw new Error(`Unknown event table "${table}".`);
+    return this.selectWhere(table, filter);
+  }
+
+  async deleteEventsFrom(deploymentId, fromBlock) {
+    for (const table of Object.keys(EVENT_TABLES)) {
+      this.tables[table] = this.tables[table].filter(
+        (row) =>
+          row.deployment_id !== deploymentId || row.block_number < fromBlock
+      );
+    }
+  }
+
+  // --- audit_log ---
+  async insertAudit(fields) {
+    return this.insertInto("audit_log", fields);
+  }
+
+  async updateAudit(id, fields) {
+    this.updateById("audit_log", id, fields);
+  }
+
+  async findAudit(filter) {
+    return this.selectWhere("audit_log", filter);
+  }
+
+  // --- manifest_runs / manifest_steps ---
+  async insertManifestRun(fields) {
+    return this.insertInto("manifest_runs", fields);
+  }
+
+  async updateManifestRun(id, fields) {
+    this.updateById("manifest_runs", id, fields);
+  }
+
+  async getManifestRun(id) {
+    const [row] = this.tables.manifest_runs.filter((r) => r.id === id);
+    return row ? { ...row } : null;
+  }
+
+  async findManifestRuns(filter) {
+    return this.selectWhere("manifest_runs", filter);
+  }
+
+  async insertManifestStep(fields) {
+    return this.insertInto("manifest_steps", fields);
+  }
+
+  async updateManifestStep(id, fields) {
+    this.updateById("manifest_steps", id, fields);
+  }
+
+  async listManifestSteps(runId) {
+    return this.selectWhere("manifest_steps", { runId }, { oldestFirst: true });
+  }
+
+  // --- notification_events / webhook_deliveries ---
+  async insertNotificationEvent(fields) {
+    return this.insertInto("notification_events", fields);
+  }
+
+  async listNotificationEvents(filter) {
+    return this.selectWhere("notification_events", filter, {
+      oldestFirst: true,
+    });
+  }
+
+  async getNotificationEvent(id) {
+    const [row] = this.tables.notification_events.filter((r) => r.id === id);
+    return row ? { ...row } : null;
+  }
+
+  async insertWebhookDelivery(fields) {
+    return this.insertInto("webhook_deliveries", fields);
+  }
+
+  async updateWebhookDelivery(id, fields) {
+    this.updateById("webhook_deliveries", id, fields);
+  }
+
+  async listWebhookDeliveries(filter) {
+    return this.selectWhere("webhook_deliveries", filter, {
+      oldestFirst: true,
+    });
+  }
+
+  // --- indexer_cursors ---
+  async getCursor(deploymentId) {
+    return this.selectWhere("indexer_cursors", { deploymentId })[0] || null;
+  }
+
+  async saveCursor(deploymentId, lastBlock, lastBlockHash) {
+    const [row] = this.tables.indexer_cursors.filter(
+      (other) => other.deployment_id === deploymentId
+    );
+    const fields = { lastBlock, lastBlockHash, updatedAt: new Date() };
+    if (row) this.updateById("indexer_cursors", row.id, fields);
+    else this.insertInto("indexer_cursors", { deploymentId, ...fields });
+  }
+}
+
+module.exports = { MemoryStore };
@@ -0,0 +1,61 @@
+// lib/store/migrations/001_initial.js
+
+// deployed_contracts and deployment_logs as the original deployers created them
+module.exports = {
+  version: 1,
+  name: "initial",
+  up: {
+    sqlite: [
+      `CREATE TABLE IF NOT EXISTS deployed_contracts (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        contract_name TEXT NOT NULL,
+        address TEXT UNIQUE, -- Address can be NULL initially if deployment fails
+        abi TEXT,
+        bytecode TEXT,
+        deployed_at DATETIME,
+        status TEXT NOT NULL DEFAULT 'PENDING', -- PENDING, DEPLOYED, FAILED
+        chain_id INTEGER,
+        compiler_version TEXT
+      )`,
+      `CREATE TABLE IF NOT EXISTS deployment_logs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        deployment_id INTEGER NOT NULL,
+        timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+        log_level TEXT NOT NULL,
+        message TEXT NOT NULL,
+        FOREIGN KEY (deployment_id) REFERENCES deployed_contracts(id) ON DELETE CASCADE
+      )`,
+    ],
+    mysql: [
+      `CREATE TABLE IF NOT EXISTS deployed_contracts (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        contract_name VARCHAR(255) NOT NULL,
+        address VARCHAR(255) UNIQUE, -- Address can be NULL initially if deployment fails
+        abi LONGTEXT,
+        bytecode LONGTEXT,
+        deployed_at DATETIME,
+        status VARCHAR(50) NOT NULL DEFAULT 'PENDING', -- PENDING, DEPLOYED, FAILED
+        chain_id INT,
+        compiler_version VARCHAR(255)
+      )`,
+      `CREATE TABLE IF NOT EXISTS deployment_logs (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        deployment_id INT NOT NULL,
+        timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+        log_level VARCHAR(50) NOT NULL,
+        message TEXT NOT NULL,
+        FOREIGN KEY (deployment_id) REFERENCES deployed_contracts(id) ON DELETE CASCADE
+      )`,
+    ],
+  },
+  down: {
+    sqlite: [
+      "DROP TABLE deployment_logs",
+      "DROP TABLE deployed_contracts",
+    ],
+    mysql: [
+      "DROP TABLE deployment_logs",
+      "DROP TABLE deployed_contracts",
+    ],
+  },
+};
@@ -0,0 +1,23 @@
+// lib/store/migrations/002_network_name.js
+
+// Network the deployment targeted (user-facing name, next to chain_id)
+module.exports = {
+  version: 2,
+  name: "network_name",
+  up: {
+    sqlite: [
+      "ALTER TABLE deployed_contracts ADD COLUMN network_name TEXT",
+    ],
+    mysql: [
+      "ALTER TABLE deployed_contracts ADD COLUMN network_name VARCHAR(255)",
+    ],
+  },
+  down: {
+    sqlite: [
+      "ALTER TABLE deployed_contracts DROP COLUMN network_name",
+    ],
+    mysql: [
+      "ALTER TABLE deployed_contracts DROP COLUMN network_name",
+    ],
+  },
+};
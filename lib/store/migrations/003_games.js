@@ -0,0 +1,55 @@
+// lib/store/migrations/003_games.js
+
+// Games created through a recorded factory
+module.exports = {
+  version: 3,
+  name: "games",
+  up: {
+    sqlite: [
+      `CREATE TABLE games (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        deployment_id INTEGER NOT NULL, -- Factory row in deployed_contracts
+        game_id INTEGER NOT NULL, -- ID assigned by ForecastGameFactory
+        address TEXT NOT NULL UNIQUE,
+        creator TEXT NOT NULL,
+        question TEXT NOT NULL,
+        options TEXT, -- JSON array
+        odds TEXT, -- JSON array of percentages
+        funding_wei TEXT, -- msg.value sent to createGame, before the factory fee
+        fee_wei TEXT,
+        tx_hash TEXT,
+        block_number INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (deployment_id, game_id),
+        FOREIGN KEY (deployment_id) REFERENCES deployed_contracts(id) ON DELETE CASCADE
+      )`,
+    ],
+    mysql: [
+      `CREATE TABLE games (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        deployment_id INT NOT NULL, -- Factory row in deployed_contracts
+        game_id BIGINT NOT NULL, -- ID assigned by ForecastGameFactory
+        address VARCHAR(255) NOT NULL UNIQUE,
+        creator VARCHAR(255) NOT NULL,
+        question TEXT NOT NULL,
+        options TEXT, -- JSON array
+        odds TEXT, -- JSON array of percentages
+        funding_wei VARCHAR(78), -- msg.value sent to createGame, before the factory fee
+        fee_wei VARCHAR(78),
+        tx_hash VARCHAR(66),
+        block_number BIGINT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (deployment_id, game_id),
+        FOREIGN KEY (deployment_id) REFERENCES deployed_contracts(id) ON DELETE CASCADE
+      )`,
+    ],
+  },
+  down: {
+    sqlite: [
+      "DROP TABLE games",
+    ],
+    mysql: [
+      "DROP TABLE games",
+    ],
+  },
+};
@@ -0,0 +1,141 @@
+// lib/store/migrations/004_indexer.js
+
+// Deployment block, indexed event tables and the indexer cursor
+module.exports = {
+  version: 4,
+  name: "indexer",
+  up: {
+    sqlite: [
+      "ALTER TABLE deployed_contracts ADD COLUMN block_number INTEGER",
+      `CREATE TABLE game_bets (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        deployment_id INTEGER NOT NULL, -- Factory row in deployed_contracts
+        game_address TEXT NOT NULL,
+        player TEXT NOT NULL,
+        option_index INTEGER NOT NULL, -- 1-based, as passed to bet()
+        amount_wei TEXT NOT NULL,
+        block_number INTEGER NOT NULL,
+        tx_hash TEXT NOT NULL,
+        log_index INTEGER NOT NULL,
+        UNIQUE (tx_hash, log_index),
+        FOREIGN KEY (deployment_id) REFERENCES deployed_contracts(id) ON DELETE CASCADE
+      )`,
+      `CREATE TABLE game_finalizations (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        deployment_id INTEGER NOT NULL, -- Factory row in deployed_contracts
+        game_address TEXT NOT NULL,
+        final_option INTEGER NOT NULL,
+        block_number INTEGER NOT NULL,
+        tx_hash TEXT NOT NULL,
+        log_index INTEGER NOT NULL,
+        UNIQUE (tx_hash, log_index),
+        FOREIGN KEY (deployment_id) REFERENCES deployed_contracts(id) ON DELETE CASCADE
+      )`,
+      `CREATE TABLE game_claims (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        deployment_id INTEGER NOT NULL, -- Factory row in deployed_contracts
+        game_address TEXT NOT NULL,
+        player TEXT NOT NULL,
+        amount_wei TEXT NOT NULL,
+        block_number INTEGER NOT NULL,
+        tx_hash TEXT NOT NULL,
+        log_index INTEGER NOT NULL,
+        UNIQUE (tx_hash, log_index),
+        FOREIGN KEY (deployment_id) REFERENCES deployed_contracts(id) ON DELETE CASCADE
+      )`,
+      `CREATE TABLE game_fundings (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        deployment_id INTEGER NOT NULL, -- Factory row in deployed_contracts
+        game_address TEXT NOT NULL,
+        amount_wei TEXT NOT NULL,
+        block_number INTEGER NOT NULL,
+        tx_hash TEXT NOT NULL,
+        log_index INTEGER NOT NULL,
+        UNIQUE (tx_hash, log_index),
+        FOREIGN KEY (deployment_id) REFERENCES deployed_contracts(id) ON DELETE CASCADE
+      )`,
+      `CREATE TABLE indexer_cursors (
+        deployment_id INTEGER PRIMARY KEY, -- Factory row in deployed_contracts
+        last_block INTEGER NOT NULL, -- Last block fully indexed
+        last_block_hash TEXT,
+        updated_at DATETIME,
+        FOREIGN KEY (deployment_id) REFERENCES deployed_contracts(id) ON DELETE CASCADE
+      )`,
+    ],
+    mysql: [
+      "ALTER TABLE deployed_contracts ADD COLUMN block_number BIGINT",
+      `CREATE TABLE game_bets (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        deployment_id INT NOT NULL, -- Factory row in deployed_contracts
+        game_address VARCHAR(42) NOT NULL,
+        player VARCHAR(42) NOT NULL,
+        option_index INT NOT NULL, -- 1-based, as passed to bet()
+        amount_wei VARCHAR(78) NOT NULL,
+        block_number BIGINT NOT NULL,
+        tx_hash VARCHAR(66) NOT NULL,
+        log_index INT NOT NULL,
+        UNIQUE (tx_hash, log_index),
+        FOREIGN KEY (deployment_id) REFERENCES deployed_contracts(id) ON DELETE CASCADE
+      )`,
+      `CREATE TABLE game_finalizations (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        deployment_id INT NOT NULL, -- Factory row in deployed_contracts
+        game_address VARCHAR(42) NOT NULL,
+        final_option INT NOT NULL,
+        block_number BIGINT NOT NULL,
+        tx_hash VARCHAR(66) NOT NULL,
+        log_index INT NOT NULL,
+        UNIQUE (tx_hash, log_index),
+        FOREIGN KEY (deployment_id) REFERENCES deployed_contracts(id) ON DELETE CASCADE
+      )`,
+      `CREATE TABLE game_claims (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        deployment_id INT NOT NULL, -- Factory row in deployed_contracts
+        game_address VARCHAR(42) NOT NULL,
+        player VARCHAR(42) NOT NULL,
+        amount_wei VARCHAR(78) NOT NULL,
+        block_number BIGINT NOT NULL,
+        tx_hash VARCHAR(66) NOT NULL,
+        log_index INT NOT NULL,
+        UNIQUE (tx_hash, log_index),
+        FOREIGN KEY (deployment_id) REFERENCES deployed_contracts(id) ON DELETE CASCADE
+      )`,
+      `CREATE TABLE game_fundings (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        deployment_id INT NOT NULL, -- Factory row in deployed_contracts
+        game_address VARCHAR(42) NOT NULL,
+        amount_wei VARCHAR(78) NOT NULL,
+        block_number BIGINT NOT NULL,
+        tx_hash VARCHAR(66) NOT NULL,
+        log_index INT NOT NULL,
+        UNIQUE (tx_hash, log_index),
+        FOREIGN KEY (deployment_id) REFERENCES deployed_contracts(id) ON DELETE CASCADE
+      )`,
+      `CREATE TABLE indexer_cursors (
+        deployment_id INT PRIMARY KEY, -- Factory row in deployed_contracts
+        last_block BIGINT NOT NULL, -- Last block fully indexed
+        last_block_hash VARCHAR(66),
+        updated_at DATETIME,
+        FOREIGN KEY (deployment_id) REFERENCES deployed_contracts(id) ON DELETE CASCADE
+      )`,
+    ],
+  },
+  down: {
+    sqlite: [
+      "DROP TABLE indexer_cursors",
+      "DROP TABLE game_fundings",
+      "DROP TABLE game_claims",
+      "DROP TABLE game_finalizations",
+      "DROP TABLE game_bets",
+      "ALTER TABLE deployed_contracts DROP COLUMN block_number",
+    ],
+    mysql: [
+      "DROP TABLE indexer_cursors",
+      "DROP TABLE game_fundings",
+      "DROP TABLE game_claims",
+      "DROP TABLE game_finalizations",
+      "DROP TABLE game_bets",
+      "ALTER TABLE deployed_contracts DROP COLUMN block_number",
+    ],
+  },
+};
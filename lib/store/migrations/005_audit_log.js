@@ -0,0 +1,47 @@
+// lib/store/migrations/005_audit_log.js
+
+// Audit trail of privileged actions (finalize, ...)
+module.exports = {
+  version: 5,
+  name: "audit_log",
+  up: {
+    sqlite: [
+      `CREATE TABLE audit_log (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        action TEXT NOT NULL,
+        chain_id INTEGER,
+        contract_address TEXT,
+        actor TEXT,
+        details TEXT, -- JSON
+        status TEXT NOT NULL DEFAULT 'PENDING', -- PENDING, SUCCEEDED, FAILED
+        tx_hash TEXT,
+        error TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        completed_at DATETIME
+      )`,
+    ],
+    mysql: [
+      `CREATE TABLE audit_log (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        action VARCHAR(64) NOT NULL,
+        chain_id INT,
+        contract_address VARCHAR(42),
+        actor VARCHAR(42),
+        details TEXT, -- JSON
+        status VARCHAR(50) NOT NULL DEFAULT 'PENDING', -- PENDING, SUCCEEDED, FAILED
+        tx_hash VARCHAR(66),
+        error TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        completed_at DATETIME
+      )`,
+    ],
+  },
+  down: {
+    sqlite: [
+      "DROP TABLE audit_log",
+    ],
+    mysql: [
+      "DROP TABLE audit_log",
+    ],
+  },
+};
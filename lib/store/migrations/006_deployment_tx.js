@@ -0,0 +1,31 @@
+// lib/store/migrations/006_deployment_tx.js
+
+// Deployment transaction details, recorded as soon as it is sent
+module.exports = {
+  version: 6,
+  name: "deployment_tx",
+  up: {
+    sqlite: [
+      "ALTER TABLE deployed_contracts ADD COLUMN tx_hash TEXT",
+      "ALTER TABLE deployed_contracts ADD COLUMN nonce INTEGER",
+      "ALTER TABLE deployed_contracts ADD COLUMN sender TEXT",
+    ],
+    mysql: [
+      "ALTER TABLE deployed_contracts ADD COLUMN tx_hash VARCHAR(66)",
+      "ALTER TABLE deployed_contracts ADD COLUMN nonce BIGINT",
+      "ALTER TABLE deployed_contracts ADD COLUMN sender VARCHAR(42)",
+    ],
+  },
+  down: {
+    sqlite: [
+      "ALTER TABLE deployed_contracts DROP COLUMN sender",
+      "ALTER TABLE deployed_contracts DROP COLUMN nonce",
+      "ALTER TABLE deployed_contracts DROP COLUMN tx_hash",
+    ],
+    mysql: [
+      "ALTER TABLE deployed_contracts DROP COLUMN sender",
+      "ALTER TABLE deployed_contracts DROP COLUMN nonce",
+      "ALTER TABLE deployed_contracts DROP COLUMN tx_hash",
+    ],
+  },
+};
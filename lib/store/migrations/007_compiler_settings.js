@@ -0,0 +1,15 @@
+// lib/store/migrations/007_compiler_settings.js
+
+// Full solc settings (optimizer, evmVersion, viaIR, metadata) next to compiler_version
+module.exports = {
+  version: 7,
+  name: "compiler_settings",
+  up: {
+    sqlite: ["ALTER TABLE deployed_contracts ADD COLUMN compiler_settings TEXT"],
+    mysql: ["ALTER TABLE deployed_contracts ADD COLUMN compiler_settings TEXT"],
+  },
+  down: {
+    sqlite: ["ALTER TABLE deployed_contracts DROP COLUMN compiler_settings"],
+    mysql: ["ALTER TABLE deployed_contracts DROP COLUMN compiler_settings"],
+  },
+};
@@ -0,0 +1,15 @@
+// lib/store/migrations/008_log_details.js
+
+// Structured log fields (step, tx hash, gas, duration, ...) as JSON
+module.exports = {
+  version: 8,
+  name: "log_details",
+  up: {
+    sqlite: ["ALTER TABLE deployment_logs ADD COLUMN details TEXT"],
+    mysql: ["ALTER TABLE deployment_logs ADD COLUMN details TEXT"],
+  },
+  down: {
+    sqlite: ["ALTER TABLE deployment_logs DROP COLUMN details"],
+    mysql: ["ALTER TABLE deployment_logs DROP COLUMN details"],
+  },
+};
@@ -0,0 +1,27 @@
+// lib/store/migrations/009_signer.js
+
+// How each deployment was signed: signer source and account
+module.exports = {
+  version: 9,
+  name: "signer",
+  up: {
+    sqlite: [
+      "ALTER TABLE deployed_contracts ADD COLUMN signer_type TEXT",
+      "ALTER TABLE deployed_contracts ADD COLUMN signer_address TEXT",
+    ],
+    mysql: [
+      "ALTER TABLE deployed_contracts ADD COLUMN signer_type VARCHAR(32)",
+      "ALTER TABLE deployed_contracts ADD COLUMN signer_address VARCHAR(42)",
+    ],
+  },
+  down: {
+    sqlite: [
+      "ALTER TABLE deployed_contracts DROP COLUMN signer_address",
+      "ALTER TABLE deployed_contracts DROP COLUMN signer_type",
+    ],
+    mysql: [
+      "ALTER TABLE deployed_contracts DROP COLUMN signer_address",
+      "ALTER TABLE deployed_contracts DROP COLUMN signer_type",
+    ],
+  },
+};
@@ -0,0 +1,50 @@
+// lib/store/migrations/010_deployment_transactions.js
+
+// Every transaction broadcast for a deployment: the original and each speed-up
+// or cancel replacement re-using its nonce, with the fees it offered
+module.exports = {
+  version: 10,
+  name: "deployment_transactions",
+  up: {
+    sqlite: [
+      `CREATE TABLE deployment_transactions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        deployment_id INTEGER NOT NULL,
+        kind TEXT NOT NULL, -- ORIGINAL, SPEED_UP, CANCEL
+        tx_hash TEXT NOT NULL UNIQUE,
+        nonce INTEGER NOT NULL,
+        max_fee_per_gas TEXT, -- wei; EIP-1559 transactions
+        max_priority_fee_per_gas TEXT,
+        gas_price TEXT, -- wei; legacy transactions
+        gas_limit TEXT,
+        status TEXT NOT NULL DEFAULT 'SENT', -- SENT, MINED, REPLACED
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (deployment_id) REFERENCES deployed_contracts(id) ON DELETE CASCADE
+      )`,
+    ],
+    mysql: [
+      `CREATE TABLE deployment_transactions (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        deployment_id INT NOT NULL,
+        kind VARCHAR(16) NOT NULL, -- ORIGINAL, SPEED_UP, CANCEL
+        tx_hash VARCHAR(66) NOT NULL UNIQUE,
+        nonce BIGINT NOT NULL,
+        max_fee_per_gas VARCHAR(78), -- wei; EIP-1559 transactions
+        max_priority_fee_per_gas VARCHAR(78),
+        gas_price VARCHAR(78), -- wei; legacy transactions
+        gas_limit VARCHAR(78),
+        status VARCHAR(16) NOT NULL DEFAULT 'SENT', -- SENT, MINED, REPLACED
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (deployment_id) REFERENCES deployed_contracts(id) ON DELETE CASCADE
+      )`,
+    ],
+  },
+  down: {
+    sqlite: [
+      "DROP TABLE deployment_transactions",
+    ],
+    mysql: [
+      "DROP TABLE deployment_transactions",
+    ],
+  },
+};
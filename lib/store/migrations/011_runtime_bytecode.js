@@ -0,0 +1,28 @@
+// lib/store/migrations/011_runtime_bytecode.js
+
+// Expected on-chain code and the ABI-encoded constructor arguments, so recorded
+// deployments can be matched and verified against the chain
+module.exports = {
+  version: 11,
+  name: "runtime_bytecode",
+  up: {
+    sqlite: [
+      "ALTER TABLE deployed_contracts ADD COLUMN runtime_bytecode TEXT",
+      "ALTER TABLE deployed_contracts ADD COLUMN constructor_args TEXT",
+    ],
+    mysql: [
+      "ALTER TABLE deployed_contracts ADD COLUMN runtime_bytecode LONGTEXT",
+      "ALTER TABLE deployed_contracts ADD COLUMN constructor_args TEXT",
+    ],
+  },
+  down: {
+    sqlite: [
+      "ALTER TABLE deployed_contracts DROP COLUMN constructor_args",
+      "ALTER TABLE deployed_contracts DROP COLUMN runtime_bytecode",
+    ],
+    mysql: [
+      "ALTER TABLE deployed_contracts DROP COLUMN constructor_args",
+      "ALTER TABLE deployed_contracts DROP COLUMN runtime_bytecode",
+    ],
+  },
+};
@@ -0,0 +1,44 @@
+// lib/store/migrations/012_explorer_verification.js
+
+// What a block explorer needs to verify a deployment (the exact standard-JSON
+// compiler input and the "File.sol:Name" of the contract), and the outcome
+module.exports = {
+  version: 12,
+  name: "explorer_verification",
+  up: {
+    sqlite: [
+      "ALTER TABLE deployed_contracts ADD COLUMN compiler_input TEXT",
+      "ALTER TABLE deployed_contracts ADD COLUMN qualified_name TEXT",
+      "ALTER TABLE deployed_contracts ADD COLUMN verification_status TEXT",
+      "ALTER TABLE deployed_contracts ADD COLUMN verification_guid TEXT",
+      "ALTER TABLE deployed_contracts ADD COLUMN verification_message TEXT",
+      "ALTER TABLE deployed_contracts ADD COLUMN verified_at DATETIME",
+    ],
+    mysql: [
+      "ALTER TABLE deployed_contracts ADD COLUMN compiler_input LONGTEXT",
+      "ALTER TABLE deployed_contracts ADD COLUMN qualified_name VARCHAR(255)",
+      "ALTER TABLE deployed_contracts ADD COLUMN verification_status VARCHAR(32)",
+      "ALTER TABLE deployed_contracts ADD COLUMN verification_guid VARCHAR(128)",
+      "ALTER TABLE deployed_contracts ADD COLUMN verification_message TEXT",
+      "ALTER TABLE deployed_contracts ADD COLUMN verified_at DATETIME",
+    ],
+  },
+  down: {
+    sqlite: [
+      "ALTER TABLE deployed_contracts DROP COLUMN verified_at",
+      "ALTER TABLE deployed_contracts DROP COLUMN verification_message",
+      "ALTER TABLE deployed_contracts DROP COLUMN verification_guid",
+      "ALTER TABLE deployed_contracts DROP COLUMN verification_status",
+      "ALTER TABLE deployed_contracts DROP COLUMN qualified_name",
+      "ALTER TABLE deployed_contracts DROP COLUMN compiler_input",
+    ],
+    mysql: [
+      "ALTER TABLE deployed_contracts DROP COLUMN verified_at",
+      "ALTER TABLE deployed_contracts DROP COLUMN verification_message",
+      "ALTER TABLE deployed_contracts DROP COLUMN verification_guid",
+      "ALTER TABLE deployed_contracts DROP COLUMN verification_status",
+      "ALTER TABLE deployed_contracts DROP COLUMN qualified_name",
+      "ALTER TABLE deployed_contracts DROP COLUMN compiler_input",
+    ],
+  },
+};
@@ -0,0 +1,36 @@
+// lib/store/migrations/013_factory_registry.js
+
+// Registry fields: semantic version and source hash of each deployment, and
+// which deployment of a contract is CURRENT (or DEPRECATED) on its chain
+module.exports = {
+  version: 13,
+  name: "factory_registry",
+  up: {
+    sqlite: [
+      "ALTER TABLE deployed_contracts ADD COLUMN version TEXT",
+      "ALTER TABLE deployed_contracts ADD COLUMN source_hash TEXT",
+      "ALTER TABLE deployed_contracts ADD COLUMN lifecycle TEXT",
+      "ALTER TABLE deployed_contracts ADD COLUMN lifecycle_changed_at DATETIME",
+    ],
+    mysql: [
+      "ALTER TABLE deployed_contracts ADD COLUMN version VARCHAR(32)",
+      "ALTER TABLE deployed_contracts ADD COLUMN source_hash VARCHAR(64)",
+      "ALTER TABLE deployed_contracts ADD COLUMN lifecycle VARCHAR(16)",
+      "ALTER TABLE deployed_contracts ADD COLUMN lifecycle_changed_at DATETIME",
+    ],
+  },
+  down: {
+    sqlite: [
+      "ALTER TABLE deployed_contracts DROP COLUMN lifecycle_changed_at",
+      "ALTER TABLE deployed_contracts DROP COLUMN lifecycle",
+      "ALTER TABLE deployed_contracts DROP COLUMN source_hash",
+      "ALTER TABLE deployed_contracts DROP COLUMN version",
+    ],
+    mysql: [
+      "ALTER TABLE deployed_contracts DROP COLUMN lifecycle_changed_at",
+      "ALTER TABLE deployed_contracts DROP COLUMN lifecycle",
+      "ALTER TABLE deployed_contracts DROP COLUMN source_hash",
+      "ALTER TABLE deployed_contracts DROP COLUMN version",
+    ],
+  },
+};
@@ -0,0 +1,82 @@
+// lib/store/migrations/014_manifest_runs.js
+
+// Runs of a deployment manifest (`manifest apply`) and the state of each of
+// their steps, so a failed run resumes at the step that failed
+module.exports = {
+  version: 14,
+  name: "manifest_runs",
+  up: {
+    sqlite: [
+      `CREATE TABLE manifest_runs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        file_path TEXT,
+        chain_id INTEGER NOT NULL,
+        network_name TEXT,
+        status TEXT NOT NULL DEFAULT 'RUNNING', -- RUNNING, FAILED, COMPLETED
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        completed_at DATETIME
+      )`,
+      `CREATE TABLE manifest_steps (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        run_id INTEGER NOT NULL,
+        position INTEGER NOT NULL,
+        step_id TEXT NOT NULL,
+        action TEXT NOT NULL,
+        definition TEXT NOT NULL, -- JSON, as written in the manifest
+        params TEXT, -- JSON, references resolved
+        status TEXT NOT NULL DEFAULT 'PENDING', -- PENDING, RUNNING, SUCCEEDED, FAILED
+        deployment_id INTEGER,
+        tx_hash TEXT,
+        outputs TEXT, -- JSON
+        error TEXT,
+        started_at DATETIME,
+        completed_at DATETIME,
+        UNIQUE (run_id, position),
+        FOREIGN KEY (run_id) REFERENCES manifest_runs(id) ON DELETE CASCADE,
+        FOREIGN KEY (deployment_id) REFERENCES deployed_contracts(id)
+      )`,
+    ],
+    mysql: [
+      `CREATE TABLE manifest_runs (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        file_path TEXT,
+        chain_id INT NOT NULL,
+        network_name VARCHAR(255),
+        status VARCHAR(16) NOT NULL DEFAULT 'RUNNING', -- RUNNING, FAILED, COMPLETED
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        completed_at DATETIME
+      )`,
+      `CREATE TABLE manifest_steps (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        run_id INT NOT NULL,
+        position INT NOT NULL,
+        step_id VARCHAR(64) NOT NULL,
+        action VARCHAR(32) NOT NULL,
+        definition TEXT NOT NULL, -- JSON, as written in the manifest
+        params TEXT, -- JSON, references resolved
+        status VARCHAR(16) NOT NULL DEFAULT 'PENDING', -- PENDING, RUNNING, SUCCEEDED, FAILED
+        deployment_id INT,
+        tx_hash VARCHAR(66),
+        outputs TEXT, -- JSON
+        error TEXT,
+        started_at DATETIME,
+        completed_at DATETIME,
+        UNIQUE (run_id, position),
+        FOREIGN KEY (run_id) REFERENCES manifest_runs(id) ON DELETE CASCADE,
+        FOREIGN KEY (deployment_id) REFERENCES deployed_contracts(id)
+      )`,
+    ],
+  },
+  down: {
+    sqlite: [
+      "DROP TABLE manifest_steps",
+      "DROP TABLE manifest_runs",
+    ],
+    mysql: [
+      "DROP TABLE manifest_steps",
+      "DROP TABLE manifest_runs",
+    ],
+  },
+};
@@ -0,0 +1,74 @@
+// lib/store/migrations/015_webhooks.js
+
+// Lifecycle events noticed by `notify` (deployment status changes, games
+// created and finalized) and every webhook delivery of them, with its attempts
+module.exports = {
+  version: 15,
+  name: "webhooks",
+  up: {
+    sqlite: [
+      `CREATE TABLE notification_events (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        event_type TEXT NOT NULL, -- deployment.<status>, game.created, game.finalized, test, baseline
+        deployment_id INTEGER,
+        game_address TEXT,
+        status TEXT, -- Deployment status the event reports
+        payload TEXT NOT NULL, -- JSON
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (deployment_id) REFERENCES deployed_contracts(id) ON DELETE CASCADE
+      )`,
+      `CREATE TABLE webhook_deliveries (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        event_id INTEGER NOT NULL,
+        sink TEXT NOT NULL,
+        url TEXT NOT NULL,
+        format TEXT NOT NULL, -- json, slack, discord
+        status TEXT NOT NULL DEFAULT 'PENDING', -- PENDING, DELIVERED, FAILED
+        attempts INTEGER NOT NULL DEFAULT 0,
+        response_status INTEGER,
+        error TEXT,
+        next_attempt_at DATETIME,
+        delivered_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (event_id) REFERENCES notification_events(id) ON DELETE CASCADE
+      )`,
+    ],
+    mysql: [
+      `CREATE TABLE notification_events (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        event_type VARCHAR(64) NOT NULL, -- deployment.<status>, game.created, game.finalized, test, baseline
+        deployment_id INT,
+        game_address VARCHAR(42),
+        status VARCHAR(50), -- Deployment status the event reports
+        payload TEXT NOT NULL, -- JSON
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (deployment_id) REFERENCES deployed_contracts(id) ON DELETE CASCADE
+      )`,
+      `CREATE TABLE webhook_deliveries (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        event_id INT NOT NULL,
+        sink VARCHAR(255) NOT NULL,
+        url TEXT NOT NULL,
+        format VARCHAR(16) NOT NULL, -- json, slack, discord
+        status VARCHAR(16) NOT NULL DEFAULT 'PENDING', -- PENDING, DELIVERED, FAILED
+        attempts INT NOT NULL DEFAULT 0,
+        response_status INT,
+        error TEXT,
+        next_attempt_at DATETIME,
+        delivered_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (event_id) REFERENCES notification_events(id) ON DELETE CASCADE
+      )`,
+    ],
+  },
+  down: {
+    sqlite: [
+      "DROP TABLE webhook_deliveries",
+      "DROP TABLE notification_events",
+    ],
+    mysql: [
+      "DROP TABLE webhook_deliveries",
+      "DROP TABLE notification_events",
+    ],
+  },
+};
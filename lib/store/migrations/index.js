@@ -0,0 +1,27 @@
+// lib/store/migrations/index.js
+
+const fs = require("fs");
+
+// Every NNN_name.js in this directory, in version order. Each migration holds
+// up/down statement lists per dialect ("sqlite", "mysql").
+function loadMigrations() {
+  const migrations = fs
+    .readdirSync(__dirname)
+    .filter((file) => /^\d+_\w+\.js$/.test(file))
+    .sort()
+    .map((file) => require(`./${file}`));
+
+  migrations.forEach((migration, i) => {
+    if (migration.version !== i + 1) {
+      throw new Error(
+        `Migration versions must be consecutive: expected ${i + 1}, found ${migration.version} (${migration.name}).`
+      );
+    }
+  });
+  return migrations;
+}
+
+const MIGRATIONS = loadMigrations();
+const LATEST_VERSION = MIGRATIONS.length;
+
+module.exports = { MIGRATIONS, LATEST_VERSION };
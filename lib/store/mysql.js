@@ -0,0 +1,76 @@
+// lib/store/mysql.js
+
+const { SqlStore } = require("./sql_store");
+
+class MysqlStore extends SqlStore {
+  constructor({ host, port, user, password, database }) {
+    super();
+    this.dialect = "mysql";
+    this.transactionalDdl = false; // DDL commits implicitly in MariaDB/MySQL
+    // Timestamps are written as UTC strings (sqlTimestamp); read DATETIME
+    // columns back as UTC too, whatever the host's zone
+    this.connectionConfig = {
+      host,
+      port,
+      user,
+      password,
+      database,
+      timezone: "Z",
+    };
+    this.connection = null;
+  }
+
+  async open() {
+    // Required lazily so the SQLite backend works without mysql2 installed
+    const mysql = require("mysql2/promise");
+    console.log("Attempting to connect to MariaDB...");
+    this.connection = await mysql.createConnection(this.connectionConfig);
+    // ... and CURRENT_TIMESTAMP defaults in UTC, like SQLite's
+    await this.connection.query("SET time_zone = '+00:00'");
+    console.log("Connected to the MariaDB database.");
+  }
+
+  insertIgnoreSql() {
+    return "IGNORE";
+  }
+
+  async tableExists(table) {
+    return Boolean(
+      await this.get(
+        `SELECT table_name FROM information_schema.tables WHERE table_schema = DATABASE() AND table_name = ?`,
+        [table]
+      )
+    );
+  }
+
+  async run(sql, params = []) {
+    // mysql2 rejects undefined bind values, SQL NULL is what we mean
+    const [result] = await this.connection.execute(
+      sql,
+      params.map((value) => (value === undefined ? null : value))
+    );
+    return { lastId: result.insertId, changes: result.affectedRows };
+  }
+
+  async get(sql, params = []) {
+    const rows = await this.all(sql, params);
+    return rows[0];
+  }
+
+  async all(sql, params = []) {
+    const [rows] = await this.connection.execute(
+      sql,
+      params.map((value) => (value === undefined ? null : value))
+    );
+    return rows;
+  }
+
+  async close() {
+    if (!this.connection) return;
+    await this.connection.end();
+    this.connection = null;
+    console.log("MariaDB connection closed.");
+  }
+}
+
+module.exports = { MysqlStore };
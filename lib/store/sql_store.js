@@ -0,0 +1,718 @@
+// lib/store/sql_store.js
+
+const { MIGRATIONS, LATEST_VERSION } = require("./migrations");
+
+// Shared query logic for the SQL-backed stores. Subclasses only provide the
+// connection, a few dialect hooks and the three primitives run/get/all, so every
+// query the deployer issues is written once for SQLite and MariaDB/MySQL alike.
+// The schema itself lives in ./migrations, with SQL per dialect.
+
+// camelCase field name -> deployed_contracts column
+const DEPLOYMENT_COLUMNS = {
+  contractName: "contract_name",
+  address: "address",
+  abi: "abi",
+  bytecode: "bytecode",
+  runtimeBytecode: "runtime_bytecode", // deployedBytecode from the compiler
+  constructorArgs: "constructor_args", // ABI-encoded hex
+  deployedAt: "deployed_at",
+  status: "status",
+  chainId: "chain_id",
+  networkName: "network_name",
+  compilerVersion: "compiler_version",
+  compilerSettings: "compiler_settings", // JSON solc settings used for the build
+  blockNumber: "block_number",
+  txHash: "tx_hash",
+  nonce: "nonce",
+  sender: "sender",
+  signerType: "signer_type", // private-key, keystore, mnemonic or rpc
+  signerAddress: "signer_address",
+  compilerInput: "compiler_input", // JSON standard-JSON input, as sent to solc
+  qualifiedName: "qualified_name", // "ForecastGame.sol:ForecastGameFactory"
+  verificationStatus: "verification_status", // SUBMITTED, VERIFIED or FAILED
+  verificationGuid: "verification_guid", // Explorer's submission ID
+  verificationMessage: "verification_message", // Explorer's last answer
+  verifiedAt: "verified_at",
+  version: "version", // Semantic version within contract name + chain
+  sourceHash: "source_hash", // sourceHash() of the compiler input's sources
+  lifecycle: "lifecycle", // CURRENT, DEPRECATED, or null
+  lifecycleChangedAt: "lifecycle_changed_at",
+};
+
+// camelCase field name -> deployment_logs column
+const LOG_COLUMNS = {
+  deploymentId: "deployment_id",
+  timestamp: "timestamp",
+  level: "log_level",
+  message: "message",
+  details: "details", // JSON structured fields (step, txHash, gas, durationMs, ...)
+};
+
+// camelCase field name -> deployment_transactions column
+const DEPLOYMENT_TX_COLUMNS = {
+  deploymentId: "deployment_id",
+  kind: "kind", // ORIGINAL, SPEED_UP or CANCEL
+  txHash: "tx_hash",
+  nonce: "nonce",
+  maxFeePerGas: "max_fee_per_gas", // wei, as decimal strings
+  maxPriorityFeePerGas: "max_priority_fee_per_gas",
+  gasPrice: "gas_price",
+  gasLimit: "gas_limit",
+  status: "status", // SENT, MINED or REPLACED
+};
+
+// camelCase field name -> games column
+const GAME_COLUMNS = {
+  deploymentId: "deployment_id",
+  gameId: "game_id",
+  address: "address",
+  creator: "creator",
+  question: "question",
+  options: "options",
+  odds: "odds",
+  fundingWei: "funding_wei",
+  feeWei: "fee_wei",
+  txHash: "tx_hash",
+  blockNumber: "block_number",
+};
+
+// camelCase field name -> audit_log column
+const AUDIT_COLUMNS = {
+  action: "action", // e.g. finalize
+  chainId: "chain_id",
+  contractAddress: "contract_address",
+  actor: "actor", // Address that signed the transaction
+  details: "details", // JSON
+  status: "status", // PENDING, SUCCEEDED, FAILED
+  txHash: "tx_hash",
+  error: "error",
+  completedAt: "completed_at",
+};
+
+// camelCase field name -> manifest_runs column
+const MANIFEST_RUN_COLUMNS = {
+  name: "name", // The manifest's `name`
+  filePath: "file_path",
+  chainId: "chain_id",
+  networkName: "network_name",
+  status: "status", // RUNNING, FAILED, COMPLETED
+  completedAt: "completed_at",
+};
+
+// camelCase field name -> manifest_steps column
+const MANIFEST_STEP_COLUMNS = {
+  runId: "run_id",
+  position: "position", // 0-based order in the manifest
+  stepId: "step_id", // The step's `id`, the name references use
+  action: "action", // deploy, update-owner or create-game
+  definition: "definition", // JSON
+  params: "params", // JSON
+  status: "status", // PENDING, RUNNING, SUCCEEDED, FAILED
+  deploymentId: "deployment_id", // deployed_contracts row of a deploy step
+  txHash: "tx_hash",
+  outputs: "outputs", // JSON, what later steps can reference
+  error: "error",
+  startedAt: "started_at",
+  completedAt: "completed_at",
+};
+
+// camelCase field name -> notification_events column
+const NOTIFICATION_EVENT_COLUMNS = {
+  eventType: "event_type", // deployment.<status>, game.created, game.finalized, baseline, test
+  deploymentId: "deployment_id",
+  gameAddress: "game_address",
+  status: "status", // Deployment status the event reports
+  payload: "payload", // JSON
+};
+
+// camelCase field name -> webhook_deliveries column
+const WEBHOOK_DELIVERY_COLUMNS = {
+  eventId: "event_id",
+  sink: "sink", // The sink's name in WEBHOOKS_FILE
+  url: "url",
+  format: "format", // json, slack, discord
+  status: "status", // PENDING, DELIVERED, FAILED
+  attempts: "attempts",
+  responseStatus: "response_status", // HTTP status of the last attempt
+  error: "error",
+  nextAttemptAt: "next_attempt_at",
+  deliveredAt: "delivered_at",
+};
+
+// Columns shared by every indexed event table; (tx_hash, log_index) is unique
+const EVENT_COLUMNS = {
+  deploymentId: "deployment_id",
+  gameAddress: "game_address",
+  blockNumber: "block_number",
+  txHash: "tx_hash",
+  logIndex: "log_index",
+};
+
+// Indexed contract events, one table per event type
+const EVENT_TABLES = {
+  game_bets: {
+    ...EVENT_COLUMNS,
+    player: "player",
+    optionIndex: "option_index",
+    amountWei: "amount_wei",
+  },
+  game_finalizations: { ...EVENT_COLUMNS, finalOption: "final_option" },
+  game_claims: { ...EVENT_COLUMNS, player: "player", amountWei: "amount_wei" },
+  game_fundings: { ...EVENT_COLUMNS, amountWei: "amount_wei" },
+};
+
+// DATETIME literal understood by both SQLite and MariaDB ('YYYY-MM-DD HH:MM:SS', UTC)
+function sqlTimestamp(date = new Date()) {
+  return date.toISOString().slice(0, 19).replace("T", " ");
+}
+
+function toColumns(fields, columnMap) {
+  const columns = [];
+  const values = [];
+  for (const [key, value] of Object.entries(fields)) {
+    const column = columnMap[key];
+    if (!column) {
+      throw new Error(`Unknown field "${key}".`);
+    }
+    if (value === undefined) continue;
+    columns.push(column);
+    values.push(value instanceof Date ? sqlTimestamp(value) : value);
+  }
+  return { columns, values };
+}
+
+function whereClause(filter, columnMap) {
+  const { columns, values } = toColumns(filter, columnMap);
+  const sql = columns.length
+    ? ` WHERE ${columns.map((column) => `${column} = ?`).join(" AND ")}`
+    : "";
+  return { sql, values };
+}
+
+class SqlStore {
+  // --- Primitives implemented by each dialect ---
+  async open() {
+    throw new Error(`${this.constructor.name} must implement open().`);
+  }
+
+  // Resolves to { lastId, changes }
+  async run() {
+    throw new Error(`${this.constructor.name} must implement run().`);
+  }
+
+  async get() {
+    throw new Error(`${this.constructor.name} must implement get().`);
+  }
+
+  async all() {
+    throw new Error(`${this.constructor.name} must implement all().`);
+  }
+
+  async close() {}
+
+  // Keyword turning INSERT into "skip rows that violate a unique key"
+  insertIgnoreSql() {
+    throw new Error(`${this.constructor.name} must implement insertIgnoreSql().`);
+  }
+
+  async tableExists() {
+    throw new Error(`${this.constructor.name} must implement tableExists().`);
+  }
+
+  // --- Schema ---
+  // Opens the connection and refuses to go on unless every migration is applied
+  async init() {
+    await this.open();
+    const version = await this.schemaVersion();
+    if (version < LATEST_VERSION) {
+      await this.close();
+      throw new Error(
+        `Database schema is at version ${version} but version ${LATEST_VERSION} is required. Run "node forecast_deployer.js migrate up" first.`
+      );
+    }
+    if (version > LATEST_VERSION) {
+      await this.close();
+      throw new Error(
+        `Database schema is at version ${version}, newer than this tool (version ${LATEST_VERSION}). Update the tool before using this database.`
+      );
+    }
+  }
+
+  // --- Migrations ---
+  async ensureMigrationsTable() {
+    if (await this.tableExists("schema_migrations")) return;
+    await this.run(
+      `CREATE TABLE schema_migrations (
+        version INT PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        applied_at DATETIME
+      )`
+    );
+    // Databases created by the original deployers have the initial tables but
+    // no migration history: adopt them at version 1 instead of failing
+    if (await this.tableExists("deployed_contracts")) {
+      await this.recordMigration(MIGRATIONS[0]);
+      console.log("Existing schema adopted as migration 1 (initial).");
+    }
+  }
+
+  async recordMigration(migration) {
+    await this.run(
+      `INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)`,
+      [migration.version, migration.name, sqlTimestamp()]
+    );
+  }
+
+  async schemaVersion() {
+    if (!(await this.tableExists("schema_migrations"))) {
+      return (await this.tableExists("deployed_contracts")) ? 1 : 0;
+    }
+    const row = await this.get(
+      `SELECT MAX(version) AS version FROM schema_migrations`
+    );
+    return row && row.version !== null ? Number(row.version) : 0;
+  }
+
+  // [{ version, name, appliedAt }] for every known migration, applied or not
+  async migrationStatus() {
+    await this.ensureMigrationsTable();
+    const applied = await this.all(`SELECT * FROM schema_migrations`);
+    return MIGRATIONS.map(({ version, name }) => {
+      const row = applied.find((other) => Number(other.version) === version);
+      return { version, name, appliedAt: row ? row.applied_at : null };
+    });
+  }
+
+  async applyMigration(migration, direction) {
+    const statements = migration[direction][this.dialect];
+    if (this.transactionalDdl) await this.run("BEGIN");
+    try {
+      for (const sql of statements) await this.run(sql);
+      if (direction === "up") {
+        await this.recordMigration(migration);
+      } else {
+        await this.run(`DELETE FROM schema_migrations WHERE version = ?`, [
+          migration.version,
+        ]);
+      }
+      if (this.transactionalDdl) await this.run("COMMIT");
+    } catch (error) {
+      if (this.transactionalDdl) await this.run("ROLLBACK");
+      throw new Error(
+        `Migration ${migration.version} (${migration.name}) ${direction} failed: ${error.message}`
+      );
+    }
+    console.log(
+      `Migration ${migration.version} (${migration.name}) ${
+        direction === "up" ? "applied" : "reverted"
+      }.`
+    );
+  }
+
+  // Applies pending migrations up to `target` (default: latest); returns the new version
+  async migrateUp(target = LATEST_VERSION) {
+    await this.ensureMigrationsTable();
+    let version = await this.schemaVersion();
+    for (const migration of MIGRATIONS) {
+      if (migration.version <= version || migration.version > target) continue;
+      await this.applyMigration(migration, "up");
+      version = migration.version;
+    }
+    return version;
+  }
+
+  // Reverts applied migrations down to `target` (default: one step back)
+  async migrateDown(target) {
+    await this.ensureMigrationsTable();
+    let version = await this.schemaVersion();
+    if (target === undefined) target = Math.max(version - 1, 0);
+    for (const migration of [...MIGRATIONS].reverse()) {
+      if (migration.version > version || migration.version <= target) continue;
+      await this.applyMigration(migration, "down");
+      version = migration.version - 1;
+    }
+    return version;
+  }
+
+  // --- Generic helpers ---
+  // With `ignoreDuplicates`, a row clashing with a unique key is skipped and
+  // the result is null instead of the new ID.
+  async insertInto(table, columnMap, fields, { ignoreDuplicates = false } = {}) {
+    const { columns, values } = toColumns(fields, columnMap);
+    const verb = ignoreDuplicates ? `INSERT ${this.insertIgnoreSql()}` : "INSERT";
+    const { lastId, changes } = await this.run(
+      `${verb} INTO ${table} (${columns.join(", ")}) VALUES (${columns
+        .map(() => "?")
+        .join(", ")})`,
+      values
+    );
+    return changes ? lastId : null;
+  }
+
+  async updateById(table, columnMap, id, fields) {
+    const { columns, values } = toColumns(fields, columnMap);
+    if (columns.length === 0) return;
+    await this.run(
+      `UPDATE ${table} SET ${columns
+        .map((column) => `${column} = ?`)
+        .join(", ")} WHERE id = ?`,
+      [...values, id]
+    );
+  }
+
+  // Rows matching every field in `filter` (undefined fields are ignored),
+  // newest first unless `oldestFirst`
+  async selectWhere(
+    table,
+    columnMap,
+    filter = {},
+    { limit = null, offset = 0, oldestFirst = false } = {}
+  ) {
+    const { sql, values } = whereClause(filter, columnMap);
+    // LIMIT is inlined: MariaDB prepared statements reject it as a bound parameter
+    const limitClause = limit
+      ? ` LIMIT ${parseInt(limit)} OFFSET ${parseInt(offset)}`
+      : "";
+    return this.all(
+      `SELECT * FROM ${table}${sql} ORDER BY id ${
+        oldestFirst ? "ASC" : "DESC"
+      }${limitClause}`,
+      values
+    );
+  }
+
+  async countWhere(table, columnMap, filter = {}) {
+    const { sql, values } = whereClause(filter, columnMap);
+    const row = await this.get(
+      `SELECT COUNT(*) AS total FROM ${table}${sql}`,
+      values
+    );
+    return Number(row.total);
+  }
+
+  // --- deployed_contracts ---
+  async createDeployment(fields) {
+    return this.insertInto("deployed_contracts", DEPLOYMENT_COLUMNS, {
+      status: "PENDING",
+      ...fields,
+    });
+  }
+
+  async updateDeployment(id, fields) {
+    await this.updateById("deployed_contracts", DEPLOYMENT_COLUMNS, id, fields);
+  }
+
+  async getDeployment(id) {
+    return (
+      (await this.get(`SELECT * FROM deployed_contracts WHERE id = ?`, [id])) ||
+      null
+    );
+  }
+
+  // Most recent deployment matching `filter`, e.g. { contractName, chainId, status }
+  async findDeployment(filter) {
+    const [row] = await this.selectWhere(
+      "deployed_contracts",
+      DEPLOYMENT_COLUMNS,
+      filter,
+      { limit: 1 }
+    );
+    return row || null;
+  }
+
+  // All deployments matching `filter`, oldest first
+  async listDeployments(filter) {
+    const rows = await this.selectWhere(
+      "deployed_contracts",
+      DEPLOYMENT_COLUMNS,
+      filter
+    );
+    return rows.reverse();
+  }
+
+  // One page of deployments matching `filter`, newest first, and the total count
+  async pageDeployments(filter, page) {
+    return {
+      rows: await this.selectWhere(
+        "deployed_contracts",
+        DEPLOYMENT_COLUMNS,
+        filter,
+        page
+      ),
+      total: await this.countWhere(
+        "deployed_contracts",
+        DEPLOYMENT_COLUMNS,
+        filter
+      ),
+    };
+  }
+
+  // --- deployment_logs ---
+  // `timestamp` defaults to now; `details` is a JSON string or null
+  async insertLog(deploymentId, level, message, { details, timestamp } = {}) {
+    await this.insertInto("deployment_logs", LOG_COLUMNS, {
+      deploymentId,
+      level,
+      message,
+      details,
+      timestamp,
+    });
+  }
+
+  async listLogs(deploymentId) {
+    return this.selectWhere(
+      "deployment_logs",
+      LOG_COLUMNS,
+      { deploymentId },
+      { oldestFirst: true }
+    );
+  }
+
+  // One page of a deployment's logs, oldest first, and the total count
+  async pageLogs(deploymentId, page) {
+    const filter = { deploymentId };
+    return {
+      rows: await this.selectWhere("deployment_logs", LOG_COLUMNS, filter, {
+        ...page,
+        oldestFirst: true,
+      }),
+      total: await this.countWhere("deployment_logs", LOG_COLUMNS, filter),
+    };
+  }
+
+  // --- deployment_transactions ---
+  async insertDeploymentTx(fields) {
+    return this.insertInto("deployment_transactions", DEPLOYMENT_TX_COLUMNS, {
+      status: "SENT",
+      ...fields,
+    });
+  }
+
+  async updateDeploymentTx(id, fields) {
+    await this.updateById(
+      "deployment_transactions",
+      DEPLOYMENT_TX_COLUMNS,
+      id,
+      fields
+    );
+  }
+
+  // Transactions sent for a deployment, in the order they were broadcast
+  async listDeploymentTxs(deploymentId) {
+    return this.selectWhere(
+      "deployment_transactions",
+      DEPLOYMENT_TX_COLUMNS,
+      { deploymentId },
+      { oldestFirst: true }
+    );
+  }
+
+  // --- games ---
+  async insertGame(fields) {
+    return this.insertInto("games", GAME_COLUMNS, fields);
+  }
+
+  // Used by the indexer: games already recorded (e.g. by create-game) are kept as they are
+  async insertGameIfMissing(fields) {
+    return this.insertInto("games", GAME_COLUMNS, fields, {
+      ignoreDuplicates: true,
+    });
+  }
+
+  async findGames(filter) {
+    return this.selectWhere("games", GAME_COLUMNS, filter);
+  }
+
+  async updateGame(id, fields) {
+    await this.updateById("games", GAME_COLUMNS, id, fields);
+  }
+
+  // Used by the indexer for games a reorg removed from the chain
+  async deleteGame(id) {
+    await this.run("DELETE FROM games WHERE id = ?", [id]);
+  }
+
+  async pageGames(filter, page) {
+    return {
+      rows: await this.selectWhere("games", GAME_COLUMNS, filter, page),
+      total: await this.countWhere("games", GAME_COLUMNS, filter),
+    };
+  }
+
+  // --- Indexed events ---
+  // Idempotent: re-indexing the same log (same tx hash and log index) is a no-op
+  async insertEvent(table, fields) {
+    if (!EVENT_TABLES[table]) throw new Error(`Unknown event table "${table}".`);
+    return this.insertInto(table, EVENT_TABLES[table], fields, {
+      ignoreDuplicates: true,
+    });
+  }
+
+  async findEvents(table, filter) {
+    if (!EVENT_TABLES[table]) throw new Error(`Unknown event table "${table}".`);
+    return this.selectWhere(table, EVENT_TABLES[table], filter);
+  }
+
+  // Drops indexed events of a factory from `fromBlock` on, after a reorg
+  async deleteEventsFrom(deploymentId, fromBlock) {
+    for (const table of Object.keys(EVENT_TABLES)) {
+      await this.run(
+        `DELETE FROM ${table} WHERE deployment_id = ? AND block_number >= ?`,
+        [deploymentId, fromBlock]
+      );
+    }
+  }
+
+  // --- audit_log ---
+  async insertAudit(fields) {
+    return this.insertInto("audit_log", AUDIT_COLUMNS, {
+      status: "PENDING",
+      ...fields,
+    });
+  }
+
+  async updateAudit(id, fields) {
+    await this.updateById("audit_log", AUDIT_COLUMNS, id, fields);
+  }
+
+  async findAudit(filter) {
+    return this.selectWhere("audit_log", AUDIT_COLUMNS, filter);
+  }
+
+  // --- manifest_runs / manifest_steps ---
+  async insertManifestRun(fields) {
+    return this.insertInto("manifest_runs", MANIFEST_RUN_COLUMNS, {
+      status: "RUNNING",
+      ...fields,
+    });
+  }
+
+  async updateManifestRun(id, fields) {
+    await this.updateById("manifest_runs", MANIFEST_RUN_COLUMNS, id, fields);
+  }
+
+  async getManifestRun(id) {
+    return (
+      (await this.get(`SELECT * FROM manifest_runs WHERE id = ?`, [id])) || null
+    );
+  }
+
+  // Newest first
+  async findManifestRuns(filter) {
+    return this.selectWhere("manifest_runs", MANIFEST_RUN_COLUMNS, filter);
+  }
+
+  async insertManifestStep(fields) {
+    return this.insertInto("manifest_steps", MANIFEST_STEP_COLUMNS, {
+      status: "PENDING",
+      ...fields,
+    });
+  }
+
+  async updateManifestStep(id, fields) {
+    await this.updateById("manifest_steps", MANIFEST_STEP_COLUMNS, id, fields);
+  }
+
+  // A run's steps in manifest order
+  async listManifestSteps(runId) {
+    return this.selectWhere(
+      "manifest_steps",
+      MANIFEST_STEP_COLUMNS,
+      { runId },
+      { oldestFirst: true }
+    );
+  }
+
+  // --- notification_events / webhook_deliveries ---
+  async insertNotificationEvent(fields) {
+    return this.insertInto(
+      "notification_events",
+      NOTIFICATION_EVENT_COLUMNS,
+      fields
+    );
+  }
+
+  // Oldest first
+  async listNotificationEvents(filter) {
+    return this.selectWhere(
+      "notification_events",
+      NOTIFICATION_EVENT_COLUMNS,
+      filter,
+      { oldestFirst: true }
+    );
+  }
+
+  async getNotificationEvent(id) {
+    return (
+      (await this.get(`SELECT * FROM notification_events WHERE id = ?`, [
+        id,
+      ])) || null
+    );
+  }
+
+  async insertWebhookDelivery(fields) {
+    return this.insertInto("webhook_deliveries", WEBHOOK_DELIVERY_COLUMNS, {
+      status: "PENDING",
+      attempts: 0,
+      ...fields,
+    });
+  }
+
+  async updateWebhookDelivery(id, fields) {
+    await this.updateById(
+      "webhook_deliveries",
+      WEBHOOK_DELIVERY_COLUMNS,
+      id,
+      fields
+    );
+  }
+
+  // Oldest first
+  async listWebhookDeliveries(filter) {
+    return this.selectWhere(
+      "webhook_deliveries",
+      WEBHOOK_DELIVERY_COLUMNS,
+      filter,
+      { oldestFirst: true }
+    );
+  }
+
+  // --- indexer_cursors ---
+  async getCursor(deploymentId) {
+    return (
+      (await this.get(`SELECT * FROM indexer_cursors WHERE deployment_id = ?`, [
+        deploymentId,
+      ])) || null
+    );
+  }
+
+  async saveCursor(deploymentId, lastBlock, lastBlockHash) {
+    const params = [lastBlock, lastBlockHash, sqlTimestamp(), deploymentId];
+    const { changes } = await this.run(
+      `UPDATE indexer_cursors SET last_block = ?, last_block_hash = ?, updated_at = ? WHERE deployment_id = ?`,
+      params
+    );
+    if (!changes) {
+      await this.run(
+        `INSERT INTO indexer_cursors (last_block, last_block_hash, updated_at, deployment_id) VALUES (?, ?, ?, ?)`,
+        params
+      );
+    }
+  }
+}
+
+module.exports = {
+  SqlStore,
+  DEPLOYMENT_COLUMNS,
+  LOG_COLUMNS,
+  DEPLOYMENT_TX_COLUMNS,
+  GAME_COLUMNS,
+  AUDIT_COLUMNS,
+  MANIFEST_RUN_COLUMNS,
+  MANIFEST_STEP_COLUMNS,
+  NOTIFICATION_EVENT_COLUMNS,
+  WEBHOOK_DELIVERY_COLUMNS,
+  EVENT_TABLES,
+  sqlTimestamp,
+  toColumns,
+};
@@ -0,0 +1,86 @@
+// lib/store/sqlite.js
+
+const { SqlStore } = require("./sql_store");
+
+class SqliteStore extends SqlStore {
+  constructor({ filePath }) {
+    super();
+    this.dialect = "sqlite";
+    this.transactionalDdl = true;
+    this.filePath = filePath;
+    this.db = null;
+  }
+
+  open() {
+    // Required lazily so the MariaDB backend works without sqlite3 installed
+    const sqlite3 = require("sqlite3").verbose();
+    return new Promise((resolve, reject) => {
+      this.db = new sqlite3.Database(this.filePath, (err) => {
+        if (err) {
+          console.error("Error opening database:", err.message);
+          reject(err);
+          return;
+        }
+        console.log("Connected to the SQLite database.");
+        // SQLite ignores FOREIGN KEY clauses (and ON DELETE CASCADE) unless enabled per connection
+        this.db.run("PRAGMA foreign_keys = ON", (pragmaErr) =>
+          pragmaErr ? reject(pragmaErr) : resolve()
+        );
+      });
+    });
+  }
+
+  insertIgnoreSql() {
+    return "OR IGNORE";
+  }
+
+  async tableExists(table) {
+    return Boolean(
+      await this.get(
+        `SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?`,
+        [table]
+      )
+    );
+  }
+
+  run(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.run(sql, params, function (err) {
+        if (err) reject(err);
+        else resolve({ lastId: this.lastID, changes: this.changes });
+      });
+    });
+  }
+
+  get(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
+    });
+  }
+
+  all(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.all(sql, params, (err, rows) =>
+        err ? reject(err) : resolve(rows)
+      );
+    });
+  }
+
+  close() {
+    if (!this.db) return Promise.resolve();
+    return new Promise((resolve, reject) => {
+      this.db.close((err) => {
+        if (err) {
+          console.error("Error closing database:", err.message);
+          reject(err);
+          return;
+        }
+        this.db = null;
+        console.log("Database connection closed.");
+        resolve();
+      });
+    });
+  }
+}
+
+module.exports = { SqliteStore };
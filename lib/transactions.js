@@ -0,0 +1,362 @@
+// lib/transactions.js
+
+const { ethers } = require("ethers");
+const { sleep } = require("./util");
+
+const STUCK_TX_ACTIONS = ["none", "speed-up", "cancel"];
+const MIN_BUMP_PERCENT = 10; // Nodes reject replacements offering less (geth's price bump)
+const TRANSFER_GAS = 21000n;
+
+function parseGwei(value, name, { allowZero = false } = {}) {
+  if (value === undefined || value === "") return null;
+  let wei;
+  try {
+    wei = ethers.parseUnits(String(value), "gwei");
+  } catch (error) {
+    wei = -1n;
+  }
+  if (wei < 0n || (wei === 0n && !allowZero)) {
+    throw new Error(`${name} must be a positive amount of gwei.`);
+  }
+  return wei;
+}
+
+function formatGwei(wei) {
+  return `${ethers.formatUnits(wei, "gwei")} gwei`;
+}
+
+function maxOf(a, b) {
+  return a > b ? a : b;
+}
+
+function minOf(a, b) {
+  return a < b ? a : b;
+}
+
+// value * percent / 100, rounded up so a bump never falls short of the minimum
+function scale(value, percent) {
+  return (value * percent + 99n) / 100n;
+}
+
+// --- Fee Policy ---
+// config.fees, validated, with wei amounts as bigints
+function feePolicy(feesConfig) {
+  const {
+    multiplier,
+    confirmationTimeoutSeconds,
+    onTimeout,
+    bumpPercent,
+    maxReplacements,
+    pollIntervalMs,
+  } = feesConfig;
+  if (!(multiplier > 0)) {
+    throw new Error("FEE_MULTIPLIER must be a positive number.");
+  }
+  if (
+    !Number.isInteger(confirmationTimeoutSeconds) ||
+    confirmationTimeoutSeconds < 0
+  ) {
+    throw new Error(
+      "CONFIRMATION_TIMEOUT_SECONDS must be a non-negative integer."
+    );
+  }
+  if (!STUCK_TX_ACTIONS.includes(onTimeout)) {
+    throw new Error(
+      `STUCK_TX_ACTION must be one of: ${STUCK_TX_ACTIONS.join(", ")}.`
+    );
+  }
+  if (!Number.isInteger(bumpPercent) || bumpPercent < MIN_BUMP_PERCENT) {
+    throw new Error(
+      `FEE_BUMP_PERCENT must be an integer of at least ${MIN_BUMP_PERCENT}.`
+    );
+  }
+  if (!Number.isInteger(maxReplacements) || maxReplacements < 0) {
+    throw new Error("MAX_REPLACEMENTS must be a non-negative integer.");
+  }
+  if (!Number.isInteger(pollIntervalMs) || pollIntervalMs < 1) {
+    throw new Error("TX_POLL_INTERVAL_MS must be a positive integer.");
+  }
+  return {
+    multiplierPercent: BigInt(Math.round(multiplier * 100)),
+    maxFee: parseGwei(feesConfig.maxFeeGwei, "MAX_FEE_GWEI"),
+    priorityFee: parseGwei(feesConfig.priorityFeeGwei, "PRIORITY_FEE_GWEI", {
+      allowZero: true,
+    }),
+    timeoutMs: confirmationTimeoutSeconds * 1000,
+    onTimeout,
+    bumpPercent: BigInt(bumpPercent),
+    maxReplacements,
+    pollIntervalMs,
+  };
+}
+
+function capFees(fees, policy) {
+  if (policy.maxFee === null) return fees;
+  if (fees.type === 2) {
+    const maxFeePerGas = minOf(fees.maxFeePerGas, policy.maxFee);
+    return {
+      type: 2,
+      maxFeePerGas,
+      maxPriorityFeePerGas: minOf(fees.maxPriorityFeePerGas, maxFeePerGas),
+    };
+  }
+  return { type: 0, gasPrice: minOf(fees.gasPrice, policy.maxFee) };
+}
+
+// Transaction fee fields from the node's getFeeData() under the policy.
+// ethers suggests maxFeePerGas = 2 * baseFee + tip; the multiplier scales the
+// base fee part, PRIORITY_FEE_GWEI replaces the tip and MAX_FEE_GWEI caps both.
+// Chains without EIP-1559 get a legacy gasPrice scaled and capped the same way.
+async function resolveFees(provider, policy) {
+  const feeData = await provider.getFeeData();
+  if (feeData.maxFeePerGas !== null) {
+    const tip =
+      policy.priorityFee !== null
+        ? policy.priorityFee
+        : feeData.maxPriorityFeePerGas;
+    const baseFeeHeadroom = feeData.maxFeePerGas - feeData.maxPriorityFeePerGas;
+    return capFees(
+      {
+        type: 2,
+        maxFeePerGas: scale(baseFeeHeadroom, policy.multiplierPercent) + tip,
+        maxPriorityFeePerGas: tip,
+      },
+      policy
+    );
+  }
+  return capFees(
+    { type: 0, gasPrice: scale(feeData.gasPrice, policy.multiplierPercent) },
+    policy
+  );
+}
+
+// Fees for a transaction replacing one sent with `previous`: every field raised
+// by FEE_BUMP_PERCENT, or to the current network fees if those are higher.
+// Throws if MAX_FEE_GWEI leaves no room for the minimum bump nodes accept.
+function bumpFees(previous, current, policy) {
+  const bump = (value, currentValue) =>
+    maxOf(scale(value, 100n + policy.bumpPercent), currentValue || 0n);
+  const required = (value) => scale(value, 100n + BigInt(MIN_BUMP_PERCENT));
+
+  let fees;
+  let minimum;
+  if (previous.type === 2) {
+    const maxPriorityFeePerGas = bump(
+      previous.maxPriorityFeePerGas,
+      current.maxPriorityFeePerGas
+    );
+    fees = {
+      type: 2,
+      maxFeePerGas: maxOf(
+        bump(previous.maxFeePerGas, current.maxFeePerGas),
+        maxPriorityFeePerGas
+      ),
+      maxPriorityFeePerGas,
+    };
+    minimum = required(previous.maxFeePerGas);
+  } else {
+    fees = { type: 0, gasPrice: bump(previous.gasPrice, current.gasPrice) };
+    minimum = required(previous.gasPrice);
+  }
+  if (policy.maxFee !== null && policy.maxFee < minimum) {
+    throw new Error(
+      `A replacement must offer at least ${formatGwei(
+        minimum
+      )}, above the MAX_FEE_GWEI cap of ${formatGwei(policy.maxFee)}.`
+    );
+  }
+  fees = capFees(fees, policy);
+  if (
+    fees.type === 2 &&
+    fees.maxPriorityFeePerGas < required(previous.maxPriorityFeePerGas)
+  ) {
+    throw new Error(
+      `MAX_FEE_GWEI leaves no room to raise the priority fee above ${formatGwei(
+        previous.maxPriorityFeePerGas
+      )}.`
+    );
+  }
+  return fees;
+}
+
+function describeFees(fees) {
+  return fees.type === 2
+    ? `max fee ${formatGwei(fees.maxFeePerGas)}, priority fee ${formatGwei(
+        fees.maxPriorityFeePerGas
+      )}`
+    : `gas price ${formatGwei(fees.gasPrice)}`;
+}
+
+// Fees a deployment_transactions row was sent with
+function rowFees(row) {
+  return row.max_fee_per_gas !== null
+    ? {
+        type: 2,
+        maxFeePerGas: BigInt(row.max_fee_per_gas),
+        maxPriorityFeePerGas: BigInt(row.max_priority_fee_per_gas),
+      }
+    : { type: 0, gasPrice: BigInt(row.gas_price) };
+}
+
+// --- Transaction Tracking ---
+// Every transaction sent for a deployment gets a deployment_transactions row
+async function recordTransaction(store, deploymentId, kind, tx) {
+  const eip1559 = tx.maxFeePerGas !== null && tx.maxFeePerGas !== undefined;
+  return store.insertDeploymentTx({
+    deploymentId,
+    kind,
+    txHash: tx.hash,
+    nonce: tx.nonce,
+    maxFeePerGas: eip1559 ? tx.maxFeePerGas.toString() : undefined,
+    maxPriorityFeePerGas: eip1559
+      ? tx.maxPriorityFeePerGas.toString()
+      : undefined,
+    gasPrice: eip1559 ? undefined : tx.gasPrice.toString(),
+    gasLimit: tx.gasLimit.toString(),
+  });
+}
+
+// The first receipt among `rows` (deployment_transactions rows, or anything
+// with a tx_hash). They share a nonce, so at most one of them is ever mined.
+async function findReceipt(provider, rows) {
+  for (const row of rows) {
+    const receipt = await provider.getTransactionReceipt(row.tx_hash);
+    if (receipt) return { receipt, row };
+  }
+  return null;
+}
+
+// The mined transaction becomes MINED, the others that were in flight REPLACED
+async function markMined(store, rows, minedRow) {
+  for (const row of rows) {
+    const status = row.id === minedRow.id ? "MINED" : "REPLACED";
+    if (row.status !== status) {
+      await store.updateDeploymentTx(row.id, { status });
+    }
+  }
+}
+
+async function waitForReceipt(ctx, deadline) {
+  for (;;) {
+    const rows = await ctx.store.listDeploymentTxs(ctx.deploymentId);
+    const found = await findReceipt(ctx.provider, rows);
+    if (found) {
+      await markMined(ctx.store, rows, found.row);
+      return found;
+    }
+    const remaining = deadline - Date.now();
+    if (remaining <= 0) return null;
+    await sleep(Math.min(ctx.policy.pollIntervalMs, remaining));
+  }
+}
+
+// --- Replacements ---
+// Re-sends the deployment's nonce with bumped fees. A speed-up repeats the
+// latest transaction; a cancel is a 0-value transfer to the sender itself.
+// Once a cancel has been sent, later replacements speed up the cancel.
+// ctx: { store, provider, signer, logger, deploymentId, policy }
+async function sendReplacement(ctx, kind) {
+  const rows = await ctx.store.listDeploymentTxs(ctx.deploymentId);
+  const latest = rows[rows.length - 1];
+  if (!latest) {
+    throw new Error(
+      `Deployment ${ctx.deploymentId} has no recorded transaction to replace.`
+    );
+  }
+  const from = await ctx.signer.getAddress();
+
+  let request;
+  if (kind === "CANCEL" || latest.kind === "CANCEL") {
+    kind = "CANCEL";
+    request = { to: from, value: 0n, data: "0x", gasLimit: TRANSFER_GAS };
+  } else {
+    const pending = await ctx.provider.getTransaction(latest.tx_hash);
+    if (!pending) {
+      throw new Error(
+        `The node no longer knows transaction ${latest.tx_hash}, so it cannot be re-sent; cancel it instead.`
+      );
+    }
+    if (pending.from.toLowerCase() !== from.toLowerCase()) {
+      throw new Error(
+        `Transaction ${latest.tx_hash} was sent by ${pending.from}, not by the configured signer ${from}.`
+      );
+    }
+    request = {
+      to: pending.to,
+      value: pending.value,
+      data: pending.data,
+      gasLimit: pending.gasLimit,
+    };
+  }
+
+  const fees = bumpFees(
+    rowFees(latest),
+    await resolveFees(ctx.provider, ctx.policy),
+    ctx.policy
+  );
+  const tx = await ctx.signer.sendTransaction({
+    ...request,
+    ...fees,
+    nonce: Number(latest.nonce),
+  });
+  await recordTransaction(ctx.store, ctx.deploymentId, kind, tx);
+  await ctx.logger.info(
+    `${kind === "CANCEL" ? "Cancel" : "Speed-up"} transaction sent for nonce ${
+      tx.nonce
+    } (${describeFees(fees)}).`,
+    { txHash: tx.hash, replaces: latest.tx_hash, nonce: tx.nonce, ...fees }
+  );
+  return tx;
+}
+
+// --- Confirmation ---
+// Waits until one of the deployment's transactions is mined. Each time the
+// confirmation timeout passes, policy.onTimeout decides what happens: "speed-up"
+// and "cancel" send a replacement (at most policy.maxReplacements in total),
+// "none" stops waiting. Resolves to { receipt, kind }, or throws an error with
+// code CONFIRMATION_TIMEOUT while the transactions are still in flight.
+async function confirmTransactions(ctx) {
+  const { timeoutMs, onTimeout, maxReplacements } = ctx.policy;
+  let replacements =
+    (await ctx.store.listDeploymentTxs(ctx.deploymentId)).length - 1;
+  for (;;) {
+    const found = await waitForReceipt(
+      ctx,
+      timeoutMs ? Date.now() + timeoutMs : Infinity
+    );
+    if (found) return { receipt: found.receipt, kind: found.row.kind };
+
+    if (onTimeout === "none" || replacements >= maxReplacements) {
+      const error = new Error(
+        `Not confirmed within ${timeoutMs / 1000} s${
+          onTimeout === "none" ? "" : ` after ${replacements} replacement(s)`
+        }.`
+      );
+      error.code = "CONFIRMATION_TIMEOUT";
+      throw error;
+    }
+    await ctx.logger.warn(
+      `Not confirmed within ${timeoutMs / 1000} s; sending a ${onTimeout} replacement.`
+    );
+    try {
+      await sendReplacement(ctx, onTimeout === "cancel" ? "CANCEL" : "SPEED_UP");
+      replacements++;
+    } catch (error) {
+      // The nonce was mined while the replacement was being prepared
+      if (!ethers.isError(error, "NONCE_EXPIRED")) throw error;
+    }
+  }
+}
+
+module.exports = {
+  STUCK_TX_ACTIONS,
+  feePolicy,
+  resolveFees,
+  bumpFees,
+  describeFees,
+  recordTransaction,
+  findReceipt,
+  markMined,
+  sendReplacement,
+  confirmTransactions,
+};
@@ -0,0 +1,39 @@
+// lib/util.js
+
+const { ethers } = require("ethers");
+
+// Resolves after `ms`, or as soon as `signal` aborts
+function sleep(ms, signal) {
+  return new Promise((resolve) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      resolve();
+    };
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    if (signal) signal.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+// DATETIME columns come back as 'YYYY-MM-DD HH:MM:SS' (UTC) or a Date
+function parseTimestamp(value) {
+  if (value instanceof Date) return value;
+  return new Date(`${value.replace(" ", "T")}Z`);
+}
+
+// BigInt (gas, wei) is not JSON-serialisable; write it as a decimal string
+function jsonReplacer(key, value) {
+  return typeof value === "bigint" ? value.toString() : value;
+}
+
+function eth(wei) {
+  return `${ethers.formatEther(wei)} ETH`;
+}
+
+function sameAddress(a, b) {
+  return a.toLowerCase() === b.toLowerCase();
+}
+
+module.exports = { sleep, parseTimestamp, jsonReplacer, eth, sameAddress };
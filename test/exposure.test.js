@@ -0,0 +1,40 @@
+// test/exposure.test.js
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { largestBet, checkBet } = require("../lib/exposure");
+
+const game = { pool: 1000n, odds: [150, 200], oddAccumulate: [300n, 100n] };
+
+test("largestBet is the largest amount whose prize fits the headroom", () => {
+  // Prizes round down, so 467 wei at 150% pays 700
+  assert.equal(largestBet(700n, 150), 467n);
+  assert.ok((467n * 150n) / 100n <= 700n);
+  assert.ok((468n * 150n) / 100n > 700n);
+  assert.equal(largestBet(-1n, 150), 0n);
+  assert.equal(largestBet(700n, 0), null);
+});
+
+test("checkBet accepts a bet the pool covers", () => {
+  const result = checkBet(game, 1, 467n);
+  assert.equal(result.accepted, true);
+  assert.equal(result.prize, 700n);
+  assert.equal(result.topUp, 0n);
+});
+
+test("checkBet reports the fundPool top-up for a bet it rejects", () => {
+  const result = checkBet(game, 2, 400n);
+  assert.equal(result.accepted, false);
+  assert.equal(result.requiredPool, 1100n);
+  assert.equal(result.topUp, 100n);
+});
+
+test("checkBet rejects bets the contract would refuse outright", () => {
+  const closed = { ...game, gameActive: false };
+  assert.deepEqual(checkBet(closed, 3, 0n, { alreadyBet: true }).problems, [
+    "the game is not open for bets",
+    "option must be between 1 and 2",
+    "the player has already bet on this game",
+    "the bet must be more than 0",
+  ]);
+});
@@ -0,0 +1,119 @@
+// test/indexer.test.js
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { ethers } = require("ethers");
+const { MemoryStore } = require("../lib/store/memory");
+const { rewindOnReorg } = require("../lib/indexer");
+const { FORECAST_GAME_FACTORY_ABI } = require("../lib/abi");
+
+const FACTORY = ethers.getAddress(`0x${"fa".repeat(20)}`);
+const CREATOR = ethers.getAddress(`0x${"c0".repeat(20)}`);
+const OLD_GAME = ethers.getAddress(`0x${"01".repeat(20)}`);
+const KEPT_GAME = ethers.getAddress(`0x${"02".repeat(20)}`);
+const ORPHANED_GAME = ethers.getAddress(`0x${"03".repeat(20)}`);
+
+// A factory with games created in blocks 3, 5 and 6, indexed up to block 6
+async function indexedStore() {
+  const store = new MemoryStore();
+  await store.init();
+  const deploymentId = await store.createDeployment({
+    contractName: "ForecastGameFactory",
+    status: "DEPLOYED",
+    chainId: 31337,
+    address: FACTORY,
+  });
+  const games = [
+    [1, OLD_GAME, 3],
+    [2, KEPT_GAME, 5],
+    [3, ORPHANED_GAME, 6],
+  ];
+  for (const [gameId, address, blockNumber] of games) {
+    await store.insertGame({
+      deploymentId,
+      gameId,
+      address,
+      creator: CREATOR,
+      question: `Game ${gameId}?`,
+      txHash: `0x${String(gameId).repeat(64)}`,
+      blockNumber,
+    });
+    await store.insertEvent("game_fundings", {
+      deploymentId,
+      gameAddress: address,
+      blockNumber,
+      txHash: `0x${String(gameId).repeat(64)}`,
+      logIndex: 1,
+      amountWei: "1000",
+    });
+  }
+  await store.saveCursor(deploymentId, 6, "0xold6");
+  return { store, factoryRow: await store.getDeployment(deploymentId) };
+}
+
+// Block 6 was replaced; game 2's createGame was mined again in block 7, game
+// 3's was dropped
+function reorgedProvider() {
+  const iface = new ethers.Interface(FORECAST_GAME_FACTORY_ABI);
+  const created = iface.encodeEventLog("GameCreated", [
+    2,
+    KEPT_GAME,
+    CREATOR,
+    "Game 2?",
+  ]);
+  return {
+    async getBlock(number) {
+      return { number, hash: `0xnew${number}` };
+    },
+    async getTransactionReceipt(hash) {
+      if (hash !== `0x${"2".repeat(64)}`) return null;
+      return {
+        status: 1,
+        blockNumber: 7,
+        logs: [{ address: FACTORY, ...created }],
+      };
+    },
+  };
+}
+
+test("rewindOnReorg keeps the cursor while its block is canonical", async () => {
+  const { store, factoryRow } = await indexedStore();
+  const provider = {
+    async getBlock(number) {
+      return { number, hash: "0xold6" };
+    },
+  };
+  const ctx = { provider, store, factoryRow, startBlock: 2, options: {} };
+  const result = await rewindOnReorg(ctx, 6, "0xold6");
+  assert.deepEqual(result, { lastBlock: 6, lastHash: "0xold6" });
+  assert.equal((await store.findGames({})).length, 3);
+});
+
+test("rewindOnReorg drops events and orphaned games past the fork", async () => {
+  const { store, factoryRow } = await indexedStore();
+  const ctx = {
+    provider: reorgedProvider(),
+    store,
+    factoryRow,
+    startBlock: 2,
+    options: { confirmations: 1 },
+  };
+  const result = await rewindOnReorg(ctx, 6, "0xold6");
+
+  assert.deepEqual(result, { lastBlock: 4, lastHash: "0xnew4" });
+  const cursor = await store.getCursor(factoryRow.id);
+  assert.equal(Number(cursor.last_block), 4);
+  const fundings = await store.findEvents("game_fundings", {});
+  assert.deepEqual(
+    fundings.map((row) => row.game_address),
+    [OLD_GAME]
+  );
+  const games = await store.findGames({});
+  assert.deepEqual(
+    games.map((game) => [game.address, Number(game.block_number)]).sort(),
+    [
+      [OLD_GAME, 3],
+      [KEPT_GAME, 7],
+    ].sort()
+  );
+});
@@ -0,0 +1,97 @@
+// test/manifest.test.js
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { loadManifest, resolveReferences } = require("../lib/manifest");
+
+const OWNER = `0x${"ab".repeat(20)}`;
+const tempDirs = [];
+
+test.after(() => {
+  for (const dir of tempDirs) fs.rmSync(dir, { recursive: true, force: true });
+});
+
+// Writes a JSON manifest to a fresh temporary directory
+function writeManifest(manifest) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "manifest-test-"));
+  tempDirs.push(dir);
+  const filePath = path.join(dir, "manifest.json");
+  fs.writeFileSync(filePath, JSON.stringify(manifest));
+  return filePath;
+}
+
+test("resolveReferences keeps whole references as their raw value", () => {
+  const outputs = { factory: { address: OWNER, blockNumber: 42 } };
+  const resolved = resolveReferences(
+    {
+      factory: "${factory.address}",
+      fromBlock: "${factory.blockNumber}",
+      note: "deployed at ${factory.blockNumber} by ${factory.address}",
+      tags: ["${factory.blockNumber}", "plain"],
+    },
+    outputs
+  );
+  assert.deepEqual(resolved, {
+    factory: OWNER,
+    fromBlock: 42,
+    note: `deployed at 42 by ${OWNER}`,
+    tags: [42, "plain"],
+  });
+});
+
+test("loadManifest accepts references to earlier step outputs", () => {
+  const filePath = writeManifest({
+    name: " launch ",
+    steps: [
+      { id: "factory", action: "deploy" },
+      {
+        id: "handover",
+        action: "update-owner",
+        factory: "${factory.address}",
+        newOwner: OWNER,
+      },
+    ],
+  });
+  const manifest = loadManifest(filePath);
+  assert.equal(manifest.name, "launch");
+  assert.deepEqual(
+    manifest.steps.map((step) => step.id),
+    ["factory", "handover"]
+  );
+});
+
+test("loadManifest rejects references to later or unknown steps", () => {
+  const later = writeManifest({
+    name: "launch",
+    steps: [
+      {
+        id: "handover",
+        action: "update-owner",
+        factory: "${factory.address}",
+        newOwner: OWNER,
+      },
+      { id: "factory", action: "deploy" },
+    ],
+  });
+  assert.throws(() => loadManifest(later), /does not name an earlier step/);
+
+  const unknownOutput = writeManifest({
+    name: "launch",
+    steps: [
+      { id: "factory", action: "deploy" },
+      {
+        id: "handover",
+        action: "update-owner",
+        factory: "${factory.gameId}",
+        newOwner: OWNER,
+      },
+    ],
+  });
+  assert.throws(
+    () => loadManifest(unknownOutput),
+    /a deploy step has no "gameId"/
+  );
+});
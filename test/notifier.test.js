@@ -0,0 +1,62 @@
+// test/notifier.test.js
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { MemoryStore } = require("../lib/store/memory");
+const { collectEvents } = require("../lib/notifier");
+
+const SINKS = [
+  {
+    name: "ops",
+    url: "https://hooks.example.com/forecast",
+    format: "json",
+    events: ["*"],
+  },
+];
+
+async function eventTypes(store) {
+  const events = await store.listNotificationEvents({});
+  return events.map((row) => row.event_type);
+}
+
+test("collectEvents records existing history as the baseline", async (t) => {
+  t.mock.method(console, "log", () => {});
+  const store = new MemoryStore();
+  await store.init();
+  await store.createDeployment({
+    contractName: "ForecastGameFactory",
+    status: "DEPLOYED",
+  });
+
+  const events = await collectEvents(store, SINKS);
+  assert.equal(events.length, 1);
+  assert.deepEqual(await eventTypes(store), [
+    "deployment.deployed",
+    "baseline",
+  ]);
+  assert.equal((await store.listWebhookDeliveries({})).length, 0);
+});
+
+test("collectEvents sends the first change after an empty baseline", async (t) => {
+  t.mock.method(console, "log", () => {});
+  const store = new MemoryStore();
+  await store.init();
+
+  assert.deepEqual(await collectEvents(store, SINKS), []);
+  assert.deepEqual(await collectEvents(store, SINKS), []);
+  assert.deepEqual(await eventTypes(store), ["baseline"]);
+
+  await store.createDeployment({
+    contractName: "ForecastGameFactory",
+    status: "FAILED",
+  });
+  const events = await collectEvents(store, SINKS);
+  assert.deepEqual(
+    events.map((item) => item.eventType),
+    ["deployment.failed"]
+  );
+  assert.deepEqual(await eventTypes(store), ["baseline", "deployment.failed"]);
+  const deliveries = await store.listWebhookDeliveries({});
+  assert.equal(deliveries.length, 1);
+  assert.equal(deliveries[0].sink, "ops");
+});
@@ -0,0 +1,57 @@
+// test/transactions.test.js
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { ethers } = require("ethers");
+const { feePolicy, bumpFees } = require("../lib/transactions");
+
+const gwei = (value) => ethers.parseUnits(value, "gwei");
+
+function policy(overrides = {}) {
+  return feePolicy({
+    multiplier: 1,
+    confirmationTimeoutSeconds: 600,
+    onTimeout: "none",
+    bumpPercent: 15,
+    maxReplacements: 3,
+    pollIntervalMs: 4000,
+    ...overrides,
+  });
+}
+
+test("bumpFees raises both EIP-1559 fields by FEE_BUMP_PERCENT", () => {
+  const previous = {
+    type: 2,
+    maxFeePerGas: gwei("20"),
+    maxPriorityFeePerGas: gwei("2"),
+  };
+  const current = { maxFeePerGas: gwei("10"), maxPriorityFeePerGas: gwei("1") };
+  assert.deepEqual(bumpFees(previous, current, policy()), {
+    type: 2,
+    maxFeePerGas: gwei("23"),
+    maxPriorityFeePerGas: gwei("2.3"),
+  });
+});
+
+test("bumpFees follows the network when it is above the bump", () => {
+  const previous = { type: 0, gasPrice: gwei("10") };
+  const current = { gasPrice: gwei("30") };
+  assert.deepEqual(bumpFees(previous, current, policy()), {
+    type: 0,
+    gasPrice: gwei("30"),
+  });
+});
+
+test("bumpFees caps at MAX_FEE_GWEI while the minimum bump still fits", () => {
+  const previous = { type: 0, gasPrice: gwei("10") };
+  const fees = bumpFees(previous, {}, policy({ maxFeeGwei: "11" }));
+  assert.deepEqual(fees, { type: 0, gasPrice: gwei("11") });
+});
+
+test("bumpFees refuses when MAX_FEE_GWEI is below the minimum bump", () => {
+  const previous = { type: 0, gasPrice: gwei("10") };
+  assert.throws(
+    () => bumpFees(previous, {}, policy({ maxFeeGwei: "10.5" })),
+    /above the MAX_FEE_GWEI cap/
+  );
+});